@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Upload,
   Loader2,
@@ -8,9 +8,69 @@ import {
   FileText,
   Table2,
   Code2,
+  Grid3x3,
   X,
+  Download,
+  HardDrive,
+  Pause,
+  Play,
+  RotateCcw,
+  Square,
 } from "lucide-react";
-import { ocrAny } from "./lib/ocr";
+import { OCR_CONCURRENCY, ocrAny } from "./lib/ocr";
+import {
+  applyEdit,
+  addLineItem,
+  markVerified,
+  removeLineItem,
+  removeLineChanges,
+  removeLinePaths,
+} from "./lib/edit";
+import {
+  REVIEW_THRESHOLD,
+  summarizeConfidence,
+} from "../../shared/confidence.js";
+import {
+  DEFAULT_LANG,
+  languageLabel,
+  primaryLanguage,
+} from "../../shared/languages.js";
+import { joinPages } from "../../shared/pages.js";
+import {
+  detectDocuments,
+  pageRangeLabel,
+  segmentPages,
+} from "../../shared/split.js";
+import { detectTables } from "../../shared/tables.js";
+import { vendorKey } from "../../shared/dates.js";
+import ReceiptView from "./components/ReceiptView";
+import OcrTextView from "./components/OcrTextView";
+import LangPicker from "./components/LangPicker";
+import SplitEditor from "./components/SplitEditor";
+import TablesView from "./components/TablesView";
+import {
+  loadItems,
+  saveItems,
+  deleteItems,
+  clearItems,
+  estimateItemBytes,
+  storageEstimate,
+} from "./lib/store";
+import {
+  exportHeaderCsv,
+  exportLineItemCsv,
+  exportXlsx,
+  exportZipBundle,
+} from "./lib/export";
+
+const DEFAULT_LANG_KEY = "ocrv.defaultLang";
+const AUTO_SPLIT_KEY = "ocrv.autoSplit";
+// { "<vendorKey>": "dmy" | "mdy" }: how each vendor writes 03/04/2025
+const VENDOR_DATE_ORDERS_KEY = "ocrv.vendorDateOrders";
+
+// each document already spreads its pages over the worker pool; more than
+// two at once only adds rendered pages waiting in memory
+const DOC_CONCURRENCY = Math.min(2, OCR_CONCURRENCY);
 
 const ALLOWED = [
   "application/pdf",
@@ -27,15 +87,23 @@ function bytesToMB(bytes) {
 function StatusPill({ status }) {
   const map = {
     pending: "bg-slate-100 text-slate-700",
+    split: "bg-violet-100 text-violet-700",
+    running: "bg-sky-100 text-sky-700",
     ocr_done: "bg-blue-100 text-blue-700",
     struct_done: "bg-emerald-100 text-emerald-700",
+    needs_review: "bg-amber-100 text-amber-800",
     error: "bg-red-100 text-red-700",
+    cancelled: "bg-slate-200 text-slate-600",
   };
   const label = {
     pending: "Pending",
+    split: "Split",
+    running: "Running",
     ocr_done: "OCR Done",
     struct_done: "Structured",
+    needs_review: "Needs Review",
     error: "Error",
+    cancelled: "Cancelled",
   };
   return (
     <span
@@ -48,219 +116,181 @@ function StatusPill({ status }) {
   );
 }
 
-/** Receipt-style view (Structured tab) */
-function ReceiptView({ data }) {
-  if (!data) return null;
-
-  const items = Array.isArray(data.line_items) ? data.line_items : [];
-
-  const money = (n) => {
-    if (n === null || n === undefined || Number.isNaN(Number(n))) return "-";
-    return Number(n).toLocaleString(undefined, {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    });
-  };
-
-  const currency = data.currency || "";
-
-  const showMoney = (n) => {
-    if (n === null || n === undefined || Number.isNaN(Number(n))) return "-";
-    return `${currency ? currency + " " : ""}${money(n)}`;
-  };
-
-  const subtotal =
-    data.subtotal ??
-    items.reduce((sum, it) => sum + (Number(it.amount) || 0), 0);
-
-  const taxRate = data.tax_rate;
-  const taxAmount = data.tax_amount;
-  const total = data.total;
-
-  const headerTitle =
-    data.doc_type === "invoice"
-      ? "Invoice"
-      : data.doc_type === "receipt"
-        ? "Receipt"
-        : "Document";
-
-  const numberLabel = data.receipt_or_invoice_no
-    ? `${data.receipt_or_invoice_no}`
-    : null;
-
+function PageButton({ current, onClick, children }) {
   return (
-    <div className="bg-white border border-slate-200 rounded-2xl overflow-hidden">
-      {/* Header */}
-      <div className="p-5 md:p-6 border-b border-slate-200">
-        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-6">
-          {/* Vendor / Recipient */}
-          <div className="min-w-0">
-            <div className="text-lg md:text-xl font-bold text-slate-900">
-              {data.vendor_or_sender || "—"}
-            </div>
-            <div className="text-xs text-slate-500 mt-1">
-              {data.doc_type ? data.doc_type.toUpperCase() : "DOCUMENT"}
-            </div>
-
-            {(data.recipient_name || data.recipient_address) && (
-              <div className="mt-5">
-                <div className="text-[11px] font-bold uppercase text-slate-500">
-                  Recipient
-                </div>
-                <div className="text-sm font-semibold text-slate-900 mt-1">
-                  {data.recipient_name || "—"}
-                </div>
-                {data.recipient_address && (
-                  <div className="text-sm text-slate-600 whitespace-pre-wrap">
-                    {data.recipient_address}
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
-
-          {/* Meta box */}
-          <div className="md:w-[360px] w-full">
-            <div className="rounded-xl border border-slate-200 overflow-hidden">
-              <div className="bg-emerald-600 text-white px-4 py-3 font-bold flex items-center justify-between">
-                <span>{headerTitle}</span>
-                {numberLabel ? (
-                  <span className="text-xs font-semibold opacity-95">
-                    {numberLabel}
-                  </span>
-                ) : null}
-              </div>
-
-              <div className="bg-slate-50 px-4 py-3 text-sm text-slate-700 space-y-2">
-                <div className="flex items-center justify-between">
-                  <span className="text-slate-500">Date</span>
-                  <span className="font-semibold">{data.date || "—"}</span>
-                </div>
+    <button
+      onClick={onClick}
+      className={`px-2 py-1 rounded-lg border ${
+        current
+          ? "bg-slate-900 text-white border-slate-900"
+          : "bg-white text-slate-600 border-slate-200 hover:bg-slate-50"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
 
-                <div className="flex items-center justify-between">
-                  <span className="text-slate-500">Currency</span>
-                  <span className="font-semibold">{currency || "—"}</span>
-                </div>
+const STAGE_LABEL = {
+  starting: "Starting",
+  orient: "Detecting orientation",
+  binarize: "Binarising",
+  ocr: "Recognising",
+};
 
-                <div className="flex items-center justify-between">
-                  <span className="text-slate-500">Doc Type</span>
-                  <span className="font-semibold">{data.doc_type || "—"}</span>
-                </div>
-              </div>
+/** overall + per-file OCR progress while documents run concurrently */
+function OcrProgress({ progress }) {
+  const files = Object.entries(progress.files);
+  return (
+    <div className="mt-4 rounded-xl border border-slate-200 bg-white p-3 space-y-2">
+      <div className="text-xs font-semibold text-slate-900">
+        {progress.done}/{progress.total} file{progress.total !== 1 ? "s" : ""}{" "}
+        done
+      </div>
+      {files.map(([id, f]) => (
+        <div key={id} className="text-xs text-slate-500">
+          <div className="truncate text-slate-700">{f.file}</div>
+          <div className="flex items-center gap-2 mt-1">
+            <div className="h-1.5 flex-1 rounded-full bg-slate-100 overflow-hidden">
+              <div
+                className="h-full bg-slate-900 transition-all"
+                style={{
+                  width: f.totalPages
+                    ? `${((f.pagesDone || 0) / f.totalPages) * 100}%`
+                    : "0%",
+                }}
+              />
             </div>
+            <span>
+              {f.totalPages
+                ? `page ${f.pagesDone || 0}/${f.totalPages}`
+                : STAGE_LABEL[f.stage] || "Processing"}
+            </span>
           </div>
         </div>
-      </div>
-
-      {/* Items table */}
-      <div className="p-5 md:p-6">
-        <div className="overflow-auto rounded-xl border border-slate-200">
-          <table className="min-w-full text-sm">
-            <thead className="bg-emerald-600 text-white text-xs uppercase sticky top-0">
-              <tr>
-                <th className="text-left px-4 py-3 w-[22%]">
-                  Product / Service
-                </th>
-                <th className="text-left px-4 py-3 w-[40%]">Description</th>
-                <th className="text-right px-4 py-3 w-[8%]">Qty</th>
-                <th className="text-right px-4 py-3 w-[15%]">Unit Price</th>
-                <th className="text-right px-4 py-3 w-[15%]">Amount</th>
-              </tr>
-            </thead>
-
-            <tbody className="divide-y divide-slate-100 bg-white">
-              {items.length === 0 ? (
-                <tr>
-                  <td className="px-4 py-5 text-slate-500" colSpan={5}>
-                    No line items found.
-                  </td>
-                </tr>
-              ) : (
-                items.map((it, idx) => (
-                  <tr key={idx} className="hover:bg-slate-50">
-                    <td className="px-4 py-3 text-slate-900">
-                      {it.product_or_service || "—"}
-                    </td>
-                    <td className="px-4 py-3 text-slate-700">
-                      {it.description || "—"}
-                    </td>
-                    <td className="px-4 py-3 text-right text-slate-900">
-                      {it.qty ?? "—"}
-                    </td>
-                    <td className="px-4 py-3 text-right text-slate-900">
-                      {it.unit_price == null ? "—" : money(it.unit_price)}
-                    </td>
-                    <td className="px-4 py-3 text-right font-semibold text-slate-900">
-                      {it.amount == null ? "—" : money(it.amount)}
-                    </td>
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
-
-        {/* Totals + Notes */}
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-12 gap-6">
-          <div className="md:col-span-6 text-sm text-slate-600">
-            {data.notes ? (
-              <>
-                <div className="font-semibold text-slate-700 mb-1">Notes</div>
-                <div className="whitespace-pre-wrap">{data.notes}</div>
-              </>
-            ) : (
-              <div className="text-slate-400">—</div>
-            )}
-          </div>
-
-          <div className="md:col-span-6 md:flex md:justify-end">
-            <div className="w-full md:w-[380px] rounded-xl border border-slate-200 bg-white">
-              <div className="px-4 py-3 border-b border-slate-200 font-semibold text-slate-800">
-                Totals
-              </div>
+      ))}
+    </div>
+  );
+}
 
-              <div className="p-4 space-y-2 text-sm">
-                <div className="flex justify-between">
-                  <span className="text-slate-600">Subtotal</span>
-                  <span className="font-medium text-slate-900">
-                    {showMoney(subtotal)}
-                  </span>
-                </div>
+/** per-row queue control: cancel while queued/running, retry, re-run */
+function RowAction({ item, onCancel, onRetry, onRerun }) {
+  const action =
+    item.status === "pending" || item.status === "running"
+      ? { run: onCancel, Icon: Square, title: "Cancel" }
+      : item.status === "error" || item.status === "cancelled"
+        ? { run: onRetry, Icon: RotateCcw, title: "Retry OCR" }
+        : {
+            run: onRerun,
+            Icon: RotateCcw,
+            title: "Re-run OCR with different settings",
+          };
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        action.run(item.id);
+      }}
+      className="inline-flex items-center justify-center p-2 rounded-lg hover:bg-slate-100 text-slate-500 hover:text-slate-900"
+      title={action.title}
+    >
+      <action.Icon className="w-4 h-4" />
+    </button>
+  );
+}
 
-                <div className="flex justify-between">
-                  <span className="text-slate-600">
-                    Tax{taxRate != null ? ` (${taxRate}%)` : ""}
-                  </span>
-                  <span className="font-medium text-slate-900">
-                    {taxAmount == null ? "—" : showMoney(taxAmount)}
-                  </span>
-                </div>
+// OCR + structuring results of a queue item, all empty
+const emptyResults = () => ({
+  ocrText: "",
+  ocrPages: null,
+  ocrLang: null,
+  ocrDetected: null,
+  structured: null,
+  edits: [],
+  validation: null,
+  structMode: null,
+  structScope: null,
+  fieldPages: null,
+  numbers: null,
+  dates: null,
+  reconciliation: null,
+  fallback: null,
+  crossCheck: null,
+  provenance: null,
+  confidence: null,
+  err: null,
+});
+
+const isStructured = (x) =>
+  x.status === "struct_done" || x.status === "needs_review";
+
+/** struct_done vs needs_review from the stored field scores, edits and threshold */
+function reviewStatus(item, threshold) {
+  if (!item.confidence?.fields) return "struct_done";
+  const { needsReview } = summarizeConfidence(item.confidence.fields, {
+    edits: item.edits || [],
+    threshold,
+  });
+  return needsReview ? "needs_review" : "struct_done";
+}
 
-                <div className="border-t border-slate-200 pt-3 flex justify-between">
-                  <span className="font-semibold text-slate-800">Total</span>
-                  <span className="font-bold text-slate-900">
-                    {total == null ? "—" : showMoney(total)}
-                  </span>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
+/** Export dropdown for structured queue items */
+function ExportMenu({ items, scopeLabel }) {
+  const [open, setOpen] = useState(false);
+  const [working, setWorking] = useState(false);
+
+  const actions = [
+    { label: "Documents CSV", run: exportHeaderCsv },
+    { label: "Line items CSV", run: exportLineItemCsv },
+    { label: "Excel workbook (XLSX)", run: exportXlsx },
+    { label: "ZIP bundle (JSON + OCR text)", run: exportZipBundle },
+  ];
+
+  async function run(action) {
+    setOpen(false);
+    setWorking(true);
+    try {
+      await action.run(items);
+    } catch (e) {
+      console.error("EXPORT ERROR:", e);
+      alert(e?.message || "Export failed.");
+    } finally {
+      setWorking(false);
+    }
+  }
 
-        {/* Extra metadata */}
-        <div className="mt-5 text-xs text-slate-500">
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-            <div>
-              <span className="font-semibold text-slate-600">Reference:</span>{" "}
-              {data.receipt_or_invoice_no || "—"}
-            </div>
-            <div className="sm:text-right">
-              <span className="font-semibold text-slate-600">Doc Type:</span>{" "}
-              {data.doc_type || "—"}
-            </div>
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        disabled={working || items.length === 0}
+        className="text-xs text-slate-700 hover:text-slate-900 disabled:text-slate-300 inline-flex items-center gap-1"
+        title={`Export ${scopeLabel}`}
+      >
+        {working ? (
+          <Loader2 className="w-3 h-3 animate-spin" />
+        ) : (
+          <Download className="w-3 h-3" />
+        )}
+        Export ({items.length})
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-60 rounded-xl border border-slate-200 bg-white shadow-lg z-20 py-1">
+          <div className="px-3 py-2 text-[11px] text-slate-500">
+            {scopeLabel}
           </div>
+          {actions.map((a) => (
+            <button
+              key={a.label}
+              onClick={() => run(a)}
+              className="w-full text-left px-3 py-2 text-sm text-slate-700 hover:bg-slate-50"
+            >
+              {a.label}
+            </button>
+          ))}
         </div>
-      </div>
+      )}
     </div>
   );
 }
@@ -270,14 +300,163 @@ export default function App() {
   const [busy, setBusy] = useState(false);
   const [activeId, setActiveId] = useState(null);
   const [progress, setProgress] = useState(null);
-  const [tab, setTab] = useState("structured"); // ocr | structured | json
+  const [ocrRunning, setOcrRunning] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [tab, setTab] = useState("structured"); // ocr | structured | tables | json
+  const [trace, setTrace] = useState(null); // { id, path, spans } shown in OCR tab
   const [isDragging, setIsDragging] = useState(false);
+  const [structMode, setStructMode] = useState("llm"); // llm | rules | hybrid
+  const [structScope, setStructScope] = useState("document"); // document | page
+  const [numberFormat, setNumberFormat] = useState("auto"); // auto | dot | comma
+  const [dateOrder, setDateOrder] = useState("auto"); // auto | dmy | mdy
+  // learned from the reviewer settling ambiguous dates
+  const [vendorDateOrders, setVendorDateOrders] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(VENDOR_DATE_ORDERS_KEY)) || {};
+    } catch {
+      return {};
+    }
+  });
+  // page picked in the results panel: { id, page }, page null = all pages
+  const [pagePick, setPagePick] = useState(null);
+  const [pdfMode, setPdfMode] = useState("hybrid"); // hybrid | ocr | text
+  // OCR language for items without their own ("eng", "eng+fra", "auto")
+  const [defaultLang, setDefaultLang] = useState(
+    () => localStorage.getItem(DEFAULT_LANG_KEY) || DEFAULT_LANG,
+  );
+  // split multi-document scans into sub-documents after OCR
+  const [autoSplit, setAutoSplit] = useState(
+    () => localStorage.getItem(AUTO_SPLIT_KEY) !== "0",
+  );
+  const [reviewThreshold, setReviewThreshold] = useState(REVIEW_THRESHOLD);
+  const [statusFilter, setStatusFilter] = useState("all"); // queue filter
+
+  const [selected, setSelected] = useState([]); // ids ticked in the queue
+  const [restored, setRestored] = useState(false);
+  const [storage, setStorage] = useState(null); // { usage, quota }
+  const persisted = useRef(new Map()); // id -> item as last written
+
+  // OCR queue runner: lanes read the latest items, not the render they
+  // started in, so retried items join a run that is already going
+  const itemsRef = useRef(items);
+  const running = useRef(false);
+  const requeued = useRef(new Set()); // ids retried since the last render
+  const controllers = useRef(new Map()); // id -> AbortController
+  const pauseWaiters = useRef(null); // [] while paused, null while running
+  const structAbort = useRef(null);
+
+  useEffect(() => {
+    itemsRef.current = items;
+  }, [items]);
+
+  useEffect(() => {
+    localStorage.setItem(DEFAULT_LANG_KEY, defaultLang);
+  }, [defaultLang]);
+
+  useEffect(() => {
+    localStorage.setItem(AUTO_SPLIT_KEY, autoSplit ? "1" : "0");
+  }, [autoSplit]);
+
+  useEffect(() => {
+    localStorage.setItem(
+      VENDOR_DATE_ORDERS_KEY,
+      JSON.stringify(vendorDateOrders),
+    );
+  }, [vendorDateOrders]);
+
+  // restore the queue saved by a previous session
+  useEffect(() => {
+    let cancelled = false;
+    loadItems()
+      .then((saved) => {
+        if (cancelled) return;
+        for (const it of saved) persisted.current.set(it.id, it);
+        setItems((prev) => {
+          const ids = new Set(saved.map((x) => x.id));
+          return [...saved, ...prev.filter((x) => !ids.has(x.id))];
+        });
+        setActiveId((id) => id ?? saved[0]?.id ?? null);
+      })
+      .catch((e) => console.error("RESTORE ERROR:", e))
+      .finally(() => !cancelled && setRestored(true));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // write changed items / drop removed ones (items are replaced, never mutated)
+  useEffect(() => {
+    if (!restored) return;
+    const prev = persisted.current;
+    const changed = items.filter((it) => prev.get(it.id) !== it);
+    const ids = new Set(items.map((it) => it.id));
+    const removed = [...prev.keys()].filter((id) => !ids.has(id));
+    if (!changed.length && !removed.length) return;
+
+    persisted.current = new Map(items.map((it) => [it.id, it]));
+    Promise.all([saveItems(changed), deleteItems(removed)])
+      .then(storageEstimate)
+      .then(setStorage)
+      .catch((e) => console.error("SAVE ERROR:", e));
+  }, [items, restored]);
+
+  useEffect(() => {
+    storageEstimate()
+      .then(setStorage)
+      .catch(() => {});
+  }, []);
+
+  const storedBytes = useMemo(
+    () => items.reduce((sum, it) => sum + estimateItemBytes(it), 0),
+    [items],
+  );
 
   const active = useMemo(
     () => items.find((x) => x.id === activeId),
     [items, activeId],
   );
 
+  // the multi-page file behind the active item (itself or its parent)
+  const splitParent = useMemo(() => {
+    const file = active?.parentId
+      ? items.find((x) => x.id === active.parentId)
+      : active;
+    return file?.ocrPages?.length > 1 &&
+      ["ocr_done", "split", "struct_done", "needs_review"].includes(file.status)
+      ? file
+      : null;
+  }, [items, active]);
+
+  const resultPage = pagePick?.id === activeId ? pagePick.page : null;
+
+  // item tables rebuilt from the OCR word boxes (Detected Tables tab)
+  const activePages = active?.ocrPages;
+  const activeDecimal = active?.numbers?.decimal ?? null;
+  const tables = useMemo(
+    () => detectTables(activePages, { decimal: activeDecimal }),
+    [activePages, activeDecimal],
+  );
+
+  // export scope: ticked structured items, or every structured item
+  const exportItems = useMemo(() => {
+    const done = items.filter(isStructured);
+    return selected.length ? done.filter((x) => selected.includes(x.id)) : done;
+  }, [items, selected]);
+
+  const visibleItems = useMemo(
+    () =>
+      statusFilter === "all"
+        ? items
+        : items.filter((x) => x.status === statusFilter),
+    [items, statusFilter],
+  );
+
+  function toggleSelected(id) {
+    setSelected((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id],
+    );
+  }
+
   function addFiles(fileList) {
     const files = Array.from(fileList || []);
     const ok = files.filter(
@@ -288,87 +467,379 @@ export default function App() {
       id: crypto.randomUUID(),
       file,
       status: "pending",
-      ocrText: "",
-      structured: null,
-      err: null,
+      createdAt: Date.now(),
+      lang: null, // null = defaultLang
+      pdfMode: null, // null = pdfMode
+      parentId: null, // sub-documents: the file they were split from
+      pageRange: null, // sub-documents: { from, to } in the parent
+      segments: null, // split files: [{ from, to, reasons }]
+      ...emptyResults(),
     }));
 
     setItems((prev) => [...prev, ...mapped]);
     if (!activeId && mapped[0]) setActiveId(mapped[0].id);
   }
 
+  // removing a file takes its sub-documents along; removing a sub-document
+  // drops its pages from the parent's split
   function remove(id) {
-    setItems((prev) => prev.filter((x) => x.id !== id));
-    if (activeId === id) setActiveId(null);
+    cancelItem(id);
+    const it = items.find((x) => x.id === id);
+    const gone = new Set([
+      id,
+      ...items.filter((x) => x.parentId === id).map((x) => x.id),
+    ]);
+    setItems((prev) =>
+      prev
+        .filter((x) => !gone.has(x.id))
+        .map((x) =>
+          x.id === it?.parentId && x.segments
+            ? {
+                ...x,
+                segments: x.segments.filter(
+                  (s) => s.from !== it.pageRange?.from,
+                ),
+              }
+            : x,
+        ),
+    );
+    setSelected((prev) => prev.filter((x) => !gone.has(x)));
+    if (gone.has(activeId)) setActiveId(null);
   }
 
-  async function runOcr() {
-    if (!items.some((x) => x.status === "pending")) return;
+  function patchItem(id, patch) {
+    setItems((prev) => prev.map((x) => (x.id === id ? { ...x, ...patch } : x)));
+  }
 
-    setBusy(true);
-    setProgress(null);
+  // resolves right away unless the queue is paused
+  function gate() {
+    if (!pauseWaiters.current) return null;
+    return new Promise((resolve) => pauseWaiters.current.push(resolve));
+  }
 
-    for (const it of items) {
-      if (it.status !== "pending") continue;
+  function togglePause() {
+    if (pauseWaiters.current) {
+      const waiters = pauseWaiters.current;
+      pauseWaiters.current = null;
+      waiters.forEach((resolve) => resolve());
+      setPaused(false);
+    } else {
+      pauseWaiters.current = [];
+      setPaused(true);
+    }
+  }
 
-      try {
-        setProgress({ file: it.file.name, stage: "starting" });
+  function cancelItem(id) {
+    requeued.current.delete(id);
+    const controller = controllers.current.get(id);
+    if (controller) controller.abort();
+    else {
+      setItems((prev) =>
+        prev.map((x) =>
+          x.id === id && x.status === "pending"
+            ? { ...x, status: "cancelled" }
+            : x,
+        ),
+      );
+    }
+  }
 
-        const text = await ocrAny(it.file, (p) => {
-          setProgress({ file: it.file.name, ...p });
-        });
+  // back to pending with the OCR + structuring results dropped
+  function resetForOcr(id) {
+    setItems((prev) =>
+      prev
+        .filter((x) => x.parentId !== id)
+        .map((x) =>
+          x.id === id
+            ? { ...x, status: "pending", segments: null, ...emptyResults() }
+            : x,
+        ),
+    );
+    if (trace?.id === id) setTrace(null);
+  }
 
-        setItems((prev) =>
-          prev.map((x) =>
-            x.id === it.id ? { ...x, ocrText: text, status: "ocr_done" } : x,
-          ),
-        );
+  /**
+   * One queue item per segment, right after the file they come from.
+   * Sub-documents whose page range is unchanged keep their results; one
+   * segment (or none) turns the file back into a single document.
+   */
+  function applySplit(parentId, segments) {
+    setItems((prev) => {
+      const parent = prev.find((x) => x.id === parentId);
+      if (!parent) return prev;
+      const old = prev.filter((x) => x.parentId === parentId);
+      const rest = prev.filter((x) => x.parentId !== parentId);
+      const split = segments.length > 1;
+
+      const children = split
+        ? segments.map((seg) => {
+            const kept = old.find(
+              (x) => x.pageRange.from === seg.from && x.pageRange.to === seg.to,
+            );
+            if (kept) return kept;
+            const pages = segmentPages(parent.ocrPages, seg);
+            return {
+              id: crypto.randomUUID(),
+              file: parent.file,
+              createdAt: Date.now(),
+              lang: parent.lang,
+              pdfMode: parent.pdfMode,
+              parentId,
+              pageRange: { from: seg.from, to: seg.to },
+              segments: null,
+              ...emptyResults(),
+              ocrText: joinPages(pages),
+              ocrPages: pages,
+              ocrLang: parent.ocrLang,
+              ocrDetected: parent.ocrDetected,
+              status: "ocr_done",
+            };
+          })
+        : [];
+
+      const at = rest.findIndex((x) => x.id === parentId);
+      const next = {
+        ...parent,
+        segments: split ? segments : null,
+        status: split
+          ? "split"
+          : parent.status === "split"
+            ? "ocr_done"
+            : parent.status,
+      };
+      return [...rest.slice(0, at), next, ...children, ...rest.slice(at + 1)];
+    });
+  }
+
+  // manual split / merge from the results panel
+  function changeSplit(parentId, segments) {
+    const parent = items.find((x) => x.id === parentId);
+    const lost = items.filter(
+      (x) =>
+        x.parentId === parentId &&
+        (x.structured || x.edits?.length) &&
+        !segments.some(
+          (s) => s.from === x.pageRange.from && s.to === x.pageRange.to,
+        ),
+    );
+    // splitting a structured file: its whole-file result no longer applies
+    const parentLost =
+      segments.length > 1 && !parent?.segments && parent?.structured;
+    if (
+      (lost.length || parentLost) &&
+      !window.confirm(
+        "Change the split? Structured data of the documents that change will be discarded.",
+      )
+    ) {
+      return;
+    }
+    if (parentLost) {
+      patchItem(parentId, {
+        ...emptyResults(),
+        ocrText: parent.ocrText,
+        ocrPages: parent.ocrPages,
+        ocrLang: parent.ocrLang,
+        ocrDetected: parent.ocrDetected,
+      });
+    }
+    applySplit(parentId, segments);
+  }
+
+  // "re-run with different settings": the row's language / PDF mode pickers
+  // are editable again until Run OCR is clicked
+  function rerunItem(id) {
+    const it = items.find((x) => x.id === id);
+    const children = items.filter((x) => x.parentId === id);
+    if (
+      it &&
+      [it, ...children].some((x) => x.structured || x.edits?.length) &&
+      !window.confirm(
+        `Re-run OCR for ${it.file.name}? Its structured data and edits will be discarded.`,
+      )
+    ) {
+      return;
+    }
+    resetForOcr(id);
+  }
+
+  // failed / cancelled items go straight back into the (running) queue
+  function retryItem(id) {
+    resetForOcr(id);
+    requeued.current.add(id);
+    runOcr();
+  }
+
+  async function ocrItem(it, track) {
+    const controller = new AbortController();
+    controllers.current.set(it.id, controller);
+    patchItem(it.id, { status: "running", err: null });
 
-        if (!activeId) setActiveId(it.id);
-        setTab("ocr");
-      } catch (e) {
+    try {
+      track(it.id, { file: it.file.name, stage: "starting" });
+
+      const { text, pages, lang, detected } = await ocrAny(
+        it.file,
+        (p) => track(it.id, p),
+        {
+          pdfMode: it.pdfMode || pdfMode,
+          lang: it.lang || defaultLang,
+          signal: controller.signal,
+          gate,
+        },
+      );
+
+      patchItem(it.id, {
+        ocrText: text,
+        ocrPages: pages,
+        ocrLang: lang,
+        ocrDetected: detected,
+        status: "ocr_done",
+      });
+
+      // a stack of receipts in one file: one queue item per document
+      if (autoSplit && pages.length > 1) {
+        const segments = detectDocuments(pages);
+        if (segments.length > 1) applySplit(it.id, segments);
+      }
+
+      setActiveId((id) => id ?? it.id);
+      setTab("ocr");
+    } catch (e) {
+      if (controller.signal.aborted) {
+        patchItem(it.id, { status: "cancelled" });
+      } else {
         console.error("OCR ERROR:", e);
-        setItems((prev) =>
-          prev.map((x) =>
-            x.id === it.id
-              ? { ...x, status: "error", err: e?.message || "OCR failed." }
-              : x,
-          ),
-        );
+        patchItem(it.id, {
+          status: "error",
+          err: e?.message || "OCR failed.",
+        });
       }
+    } finally {
+      controllers.current.delete(it.id);
     }
+  }
 
+  async function runOcr() {
+    if (running.current) return; // lanes pick up new pending items
+    running.current = true;
+    setOcrRunning(true);
+    setProgress({ total: 0, done: 0, files: {} });
+
+    const track = (id, patch) =>
+      setProgress(
+        (prev) =>
+          prev && {
+            ...prev,
+            files: { ...prev.files, [id]: { ...prev.files[id], ...patch } },
+          },
+      );
+    const finish = (id) =>
+      setProgress((prev) => {
+        if (!prev) return prev;
+        const files = { ...prev.files };
+        delete files[id];
+        return { ...prev, done: prev.done + 1, files };
+      });
+
+    const claimed = new Set();
+    const next = () =>
+      itemsRef.current.find(
+        (x) =>
+          !claimed.has(x.id) &&
+          (x.status === "pending" || requeued.current.has(x.id)),
+      );
+
+    // documents run side by side; their pages share the OCR worker pool
+    const lane = async () => {
+      for (;;) {
+        await gate();
+        const it = next();
+        if (!it) return;
+        claimed.add(it.id);
+        requeued.current.delete(it.id);
+        setProgress((prev) => prev && { ...prev, total: prev.total + 1 });
+        try {
+          await ocrItem(it, track);
+        } finally {
+          finish(it.id);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: DOC_CONCURRENCY }, lane));
+
+    running.current = false;
+    setOcrRunning(false);
     setProgress(null);
-    setBusy(false);
   }
 
   async function structureWithGroq() {
     if (!active?.ocrText?.trim()) return;
 
+    const controller = new AbortController();
+    structAbort.current = controller;
     setBusy(true);
     try {
       const res = await fetch("http://localhost:5050/api/structure", {
         method: "POST",
+        signal: controller.signal,
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           fileName: active.file.name,
           text: active.ocrText,
+          mode: structMode,
+          scope: structScope,
+          numberFormat,
+          dateOrder,
+          vendorDateOrders,
+          reviewThreshold,
+          language: primaryLanguage({
+            lang: active.ocrLang,
+            detected: active.ocrDetected,
+          }),
+          // layout only (no images) so the server can locate each value
+          pages: active.ocrPages?.map(
+            ({ page, text, width, height, blocks }) => ({
+              page,
+              text,
+              width,
+              height,
+              blocks,
+            }),
+          ),
         }),
       });
 
       const data = await res.json();
       if (!res.ok) throw new Error(data?.error || "Request failed");
 
+      const confidence = data.confidence || null;
       setItems((prev) =>
         prev.map((x) =>
           x.id === active.id
-            ? { ...x, structured: data.structured, status: "struct_done" }
+            ? {
+                ...x,
+                structured: data.structured,
+                edits: [],
+                validation: data.validation || null,
+                structMode: data.mode || null,
+                structScope: data.scope || null,
+                fieldPages: data.fieldPages || null,
+                numbers: data.numbers || null,
+                dates: data.dates || null,
+                reconciliation: data.reconciliation || null,
+                fallback: data.fallback || null,
+                crossCheck: data.crossCheck || null,
+                provenance: data.provenance || null,
+                confidence,
+                status: reviewStatus({ confidence }, reviewThreshold),
+              }
             : x,
         ),
       );
 
       setTab("structured");
     } catch (e) {
+      if (controller.signal.aborted) return; // cancelled: keep the item as it was
       setItems((prev) =>
         prev.map((x) =>
           x.id === active.id
@@ -381,12 +852,78 @@ export default function App() {
         ),
       );
     } finally {
+      structAbort.current = null;
       setBusy(false);
     }
   }
 
+  // inline corrections in the Receipt View (re-reconciled on every change)
+  function updateActiveStructured(fn) {
+    setItems((prev) =>
+      prev.map((x) =>
+        x.id === activeId && x.structured
+          ? withReview({ ...x, ...fn(x.structured, x.edits || [], x) })
+          : x,
+      ),
+    );
+  }
+
+  // an ambiguous date settled by the reviewer: the vendor's order is kept
+  // for its next documents
+  function pickDate(choice) {
+    const vendor = vendorKey(active?.structured?.vendor_or_sender);
+    if (vendor && (choice.order === "dmy" || choice.order === "mdy")) {
+      setVendorDateOrders((prev) => ({ ...prev, [vendor]: choice.order }));
+    }
+    updateActiveStructured((data, edits) =>
+      data.date === choice.value
+        ? markVerified(data, edits, "date")
+        : applyEdit(data, edits, "date", choice.value),
+    );
+  }
+
+  // edits (user-verified fields) and the threshold both move the verdict
+  function withReview(item, threshold = reviewThreshold) {
+    if (!isStructured(item)) return item;
+    const status = reviewStatus(item, threshold);
+    return status === item.status ? item : { ...item, status };
+  }
+
+  function changeReviewThreshold(threshold) {
+    setReviewThreshold(threshold);
+    setItems((prev) => prev.map((x) => withReview(x, threshold)));
+  }
+
+  // "where did this come from?": jump to the OCR tab with the source spans marked
+  function traceField(path) {
+    const spans = active?.provenance?.[path]?.spans;
+    if (!spans?.length) return;
+    setTrace({ id: active.id, path, spans });
+    const page = spans.find((s) => s.page != null)?.page;
+    if (page != null) setPagePick({ id: active.id, page });
+    setTab("ocr");
+  }
+
+  // a detected table row, outlined on its page in the OCR tab
+  function showTableRow(table, row) {
+    setTrace({
+      id: active.id,
+      path: `table row (page ${table.page})`,
+      spans: [{ page: table.page, bbox: row.bbox, text: row.cells.join(" ") }],
+    });
+    setPagePick({ id: active.id, page: table.page });
+    setTab("ocr");
+  }
+
   function clearAll() {
+    controllers.current.forEach((c) => c.abort());
     setItems([]);
+    setSelected([]);
+    persisted.current = new Map();
+    clearItems()
+      .then(storageEstimate)
+      .then(setStorage)
+      .catch((e) => console.error("PURGE ERROR:", e));
     setActiveId(null);
   }
 
@@ -407,10 +944,12 @@ export default function App() {
           <div className="flex items-center gap-2">
             <button
               onClick={runOcr}
-              disabled={busy || !items.some((x) => x.status === "pending")}
+              disabled={
+                ocrRunning || !items.some((x) => x.status === "pending")
+              }
               className="px-3 py-2 rounded-xl bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white text-sm font-semibold inline-flex items-center gap-2"
             >
-              {busy ? (
+              {ocrRunning ? (
                 <Loader2 className="w-4 h-4 animate-spin" />
               ) : (
                 <ScanText className="w-4 h-4" />
@@ -418,14 +957,127 @@ export default function App() {
               Run OCR
             </button>
 
-            <button
-              onClick={structureWithGroq}
-              disabled={busy || !active?.ocrText?.trim()}
-              className="px-3 py-2 rounded-xl bg-slate-900 hover:bg-slate-800 disabled:bg-slate-300 text-white text-sm font-semibold inline-flex items-center gap-2"
+            {ocrRunning && (
+              <button
+                onClick={togglePause}
+                className="px-3 py-2 rounded-xl border border-slate-200 bg-white hover:bg-slate-50 text-sm font-semibold inline-flex items-center gap-2"
+                title={
+                  paused
+                    ? "Resume the queue"
+                    : "Pause before the next page (the current pages finish)"
+                }
+              >
+                {paused ? (
+                  <Play className="w-4 h-4" />
+                ) : (
+                  <Pause className="w-4 h-4" />
+                )}
+                {paused ? "Resume" : "Pause"}
+              </button>
+            )}
+
+            <LangPicker
+              value={defaultLang}
+              onChange={setDefaultLang}
+              disabled={ocrRunning}
+              className="w-24 !py-2 !rounded-xl !text-sm"
+            />
+
+            <select
+              value={pdfMode}
+              onChange={(e) => setPdfMode(e.target.value)}
+              disabled={ocrRunning}
+              className="px-2 py-2 rounded-xl border border-slate-200 bg-white text-sm text-slate-700"
+              title="PDFs: use the embedded text layer, OCR, or both"
             >
-              <Brain className="w-4 h-4" />
-              Structure
-            </button>
+              <option value="hybrid">PDF: text layer + OCR</option>
+              <option value="ocr">PDF: OCR only</option>
+              <option value="text">PDF: text layer only</option>
+            </select>
+
+            <label
+              className="inline-flex items-center gap-1 text-sm text-slate-700"
+              title="After OCR, split files holding several documents (a stack of receipts) into one queue item each"
+            >
+              <input
+                type="checkbox"
+                checked={autoSplit}
+                onChange={(e) => setAutoSplit(e.target.checked)}
+              />
+              Split stacks
+            </label>
+
+            <select
+              value={structMode}
+              onChange={(e) => setStructMode(e.target.value)}
+              disabled={busy}
+              className="px-2 py-2 rounded-xl border border-slate-200 bg-white text-sm text-slate-700"
+              title="Structuring engine"
+            >
+              <option value="llm">LLM</option>
+              <option value="rules">Rules</option>
+              <option value="hybrid">Hybrid</option>
+            </select>
+
+            <select
+              value={structScope}
+              onChange={(e) => setStructScope(e.target.value)}
+              disabled={busy}
+              className="px-2 py-2 rounded-xl border border-slate-200 bg-white text-sm text-slate-700"
+              title="Structure the whole document at once, or each page and merge"
+            >
+              <option value="document">Whole document</option>
+              <option value="page">Per page</option>
+            </select>
+
+            <select
+              value={numberFormat}
+              onChange={(e) => setNumberFormat(e.target.value)}
+              disabled={busy}
+              className="px-2 py-2 rounded-xl border border-slate-200 bg-white text-sm text-slate-700"
+              title="How amounts are written; Auto goes by OCR language and currency"
+            >
+              <option value="auto">Auto numbers</option>
+              <option value="dot">1,234.56</option>
+              <option value="comma">1.234,56</option>
+            </select>
+
+            <select
+              value={dateOrder}
+              onChange={(e) => setDateOrder(e.target.value)}
+              disabled={busy}
+              className="px-2 py-2 rounded-xl border border-slate-200 bg-white text-sm text-slate-700"
+              title="How 03/04/2025 reads; Auto goes by vendor, OCR language and currency"
+            >
+              <option value="auto">Auto dates</option>
+              <option value="dmy">DD/MM/YYYY</option>
+              <option value="mdy">MM/DD/YYYY</option>
+            </select>
+
+            {busy ? (
+              <button
+                onClick={() => structAbort.current?.abort()}
+                className="px-3 py-2 rounded-xl bg-slate-900 hover:bg-slate-800 text-white text-sm font-semibold inline-flex items-center gap-2"
+                title="Cancel structuring"
+              >
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={structureWithGroq}
+                disabled={!active?.ocrText?.trim() || active.status === "split"}
+                title={
+                  active?.status === "split"
+                    ? "Structure the documents split from this file instead"
+                    : undefined
+                }
+                className="px-3 py-2 rounded-xl bg-slate-900 hover:bg-slate-800 disabled:bg-slate-300 text-white text-sm font-semibold inline-flex items-center gap-2"
+              >
+                <Brain className="w-4 h-4" />
+                Structure
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -486,18 +1138,7 @@ export default function App() {
                 </label>
               </div>
 
-              {progress && (
-                <div className="mt-4 rounded-xl border border-slate-200 bg-white p-3">
-                  <div className="text-xs font-semibold text-slate-900 truncate">
-                    {progress.file}
-                  </div>
-                  <div className="text-xs text-slate-500 mt-1">
-                    {progress.stage === "pdf" || progress.stage === "tiff"
-                      ? `Processing ${progress.stage} page ${progress.page}/${progress.totalPages}`
-                      : "Processing..."}
-                  </div>
-                </div>
-              )}
+              {progress && <OcrProgress progress={progress} />}
             </div>
           </div>
 
@@ -509,6 +1150,14 @@ export default function App() {
                 <div className="text-xs text-slate-500">
                   {items.length} file{items.length !== 1 ? "s" : ""}
                 </div>
+                <ExportMenu
+                  items={exportItems}
+                  scopeLabel={
+                    selected.length
+                      ? "Selected structured files"
+                      : "All structured files"
+                  }
+                />
                 <button
                   onClick={clearAll}
                   className="text-xs text-red-600 hover:underline inline-flex items-center gap-1"
@@ -519,15 +1168,75 @@ export default function App() {
               </div>
             </div>
 
+            <div className="px-5 py-2 border-b border-slate-200 flex items-center justify-between gap-2 text-xs text-slate-600">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-2 py-1 rounded-lg border border-slate-200 bg-white"
+                title="Filter queue by status"
+              >
+                <option value="all">All statuses</option>
+                <option value="needs_review">
+                  Needs review (
+                  {items.filter((x) => x.status === "needs_review").length})
+                </option>
+                <option value="struct_done">Structured</option>
+                <option value="ocr_done">OCR done</option>
+                <option value="split">Split</option>
+                <option value="pending">Pending</option>
+                <option value="running">Running</option>
+                <option value="error">Error</option>
+                <option value="cancelled">Cancelled</option>
+              </select>
+              <label
+                className="inline-flex items-center gap-1"
+                title="Structured documents scoring below this need review"
+              >
+                Review below
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  step={5}
+                  value={Math.round(reviewThreshold * 100)}
+                  onChange={(e) => {
+                    const n = Number(e.target.value);
+                    if (Number.isFinite(n) && n >= 0 && n <= 100)
+                      changeReviewThreshold(n / 100);
+                  }}
+                  className="w-14 px-1 py-0.5 rounded border border-slate-200 text-right"
+                />
+                %
+              </label>
+            </div>
+
             <div className="overflow-auto max-h-[420px]">
               {items.length === 0 ? (
                 <div className="p-6 text-sm text-slate-500 text-center">
                   No files yet. Add a PDF/TIF/PNG/JPG to start.
                 </div>
+              ) : visibleItems.length === 0 ? (
+                <div className="p-6 text-sm text-slate-500 text-center">
+                  No files match this filter.
+                </div>
               ) : (
                 <table className="w-full text-sm">
                   <thead className="bg-slate-50 text-slate-600 text-xs uppercase sticky top-0">
                     <tr>
+                      <th className="pl-4 py-3 w-8">
+                        <input
+                          type="checkbox"
+                          checked={
+                            items.length > 0 && selected.length === items.length
+                          }
+                          onChange={(e) =>
+                            setSelected(
+                              e.target.checked ? items.map((x) => x.id) : [],
+                            )
+                          }
+                          title="Select all"
+                        />
+                      </th>
                       <th className="text-left px-4 py-3">File</th>
                       <th className="text-left px-4 py-3">Status</th>
                       <th className="text-right px-4 py-3">Size</th>
@@ -536,7 +1245,7 @@ export default function App() {
                   </thead>
 
                   <tbody className="divide-y divide-slate-100">
-                    {items.map((it) => (
+                    {visibleItems.map((it) => (
                       <tr
                         key={it.id}
                         onClick={() => setActiveId(it.id)}
@@ -546,28 +1255,99 @@ export default function App() {
                             : "hover:bg-slate-50"
                         }`}
                       >
-                        <td className="px-4 py-3">
+                        <td
+                          className="pl-4 py-3"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(it.id)}
+                            onChange={() => toggleSelected(it.id)}
+                          />
+                        </td>
+                        <td
+                          className={`py-3 ${it.parentId ? "pl-8 pr-4" : "px-4"}`}
+                        >
                           <div className="font-medium text-slate-900 truncate max-w-[260px]">
+                            {it.parentId && (
+                              <span className="text-slate-400">↳ </span>
+                            )}
                             {it.file.name}
                           </div>
                           <div className="text-xs text-slate-500">
-                            {it.file.type || "unknown"}
+                            {it.pageRange
+                              ? pageRangeLabel(it.pageRange)
+                              : it.segments
+                                ? `${it.segments.length} documents`
+                                : it.file.type || "unknown"}
                           </div>
+                          {it.status === "pending" ? (
+                            <div className="mt-1 flex items-center gap-1">
+                              <LangPicker
+                                value={it.lang}
+                                allowEmpty
+                                placeholder={`lang: ${defaultLang}`}
+                                onChange={(lang) => patchItem(it.id, { lang })}
+                                className="w-28"
+                              />
+                              {it.file.type === "application/pdf" && (
+                                <select
+                                  value={it.pdfMode || ""}
+                                  onChange={(e) =>
+                                    patchItem(it.id, {
+                                      pdfMode: e.target.value || null,
+                                    })
+                                  }
+                                  onClick={(e) => e.stopPropagation()}
+                                  className="rounded-lg border border-slate-200 bg-white px-1 py-1 text-xs text-slate-700"
+                                  title="PDF mode for this file"
+                                >
+                                  <option value="">PDF: default</option>
+                                  <option value="hybrid">text + OCR</option>
+                                  <option value="ocr">OCR only</option>
+                                  <option value="text">text only</option>
+                                </select>
+                              )}
+                            </div>
+                          ) : (
+                            it.ocrLang && (
+                              <div
+                                className="text-[11px] text-slate-400"
+                                title={languageLabel(it.ocrLang)}
+                              >
+                                lang: {it.ocrLang}
+                              </div>
+                            )
+                          )}
                         </td>
                         <td className="px-4 py-3">
                           <StatusPill status={it.status} />
                         </td>
                         <td className="px-4 py-3 text-right text-slate-700">
                           {bytesToMB(it.file.size)}
+                          <div
+                            className="text-[11px] text-slate-400"
+                            title="Saved in this browser (file + results)"
+                          >
+                            {bytesToMB(estimateItemBytes(it))} saved
+                          </div>
                         </td>
-                        <td className="px-4 py-3 text-right">
+                        <td className="px-4 py-3 text-right whitespace-nowrap">
+                          {!it.parentId && (
+                            <RowAction
+                              item={it}
+                              onCancel={cancelItem}
+                              onRetry={retryItem}
+                              onRerun={rerunItem}
+                            />
+                          )}
                           <button
                             onClick={(e) => {
                               e.stopPropagation();
                               remove(it.id);
                             }}
                             className="inline-flex items-center justify-center p-2 rounded-lg hover:bg-red-50 text-slate-500 hover:text-red-600"
-                            title="Remove"
+                            title="Remove (also deletes the saved copy)"
                           >
                             <Trash2 className="w-4 h-4" />
                           </button>
@@ -584,6 +1364,27 @@ export default function App() {
                 {active.err}
               </div>
             )}
+
+            {/* Storage */}
+            <div className="px-5 py-3 border-t border-slate-200 flex items-center justify-between text-xs text-slate-500">
+              <div className="inline-flex items-center gap-2">
+                <HardDrive className="w-3.5 h-3.5" />
+                <span>
+                  Queue saved in browser: {bytesToMB(storedBytes)}
+                  {storage?.quota
+                    ? ` · ${bytesToMB(storage.usage)} of ${bytesToMB(storage.quota)} used`
+                    : ""}
+                </span>
+              </div>
+              <button
+                onClick={clearAll}
+                disabled={!items.length}
+                className="text-red-600 hover:underline disabled:text-slate-300 disabled:no-underline"
+                title="Remove every file and result saved in this browser"
+              >
+                Purge all
+              </button>
+            </div>
           </div>
         </section>
 
@@ -595,6 +1396,12 @@ export default function App() {
                 <div className="min-w-0">
                   <div className="text-sm font-semibold text-slate-900 truncate">
                     {active ? active.file.name : "Results"}
+                    {active?.pageRange && (
+                      <span className="font-normal text-slate-500">
+                        {" "}
+                        · {pageRangeLabel(active.pageRange)}
+                      </span>
+                    )}
                   </div>
                   <div className="text-xs text-slate-500 mt-1">
                     {active
@@ -605,11 +1412,86 @@ export default function App() {
 
                 {active && (
                   <div className="flex items-center gap-2">
+                    {active.ocrLang && (
+                      <span
+                        className="text-[11px] text-slate-500"
+                        title={
+                          active.ocrDetected?.lang
+                            ? `Detected ${languageLabel(active.ocrDetected.lang)} (${Math.round(active.ocrDetected.confidence * 100)}%)`
+                            : "OCR language"
+                        }
+                      >
+                        {languageLabel(active.ocrLang)}
+                      </span>
+                    )}
+                    {active.structScope === "page" && (
+                      <span
+                        className="text-[11px] text-slate-500"
+                        title="Each page was structured on its own and merged"
+                      >
+                        Per page
+                      </span>
+                    )}
+                    {active.numbers?.decimal === "," && (
+                      <span
+                        className="text-[11px] text-slate-500"
+                        title={`Amounts read as 1.234,56 (from ${active.numbers.source})`}
+                      >
+                        Decimal comma
+                      </span>
+                    )}
+                    {active.fallback && (
+                      <span
+                        className="text-[11px] text-amber-700"
+                        title={active.fallback.reason}
+                      >
+                        Rules fallback
+                      </span>
+                    )}
+                    {active.crossCheck?.some(
+                      (c) => c.result === "mismatch",
+                    ) && (
+                      <span
+                        className="text-[11px] text-red-600"
+                        title={active.crossCheck
+                          .filter((c) => c.result === "mismatch")
+                          .map(
+                            (c) =>
+                              `${c.field}: LLM ${c.llm} vs rules ${c.rules}`,
+                          )
+                          .join("\n")}
+                      >
+                        Cross-check mismatch
+                      </span>
+                    )}
+                    {active.validation?.status === "repaired" && (
+                      <span
+                        className="text-[11px] text-amber-700"
+                        title={active.validation.issues
+                          .map((i) => `${i.path}: ${i.message}`)
+                          .join("\n")}
+                      >
+                        Schema repaired
+                      </span>
+                    )}
                     <StatusPill status={active.status} />
                   </div>
                 )}
               </div>
 
+              {splitParent && (
+                <div className="mt-4">
+                  <SplitEditor
+                    pages={splitParent.ocrPages}
+                    segments={splitParent.segments}
+                    disabled={busy}
+                    onChange={(segments) =>
+                      changeSplit(splitParent.id, segments)
+                    }
+                  />
+                </div>
+              )}
+
               {/* Tabs */}
               <div className="mt-4 flex gap-2">
                 <button
@@ -636,6 +1518,18 @@ export default function App() {
                   Receipt View
                 </button>
 
+                <button
+                  onClick={() => setTab("tables")}
+                  className={`px-3 py-2 rounded-xl text-sm font-semibold inline-flex items-center gap-2 border ${
+                    tab === "tables"
+                      ? "bg-slate-900 text-white border-slate-900"
+                      : "bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
+                  }`}
+                >
+                  <Grid3x3 className="w-4 h-4" />
+                  Detected Tables
+                </button>
+
                 <button
                   onClick={() => setTab("json")}
                   className={`px-3 py-2 rounded-xl text-sm font-semibold inline-flex items-center gap-2 border ${
@@ -648,6 +1542,35 @@ export default function App() {
                   Raw JSON
                 </button>
               </div>
+
+              {/* Pages (OCR text + receipt rows) */}
+              {active?.ocrPages?.length > 1 && tab !== "json" && (
+                <div className="mt-3 flex flex-wrap items-center gap-1.5 text-xs">
+                  {tab !== "ocr" && (
+                    <PageButton
+                      current={resultPage == null}
+                      onClick={() => setPagePick({ id: active.id, page: null })}
+                    >
+                      All pages
+                    </PageButton>
+                  )}
+                  {active.ocrPages.map((p, i) => (
+                    <PageButton
+                      key={p.page}
+                      current={
+                        resultPage === p.page ||
+                        (tab === "ocr" && resultPage == null && i === 0)
+                      }
+                      onClick={() =>
+                        setPagePick({ id: active.id, page: p.page })
+                      }
+                    >
+                      Page {p.page}
+                      {p.method === "text" ? " · text" : ""}
+                    </PageButton>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div className="p-5 flex-1">
@@ -656,14 +1579,87 @@ export default function App() {
                   Select a file on the left to see results.
                 </div>
               ) : tab === "ocr" ? (
-                <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
-                  <pre className="text-xs whitespace-pre-wrap max-h-[560px] overflow-auto">
-                    {active.ocrText || "Run OCR to generate extracted text..."}
-                  </pre>
-                </div>
+                <OcrTextView
+                  key={active.id}
+                  pages={active.ocrPages}
+                  text={active.ocrText}
+                  highlight={trace?.id === active.id ? trace : null}
+                  page={
+                    active.ocrPages?.length > 1
+                      ? (resultPage ?? active.ocrPages[0].page)
+                      : undefined
+                  }
+                />
+              ) : tab === "tables" ? (
+                <TablesView
+                  tables={
+                    resultPage == null
+                      ? tables
+                      : tables.filter((t) => t.page === resultPage)
+                  }
+                  decimal={activeDecimal}
+                  onShowRow={showTableRow}
+                />
               ) : tab === "structured" ? (
                 active.structured ? (
-                  <ReceiptView data={active.structured} />
+                  <ReceiptView
+                    data={active.structured}
+                    edits={active.edits}
+                    provenance={active.provenance}
+                    confidence={active.confidence}
+                    page={resultPage}
+                    fieldPages={
+                      active.ocrPages?.length > 1 ? active.fieldPages : null
+                    }
+                    ambiguous={active.numbers?.ambiguous}
+                    dateReading={active.dates?.date}
+                    reconciliation={active.reconciliation}
+                    reviewThreshold={reviewThreshold}
+                    onTrace={(path) => traceField(path)}
+                    onEdit={(path, value) =>
+                      updateActiveStructured((data, edits) =>
+                        applyEdit(data, edits, path, value, {
+                          decimal: activeDecimal,
+                          dateOrder: active.dates?.order,
+                        }),
+                      )
+                    }
+                    onVerify={(path) =>
+                      updateActiveStructured((data, edits) =>
+                        markVerified(data, edits, path),
+                      )
+                    }
+                    onPickDate={pickDate}
+                    onAddRow={() =>
+                      updateActiveStructured((data, edits) =>
+                        addLineItem(data, edits, resultPage),
+                      )
+                    }
+                    onRemoveRow={(idx) =>
+                      updateActiveStructured((data, edits, item) => ({
+                        ...removeLineItem(data, edits, idx),
+                        provenance: removeLinePaths(item.provenance, idx),
+                        numbers: item.numbers && {
+                          ...item.numbers,
+                          ambiguous: removeLinePaths(
+                            item.numbers.ambiguous,
+                            idx,
+                          ),
+                        },
+                        confidence: item.confidence && {
+                          ...item.confidence,
+                          fields: removeLinePaths(item.confidence.fields, idx),
+                        },
+                        reconciliation: item.reconciliation && {
+                          ...item.reconciliation,
+                          changes: removeLineChanges(
+                            item.reconciliation.changes,
+                            idx,
+                          ),
+                        },
+                      }))
+                    }
+                  />
                 ) : (
                   <div className="rounded-2xl border border-slate-200 bg-slate-50 p-6 text-sm text-slate-600">
                     Run OCR first, then click <b>Structure</b> to generate the
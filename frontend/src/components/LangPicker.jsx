@@ -0,0 +1,79 @@
+import React, { useId, useState } from "react";
+import {
+  AUTO_LANG,
+  OCR_LANGUAGES,
+  languageLabel,
+  parseLangs,
+} from "../../../shared/languages.js";
+
+const SUGGESTIONS = [
+  AUTO_LANG,
+  ...OCR_LANGUAGES.map((l) => l.code),
+  "eng+fra",
+  "eng+deu",
+  "eng+spa",
+  "eng+ara",
+];
+
+/**
+ * OCR language input: one code, a "+" combination ("eng+fra") or "auto".
+ * Invalid input is reverted; an empty value means "use the default" when
+ * allowEmpty is set (onChange(null)).
+ */
+export default function LangPicker({
+  value,
+  onChange,
+  allowEmpty = false,
+  placeholder = "",
+  disabled = false,
+  className = "",
+}) {
+  const listId = useId();
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const raw = draft.trim();
+    setDraft(null);
+    if (!raw) {
+      if (allowEmpty) onChange(null);
+      return;
+    }
+    const langs = parseLangs(raw);
+    if (langs && langs !== value) onChange(langs);
+  };
+
+  const title =
+    value === AUTO_LANG
+      ? "Detect the language from a first OCR pass"
+      : value
+        ? languageLabel(value)
+        : placeholder;
+
+  return (
+    <>
+      <input
+        list={listId}
+        value={draft ?? value ?? ""}
+        placeholder={placeholder}
+        disabled={disabled}
+        title={title}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") e.currentTarget.blur();
+          if (e.key === "Escape") setDraft(null);
+        }}
+        onClick={(e) => e.stopPropagation()}
+        className={`rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-700 disabled:bg-slate-50 disabled:text-slate-400 ${className}`}
+      />
+      <datalist id={listId}>
+        {SUGGESTIONS.map((code) => (
+          <option key={code} value={code}>
+            {code === AUTO_LANG ? "Auto-detect" : languageLabel(code)}
+          </option>
+        ))}
+      </datalist>
+    </>
+  );
+}
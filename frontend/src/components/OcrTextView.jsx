@@ -0,0 +1,250 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+// words under this confidence (0-100) are highlighted on the page image
+export const LOW_CONFIDENCE = 70;
+
+function pageWords(page) {
+  return (page?.blocks || []).flatMap((b) => b.lines.flatMap((l) => l.words));
+}
+
+/** object URL for a stored page image, revoked when it changes */
+function useObjectUrl(blob) {
+  const url = useMemo(() => (blob ? URL.createObjectURL(blob) : null), [blob]);
+  useEffect(() => () => url && URL.revokeObjectURL(url), [url]);
+  return url;
+}
+
+/** text with each { start, end } range wrapped in <mark>; first one gets markRef */
+function PageText({ text, ranges, markRef, empty = "(no text on this page)" }) {
+  if (!text) return <>{empty}</>;
+  const sorted = ranges
+    .filter((r) => r.start != null)
+    .sort((a, b) => a.start - b.start);
+  if (!sorted.length) return <>{text}</>;
+
+  const out = [];
+  let pos = 0;
+  sorted.forEach((r, i) => {
+    if (r.start < pos) return;
+    out.push(text.slice(pos, r.start));
+    out.push(
+      <mark
+        key={i}
+        ref={i === 0 ? markRef : undefined}
+        className="bg-yellow-200 rounded px-0.5"
+      >
+        {text.slice(r.start, r.end)}
+      </mark>,
+    );
+    pos = r.end;
+  });
+  out.push(text.slice(pos));
+  return <>{out}</>;
+}
+
+// "turned 180°, deskewed 2.5°" (the image shown is the corrected one)
+function rotationNote({ orientation, skew }) {
+  const parts = [];
+  if (orientation) parts.push(`turned ${orientation}°`);
+  if (skew) parts.push(`deskewed ${Math.abs(skew)}°`);
+  return parts.join(", ");
+}
+
+function boxStyle(bbox, page) {
+  return {
+    left: `${(bbox.x0 / page.width) * 100}%`,
+    top: `${(bbox.y0 / page.height) * 100}%`,
+    width: `${((bbox.x1 - bbox.x0) / page.width) * 100}%`,
+    height: `${((bbox.y1 - bbox.y0) / page.height) * 100}%`,
+  };
+}
+
+/**
+ * OCR Text tab: page image with low-confidence words boxed, next to the page
+ * text. Clicking a word box scrolls the text to that word.
+ *
+ * `highlight` ({ path, spans } from field provenance) opens the page the
+ * value was found on and marks its span(s) in both the image and the text.
+ * Passing `page` (a page number) makes the page choice the caller's: the
+ * view shows that page and drops its own page buttons.
+ */
+export default function OcrTextView({
+  pages,
+  text,
+  highlight = null,
+  page: pageNo,
+}) {
+  const controlled = pageNo !== undefined;
+  const firstPage = highlight?.spans?.find((s) => s.page != null)?.page;
+  const [ownIdx, setPageIdx] = useState(() =>
+    Math.max(0, pages?.findIndex((p) => p.page === firstPage) ?? 0),
+  );
+  const pageIdx = controlled
+    ? Math.max(0, pages?.findIndex((p) => p.page === pageNo) ?? 0)
+    : ownIdx;
+  const [selected, setSelected] = useState(null); // word index on the page
+  const [showAll, setShowAll] = useState(false);
+  const markRef = useRef(null);
+
+  const page = pages?.[Math.min(pageIdx, (pages?.length || 1) - 1)];
+  const words = useMemo(() => pageWords(page), [page]);
+  const imageUrl = useObjectUrl(page?.image);
+  const word = selected != null ? words[selected] : null;
+
+  // jump to the traced value's page whenever a new field is traced
+  useEffect(() => {
+    if (firstPage == null || !pages) return;
+    const i = pages.findIndex((p) => p.page === firstPage);
+    if (i >= 0) setPageIdx(i);
+    setSelected(null);
+  }, [highlight, firstPage, pages]);
+
+  useEffect(() => {
+    if (controlled) setSelected(null);
+  }, [controlled, pageNo]);
+
+  const traced = (highlight?.spans || []).filter(
+    (s) => s.page == null || s.page === page?.page,
+  );
+
+  useEffect(() => {
+    markRef.current?.scrollIntoView({ block: "center", behavior: "smooth" });
+  }, [word, highlight, pageIdx]);
+
+  const traceNote = highlight && (
+    <div className="text-xs text-slate-600">
+      Source of <span className="font-mono">{highlight.path}</span>:{" "}
+      {highlight.spans.map((s) => `"${s.text}"`).join(", ")}
+    </div>
+  );
+
+  // no layout (older results): plain text as before, spans by global offset
+  if (!pages?.length || !page?.blocks) {
+    return (
+      <div className="space-y-3">
+        {traceNote}
+        <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
+          <pre className="text-xs whitespace-pre-wrap max-h-[560px] overflow-auto">
+            <PageText
+              text={text}
+              ranges={highlight?.spans || []}
+              markRef={markRef}
+              empty="Run OCR to generate extracted text..."
+            />
+          </pre>
+        </div>
+      </div>
+    );
+  }
+
+  const ranges = word
+    ? [word]
+    : traced.map((s) => ({ start: s.pageStart, end: s.pageEnd }));
+
+  const low = words.filter((w) => w.confidence < LOW_CONFIDENCE).length;
+
+  return (
+    <div className="space-y-3">
+      {traceNote}
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-slate-600">
+        <div className="flex items-center gap-2">
+          {!controlled &&
+            pages.length > 1 &&
+            pages.map((p, i) => (
+              <button
+                key={p.page}
+                onClick={() => {
+                  setPageIdx(i);
+                  setSelected(null);
+                }}
+                className={`px-2 py-1 rounded-lg border ${
+                  i === pageIdx
+                    ? "bg-slate-900 text-white border-slate-900"
+                    : "bg-white border-slate-200 hover:bg-slate-50"
+                }`}
+              >
+                Page {p.page}
+                {p.method === "text" ? " · text" : ""}
+              </button>
+            ))}
+          <span>
+            {page.method === "text" ? (
+              <>{words.length} words · from PDF text layer</>
+            ) : (
+              <>
+                {words.length} words · {low} below {LOW_CONFIDENCE}% ·{" "}
+                {page.confidence != null ? `mean ${page.confidence}%` : ""}
+                {page.rotation ? ` · ${rotationNote(page.rotation)}` : ""}
+                {page.binarize ? ` · ${page.binarize}` : ""}
+              </>
+            )}
+          </span>
+        </div>
+        <label className="inline-flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={(e) => setShowAll(e.target.checked)}
+          />
+          Outline all words
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-3">
+        <div className="rounded-2xl border border-slate-200 bg-slate-50 p-2 max-h-[560px] overflow-auto">
+          {imageUrl ? (
+            <div className="relative">
+              <img
+                src={imageUrl}
+                alt={`Page ${page.page}`}
+                className="block w-full h-auto"
+              />
+              {words.map((w, i) => {
+                if (!w.bbox) return null;
+                const isLow = w.confidence < LOW_CONFIDENCE;
+                const isSel = i === selected;
+                if (!isLow && !showAll && !isSel) return null;
+                return (
+                  <button
+                    key={i}
+                    onClick={() => setSelected(i)}
+                    title={`${w.text} (${w.confidence}%)`}
+                    className={`absolute border ${
+                      isSel
+                        ? "border-blue-600 bg-blue-500/20"
+                        : isLow
+                          ? "border-red-500 bg-red-500/15 hover:bg-red-500/30"
+                          : "border-emerald-500/60 hover:bg-emerald-500/20"
+                    }`}
+                    style={boxStyle(w.bbox, page)}
+                  />
+                );
+              })}
+              {!word &&
+                traced.map(
+                  (s, i) =>
+                    s.bbox && (
+                      <div
+                        key={`trace-${i}`}
+                        className="absolute pointer-events-none border-2 border-violet-600 bg-violet-500/20"
+                        style={boxStyle(s.bbox, page)}
+                      />
+                    ),
+                )}
+            </div>
+          ) : (
+            <div className="p-6 text-sm text-slate-500">
+              No page image stored.
+            </div>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4">
+          <pre className="text-xs whitespace-pre-wrap max-h-[540px] overflow-auto">
+            <PageText text={page.text} ranges={ranges} markRef={markRef} />
+          </pre>
+        </div>
+      </div>
+    </div>
+  );
+}
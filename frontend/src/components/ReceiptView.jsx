@@ -0,0 +1,974 @@
+import React, { useRef, useState } from "react";
+import { Plus, Trash2, TriangleAlert } from "lucide-react";
+import {
+  REVIEW_THRESHOLD,
+  summarizeConfidence,
+} from "../../../shared/confidence.js";
+import { mathMismatches } from "../../../shared/reconcile.js";
+
+const DOC_TYPES = ["invoice", "receipt", "statement", "memo", "other"];
+
+const SOURCE_STATUS = {
+  found: { dot: "bg-emerald-500", label: "Found in OCR text" },
+  partial: { dot: "bg-amber-400", label: "Partly found in OCR text" },
+  missing: {
+    dot: "bg-red-500",
+    label: "Not found in OCR text (possibly hallucinated)",
+  },
+};
+
+/** provenance marker; click jumps to the source span in the OCR tab */
+function SourceDot({ entry, onTrace }) {
+  const s = SOURCE_STATUS[entry?.status];
+  if (!s) return null;
+  const traceable = onTrace && entry.spans?.length > 0;
+  const dot = <span className={`inline-block w-2 h-2 rounded-full ${s.dot}`} />;
+
+  if (!traceable) {
+    return (
+      <span title={s.label} className="inline-flex items-center px-1">
+        {dot}
+      </span>
+    );
+  }
+  return (
+    <button
+      type="button"
+      onClick={onTrace}
+      title={`${s.label} — click to show source`}
+      className="inline-flex items-center px-1 rounded hover:bg-slate-200"
+    >
+      {dot}
+    </button>
+  );
+}
+
+/**
+ * Reconciliation warning next to a value: reconcileMath filled it in or
+ * changed it (amber), or a sum it closes still does not add up (red).
+ */
+function AuditMark({ change, mismatch, format }) {
+  if (!change && !mismatch) return null;
+  const show = (v) => (v == null ? "—" : format ? format(v) : v);
+  const title = [
+    change &&
+      (change.from === null
+        ? `Filled in: ${change.rule ?? "reconciled"}`
+        : `Changed from ${show(change.from)}: ${change.rule ?? "reconciled"}`),
+    mismatch &&
+      `${mismatch.rule}: expected ${show(mismatch.expected)}, off by ${show(
+        Math.abs(mismatch.difference),
+      )}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center px-0.5 ${
+        mismatch ? "text-red-500" : "text-amber-500"
+      }`}
+    >
+      <TriangleAlert className="w-3 h-3" />
+    </span>
+  );
+}
+
+/**
+ * Click-to-edit value. Read-only when onEdit is missing.
+ * User-corrected paths (in `edits`) get an amber marker; the others get a
+ * provenance dot when `provenance` is available and a warning when `audit`
+ * ({ changes, mismatches } by path) says reconciliation touched them.
+ */
+function EditField(props) {
+  const { path, value, edits, provenance, audit, format, onTrace } = props;
+  const entry = provenance?.[path];
+  const empty = value === null || value === undefined || value === "";
+  const edited = edits?.includes(path);
+  const dot = entry && !empty && !edited;
+  const change = edited ? null : audit?.changes[path];
+  const mismatch = audit?.mismatches[path];
+  if (!dot && !change && !mismatch) return <FieldValue {...props} />;
+
+  return (
+    <span className="inline-flex items-center">
+      <FieldValue {...props} />
+      {dot && (
+        <SourceDot entry={entry} onTrace={onTrace && (() => onTrace(path))} />
+      )}
+      <AuditMark change={change} mismatch={mismatch} format={format} />
+    </span>
+  );
+}
+
+function FieldValue({
+  path,
+  value,
+  edits,
+  onEdit,
+  format,
+  options,
+  multiline = false,
+  align = "left",
+  className = "",
+}) {
+  const [editing, setEditing] = useState(false);
+  const cancelled = useRef(false);
+
+  const empty = value === null || value === undefined || value === "";
+  const shown = empty ? "—" : format ? format(value) : value;
+
+  if (!onEdit) return <span className={className}>{shown}</span>;
+
+  const edited = edits?.includes(path);
+
+  if (editing) {
+    const commit = (e) => {
+      setEditing(false);
+      if (cancelled.current) {
+        cancelled.current = false;
+        return;
+      }
+      onEdit(path, e.target.value);
+    };
+
+    const props = {
+      autoFocus: true,
+      defaultValue: value ?? "",
+      onBlur: commit,
+      onKeyDown: (e) => {
+        if (e.key === "Escape") {
+          cancelled.current = true;
+          e.currentTarget.blur();
+        }
+        if (e.key === "Enter" && !multiline) e.currentTarget.blur();
+      },
+      className: `w-full rounded border border-blue-400 bg-white px-1 text-slate-900 outline-none ${
+        align === "right" ? "text-right" : ""
+      }`,
+    };
+
+    if (options) {
+      return (
+        <select {...props} onChange={(e) => e.currentTarget.blur()}>
+          {options.map((o) => (
+            <option key={o} value={o}>
+              {o}
+            </option>
+          ))}
+        </select>
+      );
+    }
+    return multiline ? <textarea rows={3} {...props} /> : <input {...props} />;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => setEditing(true)}
+      title={edited ? "User-corrected (click to edit)" : "Click to edit"}
+      className={`${className} rounded px-1 -mx-1 ${
+        align === "right" ? "text-right" : "text-left"
+      } ${
+        edited
+          ? "bg-amber-50 ring-1 ring-amber-300"
+          : "hover:bg-slate-100 cursor-text"
+      }`}
+    >
+      {shown}
+    </button>
+  );
+}
+
+const FACTOR_LABELS = {
+  evidence: "in OCR text",
+  ocr: "OCR words",
+  math: "arithmetic",
+  crossCheck: "rules agree",
+  reconcile: "reconciled",
+  reading: "unambiguous reading",
+};
+
+const pct = (n) => (n == null ? "—" : `${Math.round(n * 100)}%`);
+
+function scoreColor(score, threshold) {
+  if (score == null) return "text-slate-500";
+  if (score < threshold) return "text-red-600";
+  return score < (1 + threshold) / 2 ? "text-amber-600" : "text-emerald-700";
+}
+
+/** document score + per-field breakdown, weakest fields first */
+function ConfidencePanel({ confidence, edits, threshold }) {
+  const fields = confidence?.fields || {};
+  const summary = summarizeConfidence(fields, { edits, threshold });
+  if (summary.score == null) return null;
+
+  const rows = Object.entries(fields)
+    .map(([path, f]) => ({ path, ...f, user: edits.includes(path) }))
+    .sort((a, b) => (a.user ? 1 : a.score) - (b.user ? 1 : b.score));
+
+  return (
+    <details className="mt-6 rounded-xl border border-slate-200">
+      <summary className="px-4 py-3 cursor-pointer text-sm flex items-center justify-between">
+        <span className="font-semibold text-slate-800">Confidence</span>
+        <span className="text-xs">
+          <span className={`font-bold ${scoreColor(summary.score, threshold)}`}>
+            {pct(summary.score)}
+          </span>
+          <span className="text-slate-500">
+            {" "}
+            · review below {pct(threshold)}
+            {summary.low.length ? ` · ${summary.low.length} weak field(s)` : ""}
+          </span>
+        </span>
+      </summary>
+      <div className="overflow-auto max-h-[320px] border-t border-slate-200">
+        <table className="min-w-full text-xs">
+          <thead className="bg-slate-50 text-slate-500 uppercase">
+            <tr>
+              <th className="text-left px-4 py-2">Field</th>
+              <th className="text-right px-4 py-2">Score</th>
+              <th className="text-left px-4 py-2">Factors</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {rows.map((r) => (
+              <tr key={r.path}>
+                <td className="px-4 py-1.5 font-mono text-slate-700">
+                  {r.path}
+                </td>
+                <td
+                  className={`px-4 py-1.5 text-right font-semibold ${scoreColor(
+                    r.user ? 1 : r.score,
+                    threshold,
+                  )}`}
+                >
+                  {pct(r.user ? 1 : r.score)}
+                </td>
+                <td className="px-4 py-1.5 text-slate-500">
+                  {r.user
+                    ? "user-corrected"
+                    : Object.entries(r.factors)
+                        .map(([k, v]) => `${FACTOR_LABELS[k] || k} ${pct(v)}`)
+                        .join(" · ")}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+}
+
+const plain = (v) =>
+  v == null ? "—" : typeof v === "number" ? v.toLocaleString() : String(v);
+
+/**
+ * Reconciliation audit: every value reconcileMath filled in or changed (as
+ * read -> as kept, and why) and the sums still off. Changes the reviewer
+ * has overridden since drop out; mismatches follow the document as it is now.
+ */
+function ReconcileReport({ changes, mismatches, money }) {
+  if (!changes.length && !mismatches.length) return null;
+
+  return (
+    <details
+      open={mismatches.length > 0}
+      className="mt-6 rounded-xl border border-slate-200"
+    >
+      <summary className="px-4 py-3 cursor-pointer text-sm flex items-center justify-between">
+        <span className="font-semibold text-slate-800">Reconciliation</span>
+        <span className="text-xs text-slate-500">
+          {changes.length} correction{changes.length !== 1 ? "s" : ""}
+          {mismatches.length ? (
+            <span className="font-semibold text-red-600">
+              {" "}
+              · {mismatches.length} mismatch
+              {mismatches.length !== 1 ? "es" : ""}
+            </span>
+          ) : (
+            " · adds up"
+          )}
+        </span>
+      </summary>
+      <ul className="border-t border-slate-200 px-4 py-3 space-y-1.5 text-xs">
+        {mismatches.map((m, i) => (
+          <li
+            key={`mismatch-${i}`}
+            className="flex flex-wrap items-center gap-2 text-red-700"
+          >
+            <TriangleAlert className="w-3.5 h-3.5" />
+            <span>
+              {m.rule}: off by <b>{money(Math.abs(m.difference))}</b> (expected{" "}
+              {money(m.expected)}, document has {money(m.actual)})
+            </span>
+            <span className="font-mono text-red-500">{m.paths.at(-1)}</span>
+          </li>
+        ))}
+        {changes.map((c, i) => (
+          <li
+            key={`change-${i}`}
+            className="flex flex-wrap items-center gap-2 text-slate-700"
+          >
+            <span className="font-mono text-slate-500">{c.path}</span>
+            <span>
+              {c.from === null ? "filled in" : `${plain(c.from)} →`}{" "}
+              <b>{plain(c.to)}</b>
+            </span>
+            {c.rule && <span className="text-slate-500">{c.rule}</span>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+/**
+ * Numbers whose OCR text reads two ways ("1,234": a thousand or one and a
+ * bit). Each stays flagged until the reviewer keeps the reading or picks
+ * another one.
+ */
+function NumberCheck({ ambiguous, edits, onEdit, onVerify }) {
+  const open = Object.entries(ambiguous || {}).filter(
+    ([path]) => !edits.includes(path),
+  );
+  if (!open.length) return null;
+
+  return (
+    <div className="mt-6 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-xs text-amber-900">
+      <div className="font-semibold">
+        {open.length} number{open.length !== 1 ? "s" : ""} could be read two
+        ways
+      </div>
+      <ul className="mt-2 space-y-1.5">
+        {open.map(([path, a]) => (
+          <li key={path} className="flex flex-wrap items-center gap-2">
+            <span className="font-mono text-amber-800">{path}</span>
+            <span>
+              “{a.text}” read as <b>{a.value ?? "—"}</b>
+            </span>
+            {onEdit && (
+              <>
+                <button
+                  onClick={() => onVerify?.(path)}
+                  className="px-2 py-0.5 rounded-lg border border-amber-300 bg-white hover:bg-amber-100"
+                >
+                  Keep
+                </button>
+                {a.alternatives.map((v) => (
+                  <button
+                    key={v}
+                    onClick={() => onEdit(path, v)}
+                    className="px-2 py-0.5 rounded-lg border border-amber-300 bg-white hover:bg-amber-100"
+                  >
+                    Use {v}
+                  </button>
+                ))}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// ISO dates are shown the reader's way; anything else as it came back
+function showDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) return value;
+  return new Date(`${value}T00:00:00Z`).toLocaleDateString(undefined, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+const ORDER_LABELS = { dmy: "day first", mdy: "month first" };
+
+/**
+ * Under the date: its printed text reads two ways (03/04/2025). Stays until
+ * the reviewer keeps the reading or picks the other one.
+ */
+function DateCheck({ reading, edits, onPick }) {
+  if (!reading?.ambiguous || edits.includes("date")) return null;
+  const choices = [reading, ...reading.alternatives];
+
+  return (
+    <div className="mt-1 text-right text-[11px] text-amber-800">
+      “{reading.text}” could be{" "}
+      {choices.map((c, i) => (
+        <React.Fragment key={c.value}>
+          {i > 0 && " or "}
+          <button
+            onClick={onPick && (() => onPick(c))}
+            disabled={!onPick}
+            title={ORDER_LABELS[c.order]}
+            className={`px-1.5 py-0.5 rounded-md border border-amber-300 ${
+              c.value === reading.value ? "bg-amber-100" : "bg-white"
+            } hover:bg-amber-100`}
+          >
+            {showDate(c.value)}
+          </button>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+const ADJUSTMENT_LABELS = {
+  discount: "Discount",
+  fee: "Fee",
+  tip: "Tip",
+  shipping: "Shipping",
+};
+
+/** "p. 2" next to a header/total value read from a known page */
+function PageTag({ page }) {
+  if (page == null) return null;
+  return (
+    <span className="ml-1 text-[10px] font-normal text-slate-400">
+      p. {page}
+    </span>
+  );
+}
+
+/**
+ * Receipt-style view (Structured tab)
+ *
+ * `page` narrows the item table to the rows read from that page (rows
+ * without a page always show); `fieldPages` ({ "<field>": page }) tags the
+ * header and totals with the page they came from. `ambiguous` lists
+ * numbers that read two ways (shared/numbers.js) for the reviewer to settle;
+ * `onVerify(path)` keeps a value as read. `dateReading` is the date's
+ * reading (shared/dates.js); when it is ambiguous `onPickDate(choice)`
+ * settles it. `reconciliation` ({ changes, mismatches }, shared/reconcile.js
+ * reconcileReport) marks what reconcileMath filled in or changed.
+ */
+export default function ReceiptView({
+  data,
+  edits = [],
+  provenance = null,
+  confidence = null,
+  page = null,
+  fieldPages = null,
+  ambiguous = null,
+  dateReading = null,
+  reconciliation = null,
+  reviewThreshold = REVIEW_THRESHOLD,
+  onTrace,
+  onEdit,
+  onVerify,
+  onPickDate,
+  onAddRow,
+  onRemoveRow,
+}) {
+  if (!data) return null;
+
+  const items = Array.isArray(data.line_items) ? data.line_items : [];
+  // [item, index in line_items]: paths keep the full-document index
+  const rows = items
+    .map((it, idx) => [it, idx])
+    .filter(([it]) => page == null || it.page == null || it.page === page);
+  const multiPage =
+    new Set(items.map((it) => it.page).filter(Boolean)).size > 1;
+  const pageSum = rows.reduce((sum, [it]) => sum + (Number(it.amount) || 0), 0);
+  const editable = typeof onEdit === "function";
+
+  // corrections still standing (the last one per path wins the marker) and
+  // the sums off now, marked on the value each one closes
+  const changes = (reconciliation?.changes || []).filter(
+    (c) => !edits.includes(c.path),
+  );
+  const mismatches = mathMismatches(data);
+  const audit = {
+    changes: Object.fromEntries(changes.map((c) => [c.path, c])),
+    mismatches: Object.fromEntries(mismatches.map((m) => [m.paths.at(-1), m])),
+  };
+  const field = { edits, provenance, audit, onTrace, onEdit };
+
+  const money = (n) => {
+    if (n === null || n === undefined || Number.isNaN(Number(n))) return "-";
+    return Number(n).toLocaleString(undefined, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  };
+
+  const currency = data.currency || "";
+
+  const showMoney = (n) => {
+    if (n === null || n === undefined || Number.isNaN(Number(n))) return "-";
+    return `${currency ? currency + " " : ""}${money(n)}`;
+  };
+
+  const subtotal =
+    data.subtotal ??
+    items.reduce((sum, it) => sum + (Number(it.amount) || 0), 0);
+
+  // tax lines; a document without any still offers one to fill in
+  const taxes = data.taxes?.length
+    ? data.taxes.map((t, i) => ({ ...t, path: `taxes.${i}` }))
+    : [{ label: null, rate: data.tax_rate, amount: data.tax_amount }];
+  const adjustments = Array.isArray(data.adjustments) ? data.adjustments : [];
+  const total = data.total;
+  const showPayments =
+    editable || data.amount_paid != null || data.balance_due != null;
+
+  const headerTitle =
+    data.doc_type === "invoice"
+      ? "Invoice"
+      : data.doc_type === "receipt"
+        ? "Receipt"
+        : "Document";
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-2xl overflow-hidden">
+      {/* Header */}
+      <div className="p-5 md:p-6 border-b border-slate-200">
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-6">
+          {/* Vendor / Recipient */}
+          <div className="min-w-0">
+            <div className="text-lg md:text-xl font-bold text-slate-900">
+              <EditField
+                path="vendor_or_sender"
+                value={data.vendor_or_sender}
+                {...field}
+              />
+            </div>
+            <div className="text-xs text-slate-500 mt-1">
+              {data.doc_type ? data.doc_type.toUpperCase() : "DOCUMENT"}
+              <PageTag page={fieldPages?.vendor_or_sender} />
+            </div>
+
+            {(editable || data.recipient_name || data.recipient_address) && (
+              <div className="mt-5">
+                <div className="text-[11px] font-bold uppercase text-slate-500">
+                  Recipient
+                </div>
+                <div className="text-sm font-semibold text-slate-900 mt-1">
+                  <EditField
+                    path="recipient_name"
+                    value={data.recipient_name}
+                    {...field}
+                  />
+                </div>
+                {(editable || data.recipient_address) && (
+                  <div className="text-sm text-slate-600 whitespace-pre-wrap">
+                    <EditField
+                      path="recipient_address"
+                      value={data.recipient_address}
+                      multiline
+                      {...field}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Meta box */}
+          <div className="md:w-[360px] w-full">
+            <div className="rounded-xl border border-slate-200 overflow-hidden">
+              <div className="bg-emerald-600 text-white px-4 py-3 font-bold flex items-center justify-between">
+                <span>{headerTitle}</span>
+                <span className="text-xs font-semibold opacity-95">
+                  <EditField
+                    path="receipt_or_invoice_no"
+                    value={data.receipt_or_invoice_no}
+                    className={editable ? "hover:text-slate-900" : ""}
+                    {...field}
+                  />
+                </span>
+              </div>
+
+              <div className="bg-slate-50 px-4 py-3 text-sm text-slate-700 space-y-2">
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span className="text-slate-500">Date</span>
+                    <span className="font-semibold">
+                      <EditField
+                        path="date"
+                        value={data.date}
+                        format={showDate}
+                        {...field}
+                      />
+                    </span>
+                  </div>
+                  <DateCheck
+                    reading={dateReading}
+                    edits={edits}
+                    onPick={onPickDate}
+                  />
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-slate-500">Currency</span>
+                  <span className="font-semibold">
+                    <EditField
+                      path="currency"
+                      value={data.currency}
+                      {...field}
+                    />
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-slate-500">Doc Type</span>
+                  <span className="font-semibold">
+                    <EditField
+                      path="doc_type"
+                      value={data.doc_type}
+                      options={DOC_TYPES}
+                      {...field}
+                    />
+                  </span>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Items table */}
+      <div className="p-5 md:p-6">
+        <div className="overflow-auto rounded-xl border border-slate-200">
+          <table className="min-w-full text-sm">
+            <thead className="bg-emerald-600 text-white text-xs uppercase sticky top-0">
+              <tr>
+                <th className="text-left px-4 py-3 w-[22%]">
+                  Product / Service
+                </th>
+                <th className="text-left px-4 py-3 w-[40%]">Description</th>
+                <th className="text-right px-4 py-3 w-[8%]">Qty</th>
+                <th className="text-right px-4 py-3 w-[15%]">Unit Price</th>
+                <th className="text-right px-4 py-3 w-[15%]">Amount</th>
+                {editable && <th className="w-8" />}
+              </tr>
+            </thead>
+
+            <tbody className="divide-y divide-slate-100 bg-white">
+              {rows.length === 0 ? (
+                <tr>
+                  <td
+                    className="px-4 py-5 text-slate-500"
+                    colSpan={editable ? 6 : 5}
+                  >
+                    {page != null && items.length
+                      ? `No line items on page ${page}.`
+                      : "No line items found."}
+                  </td>
+                </tr>
+              ) : (
+                rows.map(([it, idx], r) => (
+                  <React.Fragment key={idx}>
+                    {page == null &&
+                      multiPage &&
+                      it.page != null &&
+                      it.page !== rows[r - 1]?.[0].page && (
+                        <tr className="bg-slate-50">
+                          <td
+                            colSpan={editable ? 6 : 5}
+                            className="px-4 py-1.5 text-[11px] font-semibold uppercase text-slate-500"
+                          >
+                            Page {it.page}
+                          </td>
+                        </tr>
+                      )}
+                    <tr className="hover:bg-slate-50">
+                      <td className="px-4 py-3 text-slate-900">
+                        <EditField
+                          path={`line_items.${idx}.product_or_service`}
+                          value={it.product_or_service}
+                          {...field}
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-slate-700">
+                        <EditField
+                          path={`line_items.${idx}.description`}
+                          value={it.description}
+                          {...field}
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-right text-slate-900">
+                        <EditField
+                          path={`line_items.${idx}.qty`}
+                          value={it.qty}
+                          align="right"
+                          {...field}
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-right text-slate-900">
+                        <EditField
+                          path={`line_items.${idx}.unit_price`}
+                          value={it.unit_price}
+                          format={money}
+                          align="right"
+                          {...field}
+                        />
+                      </td>
+                      <td className="px-4 py-3 text-right font-semibold text-slate-900">
+                        <EditField
+                          path={`line_items.${idx}.amount`}
+                          value={it.amount}
+                          format={money}
+                          align="right"
+                          {...field}
+                        />
+                      </td>
+                      {editable && (
+                        <td className="pr-3 text-right">
+                          <button
+                            onClick={() => onRemoveRow?.(idx)}
+                            className="p-1 rounded hover:bg-red-50 text-slate-400 hover:text-red-600"
+                            title="Remove row"
+                          >
+                            <Trash2 className="w-3.5 h-3.5" />
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  </React.Fragment>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {editable && (
+          <button
+            onClick={() => onAddRow?.()}
+            className="mt-3 text-xs text-emerald-700 hover:underline inline-flex items-center gap-1"
+          >
+            <Plus className="w-3 h-3" />
+            Add line item
+          </button>
+        )}
+
+        {/* Totals + Notes */}
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-12 gap-6">
+          <div className="md:col-span-6 text-sm text-slate-600">
+            {editable || data.notes ? (
+              <>
+                <div className="font-semibold text-slate-700 mb-1">Notes</div>
+                <div className="whitespace-pre-wrap">
+                  <EditField
+                    path="notes"
+                    value={data.notes}
+                    multiline
+                    {...field}
+                  />
+                </div>
+              </>
+            ) : (
+              <div className="text-slate-400">—</div>
+            )}
+          </div>
+
+          <div className="md:col-span-6 md:flex md:justify-end">
+            <div className="w-full md:w-[380px] rounded-xl border border-slate-200 bg-white">
+              <div className="px-4 py-3 border-b border-slate-200 font-semibold text-slate-800">
+                Totals
+              </div>
+
+              <div className="p-4 space-y-2 text-sm">
+                {page != null && multiPage && (
+                  <div className="flex justify-between text-xs text-slate-500 pb-2 border-b border-slate-100">
+                    <span>Items on page {page}</span>
+                    <span>{showMoney(pageSum)}</span>
+                  </div>
+                )}
+
+                <div className="flex justify-between">
+                  <span className="text-slate-600">
+                    Subtotal
+                    <PageTag page={fieldPages?.subtotal} />
+                  </span>
+                  <span className="font-medium text-slate-900">
+                    <EditField
+                      path="subtotal"
+                      value={subtotal}
+                      format={showMoney}
+                      align="right"
+                      {...field}
+                    />
+                  </span>
+                </div>
+
+                {taxes.map((t, i) => (
+                  <div key={`tax-${i}`} className="flex justify-between">
+                    <span className="text-slate-600">
+                      {t.label || "Tax"}
+                      {editable ? (
+                        <>
+                          {" ("}
+                          <EditField
+                            path={t.path ? `${t.path}.rate` : "tax_rate"}
+                            value={t.rate}
+                            {...field}
+                          />
+                          %)
+                        </>
+                      ) : t.rate != null ? (
+                        ` (${t.rate}%)`
+                      ) : (
+                        ""
+                      )}
+                      {t.included && (
+                        <span className="ml-1 text-xs text-slate-400">
+                          incl.
+                        </span>
+                      )}
+                      <PageTag
+                        page={
+                          t.path ? fieldPages?.taxes : fieldPages?.tax_amount
+                        }
+                      />
+                    </span>
+                    <span className="font-medium text-slate-900">
+                      <EditField
+                        path={t.path ? `${t.path}.amount` : "tax_amount"}
+                        value={t.amount}
+                        format={showMoney}
+                        align="right"
+                        {...field}
+                      />
+                    </span>
+                  </div>
+                ))}
+
+                {adjustments.map((a, i) => (
+                  <div key={`adjustment-${i}`} className="flex justify-between">
+                    <span className="text-slate-600">
+                      {a.label || ADJUSTMENT_LABELS[a.type]}
+                      {a.label && (
+                        <span className="ml-1 text-[10px] uppercase text-slate-400">
+                          {a.type}
+                        </span>
+                      )}
+                      <PageTag page={fieldPages?.adjustments} />
+                    </span>
+                    <span className="font-medium text-slate-900">
+                      <EditField
+                        path={`adjustments.${i}.amount`}
+                        value={a.amount}
+                        format={showMoney}
+                        align="right"
+                        {...field}
+                      />
+                    </span>
+                  </div>
+                ))}
+
+                <div className="border-t border-slate-200 pt-3 flex justify-between">
+                  <span className="font-semibold text-slate-800">
+                    Total
+                    <PageTag page={fieldPages?.total} />
+                  </span>
+                  <span className="font-bold text-slate-900">
+                    <EditField
+                      path="total"
+                      value={total}
+                      format={showMoney}
+                      align="right"
+                      {...field}
+                    />
+                  </span>
+                </div>
+
+                {showPayments && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-slate-600">
+                        Paid
+                        <PageTag page={fieldPages?.amount_paid} />
+                      </span>
+                      <span className="font-medium text-slate-900">
+                        <EditField
+                          path="amount_paid"
+                          value={data.amount_paid}
+                          format={showMoney}
+                          align="right"
+                          {...field}
+                        />
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="font-semibold text-slate-800">
+                        Balance due
+                        <PageTag page={fieldPages?.balance_due} />
+                      </span>
+                      <span className="font-bold text-slate-900">
+                        <EditField
+                          path="balance_due"
+                          value={data.balance_due}
+                          format={showMoney}
+                          align="right"
+                          {...field}
+                        />
+                      </span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <ReconcileReport
+          changes={changes}
+          mismatches={mismatches}
+          money={showMoney}
+        />
+
+        <NumberCheck
+          ambiguous={ambiguous}
+          edits={edits}
+          onEdit={onEdit}
+          onVerify={onVerify}
+        />
+
+        <ConfidencePanel
+          confidence={confidence}
+          edits={edits}
+          threshold={reviewThreshold}
+        />
+
+        {/* Extra metadata */}
+        <div className="mt-5 text-xs text-slate-500">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <div>
+              <span className="font-semibold text-slate-600">Reference:</span>{" "}
+              {data.receipt_or_invoice_no || "—"}
+            </div>
+            <div className="sm:text-right">
+              <span className="font-semibold text-slate-600">Doc Type:</span>{" "}
+              {data.doc_type || "—"}
+            </div>
+          </div>
+          {provenance && (
+            <div className="mt-2 flex flex-wrap items-center gap-3">
+              {Object.entries(SOURCE_STATUS).map(([k, s]) => (
+                <span key={k} className="inline-flex items-center gap-1">
+                  <span
+                    className={`inline-block w-2 h-2 rounded-full ${s.dot}`}
+                  />
+                  {s.label}
+                </span>
+              ))}
+            </div>
+          )}
+          {edits.length > 0 && (
+            <div className="mt-2 inline-flex items-center gap-2">
+              <span className="inline-block w-3 h-3 rounded bg-amber-50 ring-1 ring-amber-300" />
+              {edits.length} user-corrected field
+              {edits.length !== 1 ? "s" : ""}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
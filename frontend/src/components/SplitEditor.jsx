@@ -0,0 +1,90 @@
+import React from "react";
+import { Scissors } from "lucide-react";
+import { pageRangeLabel, toggleBoundary } from "../../../shared/split.js";
+
+/**
+ * Page strip of a multi-page file with the detected document boundaries.
+ * Clicking the gap before a page splits there, or merges it into the
+ * document before; blank separator pages (in no segment) are greyed out.
+ */
+export default function SplitEditor({ pages, segments, onChange, disabled }) {
+  const segs = segments?.length
+    ? segments
+    : [{ from: pages[0].page, to: pages.at(-1).page, reasons: [] }];
+  const segOf = (page) => segs.findIndex((s) => s.from <= page && page <= s.to);
+
+  return (
+    <div className="rounded-xl border border-slate-200 bg-slate-50 px-3 py-2 text-xs text-slate-600">
+      <div className="flex items-center justify-between gap-2">
+        <span className="inline-flex items-center gap-1 font-semibold text-slate-700">
+          <Scissors className="w-3.5 h-3.5" />
+          {segs.length > 1
+            ? `${segs.length} documents in this file`
+            : "One document"}
+        </span>
+        {segs.length > 1 && (
+          <button
+            onClick={() =>
+              onChange([
+                { from: segs[0].from, to: segs.at(-1).to, reasons: [] },
+              ])
+            }
+            disabled={disabled}
+            className="text-slate-500 hover:underline disabled:text-slate-300"
+          >
+            Keep as one
+          </button>
+        )}
+      </div>
+
+      <div className="mt-2 flex flex-wrap items-center gap-y-1">
+        {pages.map((p, i) => {
+          const s = segOf(p.page);
+          const prev = i > 0 ? segOf(pages[i - 1].page) : -1;
+          const starts = s >= 0 && segs[s].from === p.page;
+          return (
+            <React.Fragment key={p.page}>
+              {i > 0 && s >= 0 && (
+                <button
+                  onClick={() => onChange(toggleBoundary(segs, p.page))}
+                  disabled={disabled || (starts && s === 0)}
+                  title={
+                    starts
+                      ? `Merge with the document before${
+                          segs[s].reasons?.length
+                            ? ` (split: ${segs[s].reasons.join(", ")})`
+                            : ""
+                        }`
+                      : `Split: new document from page ${p.page}`
+                  }
+                  className={`mx-0.5 h-6 rounded ${
+                    starts
+                      ? "w-1.5 bg-red-500 hover:bg-red-300"
+                      : "w-1.5 bg-slate-200 hover:bg-red-300"
+                  }`}
+                />
+              )}
+              {i > 0 && s < 0 && prev >= 0 && <span className="w-2" />}
+              <span
+                title={
+                  s >= 0
+                    ? `Document ${s + 1} (${pageRangeLabel(segs[s])})`
+                    : "In no document (blank separator or removed)"
+                }
+                className={`px-2 py-1 rounded-lg border ${
+                  s < 0
+                    ? "border-dashed border-slate-300 text-slate-400"
+                    : s % 2
+                      ? "border-sky-200 bg-sky-50 text-sky-800"
+                      : "border-emerald-200 bg-emerald-50 text-emerald-800"
+                }`}
+              >
+                {p.page}
+              </span>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React from "react";
+import { parseNumber } from "../../../shared/numbers.js";
+
+const KEY_LABELS = {
+  product_or_service: "Product / Service",
+  description: "Description",
+  qty: "Qty",
+  unit_price: "Unit Price",
+  amount: "Amount",
+};
+
+const NUMBER_KEYS = ["qty", "unit_price", "amount"];
+
+/**
+ * Detected Tables tab: item tables rebuilt from OCR word positions
+ * (shared/tables.js), one per page region. Each column shows the header
+ * text it was cut from and the line-item field it maps to; clicking a row
+ * shows it on the page image. Number cells that read two ways with the
+ * document's `decimal` style ("1,234") are marked amber.
+ */
+export default function TablesView({ tables, decimal = null, onShowRow }) {
+  if (!tables.length) {
+    return (
+      <div className="rounded-2xl border border-slate-200 bg-slate-50 p-6 text-sm text-slate-600">
+        No item table found in the page layout. Tables are recognised by a
+        header row with column names such as <b>Qty</b>, <b>Unit Price</b> or{" "}
+        <b>Amount</b>.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      {tables.map((t, ti) => (
+        <div key={ti}>
+          <div className="text-xs text-slate-500 mb-1">
+            Page {t.page} · {t.rows.length} row{t.rows.length !== 1 ? "s" : ""}
+          </div>
+          <div className="overflow-auto rounded-xl border border-slate-200">
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-100 text-xs text-slate-600">
+                <tr>
+                  {t.columns.map((c, ci) => (
+                    <th
+                      key={ci}
+                      className={`px-3 py-2 font-semibold ${
+                        NUMBER_KEYS.includes(c.key) ? "text-right" : "text-left"
+                      }`}
+                    >
+                      <div>{c.label}</div>
+                      <div
+                        className={`text-[10px] font-normal ${
+                          c.key ? "text-emerald-700" : "text-slate-400"
+                        }`}
+                      >
+                        {c.key ? `→ ${KEY_LABELS[c.key]}` : "not used"}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 bg-white">
+                {t.rows.map((r, ri) => (
+                  <tr
+                    key={ri}
+                    onClick={onShowRow && (() => onShowRow(t, r))}
+                    className={
+                      onShowRow ? "cursor-pointer hover:bg-slate-50" : ""
+                    }
+                    title={onShowRow ? "Show on page" : undefined}
+                  >
+                    {r.cells.map((cell, ci) => {
+                      const key = t.columns[ci].key;
+                      const numeric = NUMBER_KEYS.includes(key);
+                      // a number column whose text did not read as a number
+                      const unread = numeric && cell && r.item[key] == null;
+                      const reading =
+                        numeric && !unread && parseNumber(cell, { decimal });
+                      return (
+                        <td
+                          key={ci}
+                          className={`px-3 py-2 ${
+                            numeric ? "text-right tabular-nums" : ""
+                          } ${
+                            unread
+                              ? "text-red-600"
+                              : reading?.ambiguous
+                                ? "text-amber-700"
+                                : "text-slate-800"
+                          }`}
+                          title={
+                            unread
+                              ? "Not read as a number"
+                              : reading?.ambiguous
+                                ? `Read as ${reading.value}; could be ${reading.alternatives.join(" or ")}`
+                                : undefined
+                          }
+                        >
+                          {cell || "—"}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
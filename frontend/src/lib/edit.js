@@ -0,0 +1,226 @@
+import { reconcileMath, toNumber } from "../../../shared/reconcile.js";
+import { parseDate } from "../../../shared/dates.js";
+
+// ---------- Receipt editing: user corrections + live re-reconciliation ----------
+//
+// `edits` is a list of user-corrected paths ("vendor_or_sender",
+// "line_items.2.qty"). Edited values always win; values that depend on an
+// edited one are cleared (unless the user set them too) and re-derived by the
+// same reconcileMath the server uses.
+
+const NUMERIC = new Set([
+  "subtotal",
+  "tax_rate",
+  "tax_amount",
+  "total",
+  "amount_paid",
+  "balance_due",
+  "qty",
+  "unit_price",
+  "amount",
+  "rate",
+]);
+
+// line item: which sibling to re-derive when a field changes (first free one)
+const LINE_DEPENDENTS = {
+  qty: ["amount", "unit_price"],
+  unit_price: ["amount", "qty"],
+  amount: ["unit_price", "qty"],
+};
+
+// header: what each total-box field feeds into ("taxes" / "adjustments"
+// stand for any of their lines)
+const HEADER_DEPENDENTS = {
+  subtotal: ["taxes", "tax_amount", "total", "balance_due"],
+  tax_rate: ["tax_amount", "total", "balance_due"],
+  tax_amount: ["total", "balance_due"],
+  taxes: ["tax_amount", "total", "balance_due"],
+  adjustments: ["taxes", "tax_amount", "total", "balance_due"],
+  total: ["balance_due"],
+  amount_paid: ["balance_due"],
+};
+
+// `decimal` ("." | ",") reads typed numbers like "1.234" the document's way,
+// `dateOrder` ("dmy" | "mdy") typed dates like 4/3/25; dates are kept as ISO
+function parseValue(field, raw, { decimal, dateOrder }) {
+  if (NUMERIC.has(field)) return toNumber(raw, { decimal });
+  const s = raw == null ? "" : String(raw).trim();
+  if (field === "date" && s) {
+    return parseDate(s, { order: dateOrder })?.value ?? s;
+  }
+  return s ? s : null;
+}
+
+function getAt(obj, parts) {
+  return parts.reduce((o, k) => (o == null ? o : o[k]), obj);
+}
+
+function setAt(obj, parts, value) {
+  const last = parts[parts.length - 1];
+  getAt(obj, parts.slice(0, -1))[last] = value;
+}
+
+/** clear header fields that derive from `field` (cascading), except user-set ones */
+function clearHeader(next, edits, field) {
+  for (const dep of HEADER_DEPENDENTS[field] || []) {
+    if (dep === "taxes") {
+      (next.taxes || []).forEach((t, i) => clearTaxLine(next, edits, i));
+      continue;
+    }
+    if (edits.includes(dep)) continue;
+    // a lone tax total is only re-derived from a rate; tax lines re-sum it
+    if (dep === "tax_amount" && next.tax_rate == null && !next.taxes?.length)
+      continue;
+    // without a payment the balance due can't be worked out again
+    if (dep === "balance_due" && next.amount_paid == null) continue;
+    next[dep] = null;
+  }
+}
+
+/** a tax line's amount follows its rate (tax added on top only) */
+function clearTaxLine(next, edits, i) {
+  const t = next.taxes[i];
+  if (t.rate == null || t.included || edits.includes(`taxes.${i}.amount`)) {
+    return;
+  }
+  t.amount = null;
+}
+
+/** reconcile, then put every user-corrected value back */
+function reconcileKeepingEdits(next, edits) {
+  // reconcileMath works in place: reconcile a copy, `next` keeps what was typed
+  const reconciled = reconcileMath(structuredClone(next));
+  for (const path of edits) {
+    const parts = path.split(".");
+    const target = getAt(reconciled, parts.slice(0, -1));
+    if (target) setAt(reconciled, parts, getAt(next, parts) ?? null);
+  }
+  return reconciled;
+}
+
+/**
+ * Apply one user edit. Returns { structured, edits } (both new objects).
+ * path: "date" | "line_items.<i>.<field>" | "taxes.<i>.<field>" |
+ * "adjustments.<i>.amount"; `decimal` / `dateOrder` as for toNumber /
+ * parseDate.
+ */
+export function applyEdit(
+  structured,
+  edits,
+  path,
+  raw,
+  { decimal = null, dateOrder = null } = {},
+) {
+  const next = structuredClone(structured);
+  const parts = path.split(".");
+  const field = parts[parts.length - 1];
+  let value = parseValue(field, raw, { decimal, dateOrder });
+  // a discount typed as "5" still counts against the total
+  if (
+    parts[0] === "adjustments" &&
+    field === "amount" &&
+    value != null &&
+    getAt(next, parts.slice(0, -1))?.type === "discount"
+  ) {
+    value = -Math.abs(value);
+  }
+
+  if (getAt(next, parts) === value) return { structured, edits };
+
+  setAt(next, parts, value);
+  const nextEdits = edits.includes(path) ? edits : [...edits, path];
+
+  if (parts[0] === "line_items") {
+    const idx = Number(parts[1]);
+    const line = next.line_items[idx];
+    const free = (LINE_DEPENDENTS[field] || []).find(
+      (f) => !nextEdits.includes(`line_items.${idx}.${f}`),
+    );
+    if (free) line[free] = null;
+
+    if (NUMERIC.has(field)) itemsChanged(next, nextEdits);
+  } else if (parts[0] === "taxes" || parts[0] === "adjustments") {
+    if (field === "rate") clearTaxLine(next, nextEdits, Number(parts[1]));
+    if (NUMERIC.has(field)) clearHeader(next, nextEdits, parts[0]);
+  } else {
+    clearHeader(next, nextEdits, field);
+  }
+
+  return {
+    structured: reconcileKeepingEdits(next, nextEdits),
+    edits: nextEdits,
+  };
+}
+
+/** line amounts changed: subtotal (and what follows) must be re-derived */
+function itemsChanged(next, edits) {
+  if (edits.includes("subtotal")) return;
+  next.subtotal = null;
+  clearHeader(next, edits, "subtotal");
+}
+
+/** the reviewer confirms a value as read: it counts as user-verified */
+export function markVerified(structured, edits, path) {
+  return {
+    structured,
+    edits: edits.includes(path) ? edits : [...edits, path],
+  };
+}
+
+export function addLineItem(structured, edits, page = null) {
+  const next = structuredClone(structured);
+  next.line_items = [
+    ...(next.line_items || []),
+    {
+      product_or_service: null,
+      description: null,
+      qty: null,
+      unit_price: null,
+      amount: null,
+      // added while one page is shown: it belongs to that page
+      ...(page != null && { page }),
+    },
+  ];
+  return { structured: reconcileKeepingEdits(next, edits), edits };
+}
+
+/** path after row `index` is removed (null when it belonged to that row) */
+function shiftLinePath(p, index) {
+  const m = /^line_items\.(\d+)\.(.+)$/.exec(p);
+  if (!m) return p;
+  const i = Number(m[1]);
+  if (i === index) return null;
+  return i > index ? `line_items.${i - 1}.${m[2]}` : p;
+}
+
+/** drop a row and shift the edit markers of the rows below it */
+export function removeLineItem(structured, edits, index) {
+  const next = structuredClone(structured);
+  next.line_items = (next.line_items || []).filter((_, i) => i !== index);
+
+  const nextEdits = edits.map((p) => shiftLinePath(p, index)).filter(Boolean);
+
+  itemsChanged(next, nextEdits);
+  return {
+    structured: reconcileKeepingEdits(next, nextEdits),
+    edits: nextEdits,
+  };
+}
+
+/** drop / re-key reconciliation changes ({ path, ... }) after removeLineItem */
+export function removeLineChanges(changes, index) {
+  return (changes || [])
+    .map((c) => ({ ...c, path: shiftLinePath(c.path, index) }))
+    .filter((c) => c.path);
+}
+
+/** re-key a path-keyed map (provenance, field scores) after removeLineItem */
+export function removeLinePaths(byPath, index) {
+  if (!byPath) return byPath;
+  const next = {};
+  for (const [p, v] of Object.entries(byPath)) {
+    const shifted = shiftLinePath(p, index);
+    if (shifted) next[shifted] = v;
+  }
+  return next;
+}
@@ -0,0 +1,184 @@
+import { toCsv } from "../../../shared/csv.js";
+import { round2 } from "../../../shared/reconcile.js";
+import { pageRangeLabel } from "../../../shared/split.js";
+
+// ---------- Export structured queue items (CSV / XLSX / ZIP bundle) ----------
+
+export const HEADER_COLUMNS = [
+  { key: "document_id", label: "document_id" },
+  { key: "file", label: "file" },
+  { key: "doc_type", label: "doc_type" },
+  { key: "vendor", label: "vendor" },
+  { key: "number", label: "number" },
+  { key: "date", label: "date" },
+  { key: "currency", label: "currency" },
+  { key: "subtotal", label: "subtotal" },
+  { key: "tax", label: "tax" },
+  { key: "adjustments", label: "adjustments" },
+  { key: "total", label: "total" },
+  { key: "amount_paid", label: "amount_paid" },
+  { key: "balance_due", label: "balance_due" },
+];
+
+// same field names ReceiptView reads from line_items
+export const LINE_ITEM_COLUMNS = [
+  { key: "document_id", label: "document_id" },
+  { key: "file", label: "file" },
+  { key: "line_no", label: "line_no" },
+  { key: "page", label: "page" },
+  { key: "product_or_service", label: "product_or_service" },
+  { key: "description", label: "description" },
+  { key: "qty", label: "qty" },
+  { key: "unit_price", label: "unit_price" },
+  { key: "amount", label: "amount" },
+];
+
+/** file name, plus the pages of a document split from it */
+function documentName(it) {
+  return it.pageRange
+    ? `${it.file.name} (${pageRangeLabel(it.pageRange)})`
+    : it.file.name;
+}
+
+export function headerRows(items) {
+  return items.map((it) => {
+    const s = it.structured || {};
+    return {
+      document_id: it.id,
+      file: documentName(it),
+      doc_type: s.doc_type ?? null,
+      vendor: s.vendor_or_sender ?? null,
+      number: s.receipt_or_invoice_no ?? null,
+      date: s.date ?? null,
+      currency: s.currency ?? null,
+      subtotal: s.subtotal ?? null,
+      tax: s.tax_amount ?? null,
+      // discounts, fees, tips and shipping, net
+      adjustments: Array.isArray(s.adjustments)
+        ? round2(s.adjustments.reduce((sum, a) => sum + (a.amount ?? 0), 0))
+        : null,
+      total: s.total ?? null,
+      amount_paid: s.amount_paid ?? null,
+      balance_due: s.balance_due ?? null,
+    };
+  });
+}
+
+export function lineItemRows(items) {
+  return items.flatMap((it) => {
+    const lines = Array.isArray(it.structured?.line_items)
+      ? it.structured.line_items
+      : [];
+    return lines.map((li, idx) => ({
+      document_id: it.id,
+      file: documentName(it),
+      line_no: idx + 1,
+      page: li.page ?? null,
+      product_or_service: li.product_or_service ?? null,
+      description: li.description ?? null,
+      qty: li.qty ?? null,
+      unit_price: li.unit_price ?? null,
+      amount: li.amount ?? null,
+    }));
+  });
+}
+
+function stamp() {
+  return new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+}
+
+function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const CSV_TYPE = "text/csv;charset=utf-8";
+
+export function exportHeaderCsv(items) {
+  const csv = toCsv(headerRows(items), HEADER_COLUMNS);
+  download(new Blob([csv], { type: CSV_TYPE }), `documents-${stamp()}.csv`);
+}
+
+export function exportLineItemCsv(items) {
+  const csv = toCsv(lineItemRows(items), LINE_ITEM_COLUMNS);
+  download(new Blob([csv], { type: CSV_TYPE }), `line-items-${stamp()}.csv`);
+}
+
+/** one workbook: "Documents" + "Line Items" sheets */
+export async function exportXlsx(items) {
+  const { default: ExcelJS } = await import("exceljs");
+  const wb = new ExcelJS.Workbook();
+
+  const addSheet = (name, columns, rows) => {
+    const ws = wb.addWorksheet(name);
+    ws.columns = columns.map((c) => ({
+      header: c.label,
+      key: c.key,
+      width: Math.max(12, c.label.length + 2),
+    }));
+    ws.addRows(rows);
+    ws.getRow(1).font = { bold: true };
+    ws.views = [{ state: "frozen", ySplit: 1 }];
+  };
+
+  addSheet("Documents", HEADER_COLUMNS, headerRows(items));
+  addSheet("Line Items", LINE_ITEM_COLUMNS, lineItemRows(items));
+
+  const buf = await wb.xlsx.writeBuffer();
+  download(
+    new Blob([buf], {
+      type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    }),
+    `documents-${stamp()}.xlsx`,
+  );
+}
+
+/**
+ * zip: <name>.json (structured + its reconciliation audit) + <name>.txt (OCR
+ * text) per file, plus both CSVs
+ */
+export async function exportZipBundle(items) {
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+  const used = new Set();
+
+  for (const it of items) {
+    const base =
+      (it.file.name.replace(/\.[^.]+$/, "") || "document") +
+      (it.pageRange
+        ? `-p${it.pageRange.from}${
+            it.pageRange.to > it.pageRange.from ? `-${it.pageRange.to}` : ""
+          }`
+        : "");
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+    used.add(name);
+
+    zip.file(
+      `${name}.json`,
+      JSON.stringify(
+        {
+          document_id: it.id,
+          file: documentName(it),
+          ...it.structured,
+          reconciliation: it.reconciliation ?? null,
+        },
+        null,
+        2,
+      ),
+    );
+    zip.file(`${name}.txt`, it.ocrText || "");
+  }
+
+  zip.file("documents.csv", toCsv(headerRows(items), HEADER_COLUMNS));
+  zip.file("line_items.csv", toCsv(lineItemRows(items), LINE_ITEM_COLUMNS));
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  download(blob, `ocr-bundle-${stamp()}.zip`);
+}
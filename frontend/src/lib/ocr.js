@@ -1,6 +1,19 @@
 import { createWorker } from "tesseract.js";
 import * as pdfjsLib from "pdfjs-dist";
 import UTIFImport from "utif";
+import {
+  OCR_PRESETS,
+  canvasCleaner,
+  estimateOrientation,
+  orientCanvas,
+  rateOrientation,
+  recognizeBestStrategy,
+  toPageLayout,
+} from "../../../shared/ocrCore.js";
+import { textLayerToPage, isUsableTextLayer } from "../../../shared/pdfText.js";
+import { DEFAULT_LANG, ocrWithLanguage } from "../../../shared/languages.js";
+import { joinPages } from "../../../shared/pages.js";
+import { abortable, createPool, mapLimit } from "./pool.js";
 
 // ✅ Normalize UTIF export for Vite/ESM/CJS
 const UTIF = UTIFImport?.default ?? UTIFImport;
@@ -9,220 +22,324 @@ const UTIF = UTIFImport?.default ?? UTIFImport;
 import pdfWorker from "pdfjs-dist/build/pdf.worker.mjs?url";
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker;
 
-const OCR_LANG = "eng";
-
-// ---------- Tesseract Worker (reuse = faster + better control) ----------
-let workerPromise = null;
-
-async function getWorker() {
-  if (!workerPromise) {
-    workerPromise = (async () => {
-      const worker = await createWorker(OCR_LANG);
+// ---------- Tesseract worker pools (one per language set, reuse = faster) ----------
+//
+// tesseract.js's createScheduler hands single jobs to whichever worker is
+// idle, but a page needs several setParameters + recognize calls in a row on
+// the same worker (PSM passes, binarisation strategies), so each page leases
+// a whole worker from the pool instead.
+
+// pages/documents in flight; leave a core for the UI and pdf.js
+export const OCR_CONCURRENCY = Math.max(
+  1,
+  Math.min(4, (navigator.hardwareConcurrency || 2) - 1),
+);
+
+const MAX_POOLS = 2;
+const pools = new Map(); // "eng+fra" -> pool, least recently used first
+
+// VITE_TESSDATA_URL: self-hosted <lang>.traineddata.gz (e.g. /tessdata) so
+// OCR works offline; unset = tesseract.js CDN
+const TESSDATA_URL = import.meta.env.VITE_TESSDATA_URL;
+
+async function createOcrWorker(langs) {
+  const worker = await createWorker(
+    langs,
+    undefined,
+    TESSDATA_URL ? { langPath: TESSDATA_URL } : {},
+  );
+
+  // Default params (good for most documents)
+  await worker.setParameters({
+    // 6 = block of text, 4 = columns, 11 = sparse/table-ish
+    tessedit_pageseg_mode: "6",
+    preserve_interword_spaces: "1",
+    user_defined_dpi: "300",
+  });
 
-      // Default params (good for most documents)
-      await worker.setParameters({
-        // 6 = block of text, 4 = columns, 11 = sparse/table-ish
-        tessedit_pageseg_mode: "6",
-        preserve_interword_spaces: "1",
-        user_defined_dpi: "300",
-      });
+  return worker;
+}
 
-      return worker;
-    })();
+/** run task(worker) on a leased worker of the `langs` pool */
+function withWorker(langs, task) {
+  let pool = pools.get(langs);
+  if (pool) {
+    pools.delete(langs);
+  } else {
+    pool = createPool(
+      () => createOcrWorker(langs),
+      OCR_CONCURRENCY,
+      (w) => w.terminate(),
+    );
+  }
+  pools.set(langs, pool);
+
+  // traineddata is large: drop the stalest language sets once they are idle
+  for (const [oldLangs, old] of pools) {
+    if (pools.size <= MAX_POOLS) break;
+    if (oldLangs === langs || old.busy) continue;
+    pools.delete(oldLangs);
+    old.terminate();
   }
-  return workerPromise;
+
+  return pool.use(task);
 }
 
 // Optional: call this when your app closes/unmounts
 export async function terminateOcrWorker() {
-  if (workerPromise) {
-    const worker = await workerPromise;
-    await worker.terminate();
-    workerPromise = null;
-  }
+  const all = [...pools.values(), preprocessPool];
+  pools.clear();
+  await Promise.all(all.map((p) => p?.terminate()));
 }
 
-// ---------- Image preprocessing (biggest OCR boost) ----------
-function preprocessCanvas(
-  srcCanvas,
-  {
-    upscale = 1.7, // 1.0 = none, 1.5-2.0 helps small text
-    contrast = 35, // 0-60 typical
-    threshold = 165, // 0-255 tune per docs
-    grayscale = true,
-    sharpen = true,
-    invert = false, // set true if white text on black background
-  } = {},
-) {
-  const w = Math.max(1, Math.floor(srcCanvas.width * upscale));
-  const h = Math.max(1, Math.floor(srcCanvas.height * upscale));
+// ---------- Preprocessing workers (pixel loops off the UI thread) ----------
+
+const OFFSCREEN =
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof createImageBitmap === "function";
+
+const preprocessPool = OFFSCREEN
+  ? createPool(
+      () =>
+        new Worker(new URL("./preprocess.worker.js", import.meta.url), {
+          type: "module",
+        }),
+      OCR_CONCURRENCY,
+      (w) => w.terminate(),
+    )
+  : null;
+
+/** one request/response round trip with a preprocessing worker */
+function inWorker(op, canvas, options) {
+  return preprocessPool.use(async (worker) => {
+    const bitmap = await createImageBitmap(canvas);
+    return new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) =>
+        data.error ? reject(new Error(data.error)) : resolve(data);
+      worker.onerror = (e) =>
+        reject(new Error(e.message || "Preprocessing worker failed."));
+      worker.postMessage({ op, bitmap, options }, [bitmap]);
+    });
+  });
+}
+
+// without OffscreenCanvas support everything stays on the main thread
+const clean = OFFSCREEN
+  ? (canvas, options) => inWorker("clean", canvas, options)
+  : canvasCleaner(createCanvas);
+
+const estimate = OFFSCREEN
+  ? async (canvas) => (await inWorker("estimate", canvas)).estimate
+  : (canvas) => estimateOrientation(canvas, createCanvas);
 
+function createCanvas(w, h) {
   const canvas = document.createElement("canvas");
   canvas.width = w;
   canvas.height = h;
-
-  const ctx = canvas.getContext("2d", { willReadFrequently: true });
-  if (!ctx) throw new Error("Canvas 2D context not available.");
-
-  // draw scaled
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = "high";
-  ctx.drawImage(srcCanvas, 0, 0, w, h);
-
-  const img = ctx.getImageData(0, 0, w, h);
-  const d = img.data;
-
-  // contrast math
-  const c = contrast / 100 + 1; // contrast factor
-  const intercept = 128 * (1 - c);
-
-  // grayscale + contrast + threshold
-  for (let i = 0; i < d.length; i += 4) {
-    let r = d[i],
-      g = d[i + 1],
-      b = d[i + 2];
-
-    if (grayscale) {
-      const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-      r = g = b = gray;
-    }
-
-    r = r * c + intercept;
-    g = g * c + intercept;
-    b = b * c + intercept;
-
-    let v = (r + g + b) / 3 >= threshold ? 255 : 0;
-    if (invert) v = 255 - v;
-
-    d[i] = d[i + 1] = d[i + 2] = v;
-    // alpha stays
-  }
-
-  ctx.putImageData(img, 0, 0);
-
-  // simple sharpen kernel: [0 -1 0; -1 5 -1; 0 -1 0]
-  if (sharpen) {
-    const id = ctx.getImageData(0, 0, w, h);
-    const out = ctx.createImageData(w, h);
-    const src = id.data;
-    const dst = out.data;
-
-    const idx = (x, y) => (y * w + x) * 4;
-
-    for (let y = 1; y < h - 1; y++) {
-      for (let x = 1; x < w - 1; x++) {
-        const i = idx(x, y);
-        for (let ch = 0; ch < 3; ch++) {
-          const v =
-            5 * src[i + ch] -
-            src[idx(x - 1, y) + ch] -
-            src[idx(x + 1, y) + ch] -
-            src[idx(x, y - 1) + ch] -
-            src[idx(x, y + 1) + ch];
-
-          dst[i + ch] = Math.max(0, Math.min(255, v));
-        }
-        dst[i + 3] = src[i + 3];
-      }
-    }
-    ctx.putImageData(out, 0, 0);
-  }
-
   return canvas;
 }
 
-// basic scoring to pick best OCR pass
-function scoreOcrText(text = "") {
-  const t = text.trim();
-  if (!t) return 0;
-  const letters = (t.match(/[A-Za-z]/g) || []).length;
-  const digits = (t.match(/[0-9]/g) || []).length;
-  const bad = (t.match(/[�]/g) || []).length;
-  return letters + digits - bad * 5 + Math.min(200, t.length / 5);
-}
-
+/**
+ * OCR one page canvas, turned upright first (shared orientCanvas).
+ * Each strategy in preprocess.binarize is tried (shared recognizeBestStrategy).
+ * Resolves to { text, confidence, psm, width, height, rotation, binarize,
+ * blocks, upright } where blocks → lines → words carry bbox + confidence in
+ * `upright` pixels (upscale undone); rotation is null when the page was
+ * left as is.
+ */
 async function canvasToOcrText(
   canvas,
   {
     // tweak these per file type
-    preprocess = { upscale: 1.7, contrast: 35, threshold: 165, sharpen: true },
+    preprocess = {
+      upscale: 1.7,
+      contrast: 35,
+      binarize: "otsu",
+      sharpen: true,
+    },
     psmPrimary = "6",
     psmFallback = "11",
     whitelist = null, // ex: "0123456789.,:/-()ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz "
     onProgress = null,
+    lang = DEFAULT_LANG, // "eng", "eng+fra", ...
+    signal = null, // AbortSignal: rejects with signal.reason
   } = {},
 ) {
-  const worker = await getWorker();
-
-  const cleaned = preprocessCanvas(canvas, preprocess);
+  const task = withWorker(lang, async (worker) => {
+    signal?.throwIfAborted();
+    onProgress?.({ stage: "orient" });
+    const { canvas: upright, rotation } = await orientCanvas(
+      canvas,
+      createCanvas,
+      {
+        orient: preprocess.orient,
+        deskew: preprocess.deskew,
+        estimate,
+        rate: (c) => rateOrientation(worker, c, preprocess, clean),
+      },
+    );
 
-  // 1) primary pass
-  await worker.setParameters({
-    tessedit_pageseg_mode: String(psmPrimary),
-    ...(whitelist ? { tessedit_char_whitelist: whitelist } : {}),
+    const r = await recognizeBestStrategy(worker, upright, preprocess, clean, {
+      psmPrimary,
+      psmFallback,
+      whitelist,
+      onProgress,
+      signal,
+    });
+    return { upright, rotation, r };
   });
+  // the leased worker finishes its current pass and is released after that
+  const { upright, rotation, r } = await abortable(task, signal);
+
+  // word offsets are computed against the trimmed text that gets stored
+  const text = r.text.trim();
+
+  return {
+    text,
+    confidence: r.confidence,
+    psm: r.psm,
+    width: upright.width,
+    height: upright.height,
+    rotation,
+    binarize: r.binarize,
+    blocks: toPageLayout(text, r.blocks, r.scale),
+    upright,
+  };
+}
 
-  onProgress?.({ stage: "ocr", pass: 1, psm: String(psmPrimary) });
-  const r1 = await worker.recognize(cleaned);
-  const t1 = r1?.data?.text || "";
-
-  // 2) fallback pass (often helps tables / sparse text)
-  await worker.setParameters({
-    tessedit_pageseg_mode: String(psmFallback),
-    ...(whitelist ? { tessedit_char_whitelist: whitelist } : {}),
-  });
+// page snapshot for the overlay view (JPEG keeps IndexedDB usage sane)
+function canvasToBlob(canvas) {
+  return new Promise((resolve) =>
+    canvas.toBlob((b) => resolve(b), "image/jpeg", 0.85),
+  );
+}
 
-  onProgress?.({ stage: "ocr", pass: 2, psm: String(psmFallback) });
-  const r2 = await worker.recognize(cleaned);
-  const t2 = r2?.data?.text || "";
+// OCR'd pages snapshot the upright canvas so word boxes line up
+async function toPage(pageNum, canvas, ocr, method = "ocr") {
+  const { upright, ...page } = ocr;
+  return {
+    page: pageNum,
+    method,
+    ...page,
+    image: await canvasToBlob(upright || canvas),
+  };
+}
 
-  return scoreOcrText(t2) > scoreOcrText(t1) ? t2 : t1;
+/** pages -> { text, pages }; text is the PAGE_BREAK-joined format */
+function toResult(pages) {
+  return {
+    text: joinPages(pages),
+    pages,
+  };
 }
 
 async function fileToArrayBuffer(file) {
   return await file.arrayBuffer();
 }
 
-/** 1) PDF -> render each page -> OCR */
-export async function ocrPdf(file, onProgress) {
-  const ab = await fileToArrayBuffer(file);
-  const pdf = await pdfjsLib.getDocument({ data: ab }).promise;
+async function renderPdfPage(page, viewport) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw new Error("Canvas 2D context not available.");
 
-  const allText = [];
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    onProgress?.({ stage: "pdf", page: pageNum, totalPages: pdf.numPages });
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
 
-    const page = await pdf.getPage(pageNum);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  return canvas;
+}
 
-    // 📌 bump scale for sharper text (watch memory on huge pages)
-    const viewport = page.getViewport({ scale: 3.0 });
+// text-layer pages are only rendered for the overlay snapshot
+const TEXT_LAYER_SCALE = 1.5;
 
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d", { willReadFrequently: true });
-    if (!ctx) throw new Error("Canvas 2D context not available.");
+/**
+ * Awaited before each page: stop when cancelled, wait while paused.
+ * gate() -> Promise (or nothing) that settles when the queue may go on.
+ */
+async function beforePage(signal, gate) {
+  signal?.throwIfAborted();
+  await abortable(gate?.(), signal);
+}
 
-    canvas.width = Math.floor(viewport.width);
-    canvas.height = Math.floor(viewport.height);
+/**
+ * Page-level progress for concurrent pages: every event carries totalPages
+ * and pagesDone; Tesseract pass events are tagged with their page.
+ */
+function pageProgress(onProgress, stage, totalPages) {
+  let pagesDone = 0;
+  onProgress?.({ stage, totalPages, pagesDone });
+  return {
+    forPage: (page) => (p) =>
+      onProgress?.({
+        ...p,
+        stage: p.stage || stage,
+        page,
+        totalPages,
+        pagesDone,
+      }),
+    done: (page) =>
+      onProgress?.({ stage, page, totalPages, pagesDone: ++pagesDone }),
+  };
+}
 
-    await page.render({ canvasContext: ctx, viewport }).promise;
+/**
+ * 1) PDF -> per page: embedded text layer, or render + OCR when it is
+ * missing/garbage. pdfMode: "hybrid" | "ocr" | "text" (shared/pdfText.js).
+ * Up to OCR_CONCURRENCY pages are rendered + OCR'd at once.
+ */
+export async function ocrPdf(
+  file,
+  onProgress,
+  { pdfMode = "hybrid", lang, signal, gate } = {},
+) {
+  const ab = await fileToArrayBuffer(file);
+  const pdf = await pdfjsLib.getDocument({ data: ab }).promise;
+  const progress = pageProgress(onProgress, "pdf", pdf.numPages);
 
-    const text = await canvasToOcrText(canvas, {
-      preprocess: { upscale: 1.6, contrast: 35, threshold: 165, sharpen: true },
-      psmPrimary: "6",
-      psmFallback: "11",
-      // If your PDFs are mostly numeric statements, whitelist helps a LOT:
-      // whitelist: "0123456789.,:/-()ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz ",
-      onProgress,
+  const pageNums = Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+  try {
+    const pages = await mapLimit(pageNums, OCR_CONCURRENCY, async (pageNum) => {
+      await beforePage(signal, gate);
+      const page = await pdf.getPage(pageNum);
+
+      if (pdfMode !== "ocr") {
+        const viewport = page.getViewport({ scale: TEXT_LAYER_SCALE });
+        const layer = textLayerToPage(await page.getTextContent(), viewport);
+        if (pdfMode === "text" || isUsableTextLayer(layer.text)) {
+          const canvas = await renderPdfPage(page, viewport);
+          progress.done(pageNum);
+          return await toPage(pageNum, canvas, layer, "text");
+        }
+      }
+
+      // 📌 bump scale for sharper text (watch memory on huge pages)
+      const viewport = page.getViewport({ scale: 3.0 });
+      const canvas = await renderPdfPage(page, viewport);
+
+      const ocr = await canvasToOcrText(canvas, {
+        preprocess: OCR_PRESETS.pdf,
+        psmPrimary: "6",
+        psmFallback: "11",
+        // If your PDFs are mostly numeric statements, whitelist helps a LOT:
+        // whitelist: "0123456789.,:/-()ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz ",
+        onProgress: progress.forPage(pageNum),
+        lang,
+        signal,
+      });
+
+      progress.done(pageNum);
+      return await toPage(pageNum, canvas, ocr);
     });
 
-    allText.push(text.trim());
+    return toResult(pages);
+  } finally {
+    pdf.destroy();
   }
-
-  return allText.filter(Boolean).join("\n\n--- PAGE BREAK ---\n\n");
 }
 
-/** 2) TIFF -> decode pages -> OCR (works with UTIF v2 and v3+) */
-export async function ocrTiff(file, onProgress) {
+/** 2) TIFF -> decode pages -> OCR, pages concurrently (works with UTIF v2 and v3+) */
+export async function ocrTiff(file, onProgress, { lang, signal, gate } = {}) {
   const ab = await fileToArrayBuffer(file);
 
   if (typeof UTIF?.decode !== "function") {
@@ -250,13 +367,10 @@ export async function ocrTiff(file, onProgress) {
     UTIF.decodeImages(ab, ifds);
   }
 
-  const allText = [];
-
-  for (let i = 0; i < ifds.length; i++) {
-    onProgress?.({ stage: "tiff", page: i + 1, totalPages: ifds.length });
-
-    const page = ifds[i];
+  const progress = pageProgress(onProgress, "tiff", ifds.length);
 
+  const pages = await mapLimit(ifds, OCR_CONCURRENCY, async (page, i) => {
+    await beforePage(signal, gate);
     if (!hasDecodeImages && hasDecodeImage) {
       UTIF.decodeImage(ab, page);
     }
@@ -285,21 +399,26 @@ export async function ocrTiff(file, onProgress) {
     const imgData = new ImageData(new Uint8ClampedArray(rgba), w, h);
     ctx.putImageData(imgData, 0, 0);
 
-    const text = await canvasToOcrText(canvas, {
-      preprocess: { upscale: 1.8, contrast: 40, threshold: 165, sharpen: true },
+    const ocr = await canvasToOcrText(canvas, {
+      preprocess: OCR_PRESETS.tiff,
       psmPrimary: "6",
       psmFallback: "11",
-      onProgress,
+      onProgress: progress.forPage(i + 1),
+      lang,
+      signal,
     });
 
-    allText.push(text.trim());
-  }
+    progress.done(i + 1);
+    return await toPage(i + 1, canvas, ocr);
+  });
 
-  return allText.filter(Boolean).join("\n\n--- PAGE BREAK ---\n\n");
+  return toResult(pages);
 }
 
 /** 3) Regular images -> OCR */
-export async function ocrImage(file, onProgress) {
+export async function ocrImage(file, onProgress, { lang, signal, gate } = {}) {
+  await beforePage(signal, gate);
+  const progress = pageProgress(onProgress, "image", 1);
   const url = URL.createObjectURL(file);
   try {
     const img = await new Promise((resolve, reject) => {
@@ -317,33 +436,57 @@ export async function ocrImage(file, onProgress) {
     if (!ctx) throw new Error("Canvas 2D context not available.");
     ctx.drawImage(img, 0, 0);
 
-    const text = await canvasToOcrText(canvas, {
-      preprocess: { upscale: 1.7, contrast: 35, threshold: 165, sharpen: true },
+    const ocr = await canvasToOcrText(canvas, {
+      preprocess: OCR_PRESETS.image,
       psmPrimary: "6",
       psmFallback: "11",
-      onProgress,
+      onProgress: progress.forPage(1),
+      lang,
+      signal,
     });
 
-    return text;
+    progress.done(1);
+    return toResult([await toPage(1, canvas, ocr)]);
   } finally {
     URL.revokeObjectURL(url);
   }
 }
 
-/** Router function */
-export async function ocrAny(file, onProgress) {
+/**
+ * Router function: resolves to { text, pages, lang, detected }.
+ * lang: "eng", "eng+fra", ... or "auto" (first pass in `probe`, re-OCR in the
+ * detected language; see shared/languages.js).
+ * signal: AbortSignal, rejects with an AbortError once aborted. gate: awaited
+ * before every page (pause the queue by returning a pending promise).
+ */
+export async function ocrAny(
+  file,
+  onProgress,
+  {
+    pdfMode,
+    lang = DEFAULT_LANG,
+    probe = DEFAULT_LANG,
+    signal = null,
+    gate = null,
+  } = {},
+) {
   const t = file.type;
-
-  if (t === "application/pdf") return await ocrPdf(file, onProgress);
-
-  if (
+  const isTiff =
     t === "image/tiff" ||
     t === "image/tif" ||
     file.name.toLowerCase().endsWith(".tif") ||
-    file.name.toLowerCase().endsWith(".tiff")
-  ) {
-    return await ocrTiff(file, onProgress);
-  }
-
-  return await ocrImage(file, onProgress);
+    file.name.toLowerCase().endsWith(".tiff");
+
+  return await ocrWithLanguage(
+    lang,
+    (langs) => {
+      const opts = { lang: langs, signal, gate };
+      if (t === "application/pdf") {
+        return ocrPdf(file, onProgress, { ...opts, pdfMode });
+      }
+      if (isTiff) return ocrTiff(file, onProgress, opts);
+      return ocrImage(file, onProgress, opts);
+    },
+    { probe },
+  );
 }
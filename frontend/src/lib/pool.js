@@ -0,0 +1,112 @@
+// ---------- Concurrency helpers (OCR workers, pages, queue items) ----------
+
+/**
+ * Fixed-size pool of lazily created resources (Tesseract or preprocessing
+ * workers). use(task) leases one resource for the whole task, so a page's
+ * setParameters + recognize passes never interleave with another page's.
+ * create() -> Promise<resource>; destroy(resource) on terminate().
+ */
+export function createPool(create, size, destroy = () => {}) {
+  const all = []; // Promise<resource>, created so far
+  const idle = [];
+  const waiting = []; // { resolve, reject }
+  let busy = 0;
+
+  function acquire() {
+    if (idle.length) return Promise.resolve(idle.pop());
+    if (all.length < size) {
+      const p = Promise.resolve().then(create);
+      all.push(p);
+      p.catch(() => {
+        // a failed start frees its slot; let one waiter try again
+        all.splice(all.indexOf(p), 1);
+        const next = waiting.shift();
+        if (next) acquire().then(next.resolve, next.reject);
+      });
+      return p;
+    }
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  function release(resource) {
+    const next = waiting.shift();
+    if (next) next.resolve(resource);
+    else idle.push(resource);
+  }
+
+  return {
+    size,
+    get busy() {
+      return busy;
+    },
+    async use(task) {
+      busy++;
+      try {
+        const resource = await acquire();
+        try {
+          return await task(resource);
+        } finally {
+          release(resource);
+        }
+      } finally {
+        busy--;
+      }
+    },
+    async terminate() {
+      for (const w of waiting.splice(0)) {
+        w.reject(new Error("Pool terminated."));
+      }
+      idle.length = 0;
+      await Promise.all(
+        all.splice(0).map((p) => p.then(destroy).catch(() => {})),
+      );
+    },
+  };
+}
+
+/**
+ * `promise`, but rejecting with signal.reason as soon as `signal` aborts
+ * (the underlying work keeps running until its next abort check).
+ */
+export function abortable(promise, signal) {
+  if (!signal) return Promise.resolve(promise);
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Promise.all over `items` with at most `limit` fn calls in flight;
+ * results keep the input order. After the first rejection no more items
+ * are started, and the call rejects with it once the calls already running
+ * have settled (so the caller can free what they use).
+ */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function lane() {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await fn(items[i], i);
+      } catch (e) {
+        failed = true;
+        throw e;
+      }
+    }
+  }
+
+  const lanes = await Promise.allSettled(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane),
+  );
+  const rejected = lanes.find((l) => l.status === "rejected");
+  if (rejected) throw rejected.reason;
+  return results;
+}
@@ -0,0 +1,26 @@
+// Off-main-thread pixel work for lib/ocr.js: the page arrives as a
+// transferred ImageBitmap, OffscreenCanvas stands in for document canvases.
+import {
+  estimateOrientation,
+  preprocessCanvas,
+} from "../../../shared/ocrCore.js";
+
+const createCanvas = (w, h) => new OffscreenCanvas(w, h);
+
+self.onmessage = async ({ data: { op, bitmap, options } }) => {
+  try {
+    if (op === "estimate") {
+      self.postMessage({ estimate: estimateOrientation(bitmap, createCanvas) });
+      return;
+    }
+
+    const cleaned = preprocessCanvas(bitmap, options, createCanvas);
+    // tesseract.js reads Blobs directly; PNG keeps the binarised pixels exact
+    const image = await cleaned.convertToBlob({ type: "image/png" });
+    self.postMessage({ image, width: cleaned.width });
+  } catch (e) {
+    self.postMessage({ error: e?.message || String(e) });
+  } finally {
+    bitmap.close();
+  }
+};
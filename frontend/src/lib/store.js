@@ -0,0 +1,208 @@
+import { taxLines } from "../../../shared/reconcile.js";
+
+// ---------- Queue persistence (IndexedDB) ----------
+//
+// One record per queue item, file Blob included. Two kinds of versioning:
+//  - DB_VERSION: object stores / indexes (onupgradeneeded)
+//  - RECORD_VERSION: item fields; old records are upgraded by MIGRATIONS on
+//    load, so adding a field later = bump RECORD_VERSION + add one step.
+
+const DB_NAME = "ocrv";
+const DB_VERSION = 1;
+const STORE = "items";
+
+export const RECORD_VERSION = 12;
+
+// MIGRATIONS[n] upgrades a record from version n to n + 1
+const MIGRATIONS = {
+  // 0 -> 1: records written before versioning existed
+  0: (r) => ({
+    edits: [],
+    validation: null,
+    structMode: null,
+    fallback: null,
+    crossCheck: null,
+    ...r,
+  }),
+  // 1 -> 2: per-page OCR layout (words, boxes, confidence, page image)
+  1: (r) => ({ ocrPages: null, ...r }),
+  // 2 -> 3: field provenance (OCR spans backing each structured value)
+  2: (r) => ({ provenance: null, ...r }),
+  // 3 -> 4: per-field confidence scores
+  3: (r) => ({ confidence: null, ...r }),
+  // 4 -> 5: OCR language (requested per item, used, detected)
+  4: (r) => ({ lang: null, ocrLang: null, ocrDetected: null, ...r }),
+  // 5 -> 6: per-item PDF mode (re-run with different settings)
+  5: (r) => ({ pdfMode: null, ...r }),
+  // 6 -> 7: structuring scope (document | page) + page of each header/total
+  6: (r) => ({ structScope: null, fieldPages: null, ...r }),
+  // 7 -> 8: split files (segments) and their sub-documents (parent + pages)
+  7: (r) => ({ parentId: null, pageRange: null, segments: null, ...r }),
+  // 8 -> 9: decimal style + numbers that read two ways
+  8: (r) => ({ numbers: null, ...r }),
+  // 9 -> 10: day-month order + the date's reading (ambiguous or not)
+  9: (r) => ({ dates: null, ...r }),
+  // 10 -> 11: tax lines, adjustments and payments in the structured document
+  10: (r) => ({
+    ...r,
+    structured: r.structured && {
+      taxes: taxLines(r.structured),
+      adjustments: [],
+      amount_paid: null,
+      balance_due: null,
+      ...r.structured,
+    },
+  }),
+  // 11 -> 12: reconciliation audit (corrections + remaining mismatches)
+  11: (r) => ({ reconciliation: null, ...r }),
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        // v1: items keyed by id, ordered by createdAt
+        if (e.oldVersion < 1) {
+          const store = db.createObjectStore(STORE, { keyPath: "id" });
+          store.createIndex("createdAt", "createdAt");
+        }
+      };
+
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function tx(mode, fn) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const t = db.transaction(STORE, mode);
+        const result = fn(t.objectStore(STORE));
+        t.oncomplete = () => resolve(result?.result ?? result);
+        t.onerror = () => reject(t.error);
+        t.onabort = () => reject(t.error);
+      }),
+  );
+}
+
+export function migrateRecord(record) {
+  let r = record;
+  let v = r.schemaVersion ?? 0;
+  while (v < RECORD_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No migration from item schema v${v}.`);
+    r = { ...step(r), schemaVersion: v + 1 };
+    v++;
+  }
+  return r;
+}
+
+/** queue item -> stored record (drops UI-only fields) */
+function toRecord(item) {
+  return {
+    id: item.id,
+    file: item.file,
+    // a run does not survive a reload: it is queued again
+    status: item.status === "running" ? "pending" : item.status,
+    lang: item.lang,
+    pdfMode: item.pdfMode,
+    parentId: item.parentId,
+    pageRange: item.pageRange,
+    segments: item.segments,
+    ocrText: item.ocrText,
+    ocrPages: item.ocrPages,
+    ocrLang: item.ocrLang,
+    ocrDetected: item.ocrDetected,
+    structured: item.structured,
+    edits: item.edits,
+    validation: item.validation,
+    structMode: item.structMode,
+    structScope: item.structScope,
+    fieldPages: item.fieldPages,
+    numbers: item.numbers,
+    dates: item.dates,
+    reconciliation: item.reconciliation,
+    fallback: item.fallback,
+    crossCheck: item.crossCheck,
+    provenance: item.provenance,
+    confidence: item.confidence,
+    err: item.err,
+    createdAt: item.createdAt ?? Date.now(),
+    updatedAt: Date.now(),
+    schemaVersion: RECORD_VERSION,
+  };
+}
+
+/** every stored item, oldest first, upgraded to the current schema */
+export async function loadItems() {
+  const records = await tx("readonly", (s) => s.index("createdAt").getAll());
+  const items = records.map(migrateRecord);
+
+  // write back anything that was migrated so it only happens once
+  const stale = records.filter((r) => r.schemaVersion !== RECORD_VERSION);
+  if (stale.length) {
+    const byId = new Map(items.map((it) => [it.id, it]));
+    await tx("readwrite", (s) => {
+      for (const r of stale) s.put(byId.get(r.id));
+    });
+  }
+
+  // sub-documents right after the file they were split from
+  const ids = new Set(items.map((it) => it.id));
+  const childrenOf = (id) => items.filter((it) => it.parentId === id);
+  return items
+    .filter((it) => !it.parentId || !ids.has(it.parentId))
+    .flatMap((it) => [it, ...childrenOf(it.id)]);
+}
+
+export function saveItems(items) {
+  if (!items.length) return Promise.resolve();
+  return tx("readwrite", (s) => {
+    for (const it of items) s.put(toRecord(it));
+  });
+}
+
+export function deleteItems(ids) {
+  if (!ids.length) return Promise.resolve();
+  return tx("readwrite", (s) => {
+    for (const id of ids) s.delete(id);
+  });
+}
+
+export function clearItems() {
+  return tx("readwrite", (s) => s.clear());
+}
+
+// items are replaced, never mutated: an estimate holds until the item changes
+const itemBytes = new WeakMap();
+
+/** rough bytes one item takes in the store: its record, blobs counted by size */
+export function estimateItemBytes(item) {
+  if (itemBytes.has(item)) return itemBytes.get(item);
+  const pages = item.ocrPages || [];
+  const images = pages.reduce((sum, p) => sum + (p.image?.size || 0), 0);
+  const json = JSON.stringify(toRecord(item), (k, v) =>
+    v instanceof Blob ? undefined : v,
+  );
+  const bytes = (item.file?.size || 0) + images + json.length * 2;
+  itemBytes.set(item, bytes);
+  return bytes;
+}
+
+/** origin-wide usage / quota (null when the browser can't tell) */
+export async function storageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+}
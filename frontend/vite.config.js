@@ -4,4 +4,8 @@ import tailwindcss from "@tailwindcss/vite";
 
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  server: {
+    // ../shared holds code used by both the app and the server
+    fs: { allow: [".."] },
+  },
 });
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+import path from "node:path";
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import { createProvider } from "../lib/providers/index.js";
+import { MODES } from "../lib/structure.js";
+import { runBatch } from "../lib/batch.js";
+import { terminateOcrWorker } from "../lib/ocr.js";
+import { REVIEW_THRESHOLD } from "../../shared/confidence.js";
+import { PDF_MODES } from "../../shared/pdfText.js";
+import { STRUCTURE_SCOPES } from "../../shared/pages.js";
+import { isNumberFormat } from "../../shared/numbers.js";
+import { isDateOrder } from "../../shared/dates.js";
+import { DEFAULT_LANG, parseLangs } from "../../shared/languages.js";
+
+dotenv.config({ quiet: true });
+
+const USAGE = `
+Usage: ocrv <input-dir> [options]
+
+OCR every PDF/TIFF/PNG/JPG in a folder, structure it, and write
+one JSON per document plus summary.csv.
+
+Options:
+  -o, --out <dir>          output folder (default: <input-dir>/ocrv-out)
+  -m, --mode <mode>        llm | rules | hybrid (default: STRUCTURE_MODE or llm)
+  -s, --scope <scope>      document | page: structure the whole document
+                           at once or page by page, merged
+                           (default: STRUCTURE_SCOPE or document)
+  -n, --number-format <f>  auto | dot | comma | a locale (de-DE): how
+                           amounts are written; auto goes by language
+                           and currency (default: NUMBER_FORMAT or auto)
+  -d, --date-order <o>     auto | dmy | mdy | ymd | a locale (en-GB): how
+                           03/04/2025 reads (default: DATE_ORDER or auto)
+  -c, --concurrency <n>    documents in flight (default: 2)
+  -l, --lang <langs>       OCR language(s): eng, eng+fra, ... or auto
+                           (default: OCR_LANG or eng)
+      --pdf-mode <mode>    hybrid | ocr | text: PDF text layer vs OCR
+                           (default: OCR_PDF_MODE or hybrid)
+      --review-threshold <x>  flag documents scoring below x (0-1)
+                           (default: REVIEW_THRESHOLD or 0.75)
+      --no-structure       OCR only
+      --no-recursive       do not descend into sub-folders
+  -f, --force              redo files that already have output
+  -q, --quiet              only print the summary
+  -h, --help
+`.trim();
+
+function fail(msg) {
+  console.error(`ocrv: ${msg}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      mode: { type: "string", short: "m" },
+      scope: { type: "string", short: "s" },
+      "number-format": { type: "string", short: "n" },
+      "date-order": { type: "string", short: "d" },
+      concurrency: { type: "string", short: "c" },
+      lang: { type: "string", short: "l" },
+      "pdf-mode": { type: "string" },
+      "review-threshold": { type: "string" },
+      "no-structure": { type: "boolean" },
+      "no-recursive": { type: "boolean" },
+      force: { type: "boolean", short: "f" },
+      quiet: { type: "boolean", short: "q" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+} catch (e) {
+  fail(e.message);
+}
+
+const { values: opts, positionals } = args;
+
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail("expected exactly one input folder");
+
+const inputDir = path.resolve(positionals[0]);
+const outDir = path.resolve(opts.out || path.join(inputDir, "ocrv-out"));
+const mode = (opts.mode || process.env.STRUCTURE_MODE || "llm").toLowerCase();
+const scope = (
+  opts.scope ||
+  process.env.STRUCTURE_SCOPE ||
+  "document"
+).toLowerCase();
+const numberFormat = (
+  opts["number-format"] ||
+  process.env.NUMBER_FORMAT ||
+  "auto"
+).toLowerCase();
+const dateOrder = (
+  opts["date-order"] ||
+  process.env.DATE_ORDER ||
+  "auto"
+).toLowerCase();
+const concurrency = Number(opts.concurrency ?? 2);
+const pdfMode = (
+  opts["pdf-mode"] ||
+  process.env.OCR_PDF_MODE ||
+  "hybrid"
+).toLowerCase();
+const reviewThreshold = Number(
+  opts["review-threshold"] ?? process.env.REVIEW_THRESHOLD ?? REVIEW_THRESHOLD,
+);
+
+if (!MODES.includes(mode)) fail(`unknown mode "${mode}"`);
+if (!STRUCTURE_SCOPES.includes(scope)) fail(`unknown scope "${scope}"`);
+if (!isNumberFormat(numberFormat))
+  fail(`unknown number format "${numberFormat}"`);
+if (!isDateOrder(dateOrder)) fail(`unknown date order "${dateOrder}"`);
+if (!PDF_MODES.includes(pdfMode)) fail(`unknown pdf mode "${pdfMode}"`);
+
+const lang = parseLangs(opts.lang || process.env.OCR_LANG || DEFAULT_LANG);
+if (!lang) fail(`invalid --lang "${opts.lang || process.env.OCR_LANG}"`);
+if (!Number.isInteger(concurrency) || concurrency < 1)
+  fail("--concurrency must be a positive integer");
+if (!(reviewThreshold >= 0 && reviewThreshold <= 1))
+  fail("--review-threshold must be between 0 and 1");
+
+const provider = createProvider();
+const started = Date.now();
+
+try {
+  const summary = await runBatch({
+    inputDir,
+    outDir,
+    provider,
+    mode,
+    scope,
+    numberFormat,
+    dateOrder,
+    pdfMode,
+    lang,
+    probe: process.env.OCR_DETECT_PROBE || DEFAULT_LANG,
+    reviewThreshold,
+    structure: !opts["no-structure"],
+    concurrency,
+    recursive: !opts["no-recursive"],
+    force: !!opts.force,
+    log: opts.quiet ? () => {} : (line) => console.error(line),
+  });
+
+  const secs = ((Date.now() - started) / 1000).toFixed(1);
+  console.log(
+    `\n${summary.total} file(s): ${summary.processed} processed, ` +
+      `${summary.skipped} skipped, ${summary.failed.length} failed (${secs}s)`,
+  );
+  console.log(`CSV: ${summary.csvPath}`);
+
+  if (summary.failed.length) {
+    console.log("\nFailures:");
+    for (const f of summary.failed) console.log(`  ${f.file}: ${f.error}`);
+    process.exitCode = 1;
+  }
+} catch (e) {
+  console.error(`ocrv: ${e?.message || e}`);
+  process.exitCode = 1;
+} finally {
+  await terminateOcrWorker();
+}
+
+// a worker that failed to load can keep the event loop alive
+process.exit(process.exitCode ?? 0);
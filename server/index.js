@@ -1,10 +1,29 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import Groq from "groq-sdk";
+import multer from "multer";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createProvider } from "./lib/providers/index.js";
+import { structureDocument, MODES } from "./lib/structure.js";
+import { ocrBuffer, detectKind } from "./lib/ocr.js";
+import { PDF_MODES } from "../shared/pdfText.js";
+import { STRUCTURE_SCOPES, joinPages } from "../shared/pages.js";
+import { NUMBER_FORMATS, isNumberFormat } from "../shared/numbers.js";
+import { DATE_ORDERS, isDateOrder } from "../shared/dates.js";
+import { detectDocuments, segmentPages } from "../shared/split.js";
+import {
+  DEFAULT_LANG,
+  parseLangs,
+  primaryLanguage,
+} from "../shared/languages.js";
+import { openDocumentRepository } from "./lib/documents.js";
+import { documentsRouter } from "./routes/documents.js";
 
 dotenv.config();
 
+const here = path.dirname(fileURLToPath(import.meta.url));
+
 const app = express();
 
 // ✅ Allow your Vercel frontend + local dev
@@ -28,7 +47,7 @@ app.use(
       if (isAllowedOrigin(origin)) return cb(null, true);
       return cb(new Error("CORS blocked: " + origin));
     },
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   }),
 );
@@ -44,203 +63,273 @@ app.get("/health", (req, res) => {
   res.json({ ok: true });
 });
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+// LLM provider is picked once from env (LLM_PROVIDER=groq|openai|mock)
+const provider = createProvider();
+console.log(`LLM provider: ${provider.name} (${provider.model || "default"})`);
 
-function toNumber(x) {
-  if (x === null || x === undefined) return null;
-  if (typeof x === "number") return Number.isFinite(x) ? x : null;
+// documents scoring below this (0-1) come back with needsReview
+function resolveReviewThreshold(req) {
+  const n = Number(
+    req.body?.reviewThreshold ??
+      req.query.reviewThreshold ??
+      process.env.REVIEW_THRESHOLD,
+  );
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : undefined;
+}
 
-  const s = String(x)
-    .replace(/[, ]+/g, "")
-    .replace(/[^0-9.-]/g, "");
-  if (!s) return null;
+// body/query "mode" wins over STRUCTURE_MODE; validated by the caller
+function resolveMode(req) {
+  return String(
+    req.body?.mode || req.query.mode || process.env.STRUCTURE_MODE || "llm",
+  ).toLowerCase();
+}
 
-  const n = Number(s);
-  return Number.isFinite(n) ? n : null;
+// body/query "scope" wins over STRUCTURE_SCOPE: "document" or "page"
+function resolveScope(req) {
+  return String(
+    req.body?.scope ||
+      req.query.scope ||
+      process.env.STRUCTURE_SCOPE ||
+      "document",
+  ).toLowerCase();
 }
 
-function round2(n) {
-  if (n === null || n === undefined) return null;
-  return Math.round((n + Number.EPSILON) * 100) / 100;
+// body/query "numberFormat" wins over NUMBER_FORMAT: "auto", "dot", "comma"
+// or a locale ("de-DE"); validated by the caller
+function resolveNumberFormat(req) {
+  return String(
+    req.body?.numberFormat ||
+      req.query.numberFormat ||
+      process.env.NUMBER_FORMAT ||
+      "auto",
+  ).toLowerCase();
 }
 
-function approxEqual(a, b, tol = 0.05) {
-  if (a === null || b === null) return false;
-  return Math.abs(a - b) <= tol;
+// body/query "dateOrder" wins over DATE_ORDER: "auto", "dmy", "mdy", "ymd"
+// or a locale ("en-GB"); validated by the caller
+function resolveDateOrder(req) {
+  return String(
+    req.body?.dateOrder ||
+      req.query.dateOrder ||
+      process.env.DATE_ORDER ||
+      "auto",
+  ).toLowerCase();
 }
 
-function reconcileMath(structured) {
-  if (!structured || typeof structured !== "object") return structured;
+// body "vendorDateOrders": { "<vendorKey>": "dmy" | "mdy" } saved by reviewers
+function resolveVendorDateOrders(req) {
+  const v = req.body?.vendorDateOrders;
+  return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+}
 
-  structured.subtotal = round2(toNumber(structured.subtotal));
-  structured.tax_rate = toNumber(structured.tax_rate); // 13 means 13%
-  structured.tax_amount = round2(toNumber(structured.tax_amount));
-  structured.total = round2(toNumber(structured.total));
+// body/query "lang" wins over OCR_LANG: "eng", "eng+fra" or "auto" (null = invalid)
+function resolveLang(req) {
+  return parseLangs(
+    req.body?.lang || req.query.lang || process.env.OCR_LANG || DEFAULT_LANG,
+  );
+}
 
-  const items = Array.isArray(structured.line_items)
-    ? structured.line_items
-    : [];
+// structureDocument options shared by /api/structure and /api/ocr:
+// { options } or { error } (message for a 400)
+function readStructureOptions(req) {
+  const mode = resolveMode(req);
+  if (!MODES.includes(mode)) {
+    return { error: `Unknown mode "${mode}" (use ${MODES.join("|")}).` };
+  }
+  const scope = resolveScope(req);
+  if (!STRUCTURE_SCOPES.includes(scope)) {
+    return {
+      error: `Unknown scope "${scope}" (use ${STRUCTURE_SCOPES.join("|")}).`,
+    };
+  }
+  const numberFormat = resolveNumberFormat(req);
+  if (!isNumberFormat(numberFormat)) {
+    return {
+      error: `Unknown number format "${numberFormat}" (use ${NUMBER_FORMATS.join("|")} or a locale such as de-DE).`,
+    };
+  }
+  const dateOrder = resolveDateOrder(req);
+  if (!isDateOrder(dateOrder)) {
+    return {
+      error: `Unknown date order "${dateOrder}" (use ${DATE_ORDERS.join("|")} or a locale such as en-GB).`,
+    };
+  }
 
-  structured.line_items = items.map((it) => {
-    let qty = toNumber(it.qty);
-    let unit = round2(toNumber(it.unit_price));
-    let amt = round2(toNumber(it.amount));
+  return {
+    options: {
+      mode,
+      scope,
+      numberFormat,
+      dateOrder,
+      vendorDateOrders: resolveVendorDateOrders(req),
+      reviewThreshold: resolveReviewThreshold(req),
+    },
+  };
+}
 
-    // fill missing amount
-    if (amt === null && qty !== null && unit !== null) amt = round2(qty * unit);
+app.post("/api/structure", async (req, res) => {
+  // the app cancelling its fetch closes the connection: stop the LLM call too
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-    // fill missing unit
-    if (unit === null && qty !== null && amt !== null && qty !== 0)
-      unit = round2(amt / qty);
+  try {
+    const { text, fileName } = req.body;
+    // OCR language code ("fra"), passed on to the prompt
+    const language = req.body.language
+      ? primaryLanguage({ lang: parseLangs(req.body.language) })
+      : null;
+    // optional OCR page layout ([{ page, text, blocks }]) for page/bbox provenance
+    const pages = Array.isArray(req.body.pages) ? req.body.pages : null;
 
-    // fill missing qty (prefer integer)
-    if (qty === null && unit !== null && amt !== null && unit !== 0) {
-      const q = amt / unit;
-      const qInt = Math.round(q);
-      qty = Math.abs(q - qInt) < 0.02 ? qInt : round2(q);
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: "No OCR text provided." });
     }
 
-    // if all 3 exist but inconsistent, try to fix qty as integer using amount/unit
-    if (qty !== null && unit !== null && amt !== null) {
-      const calc = round2(qty * unit);
-      if (!approxEqual(calc, amt)) {
-        const q = amt / unit;
-        const qInt = Math.round(q);
-        const calc2 = round2(qInt * unit);
-        if (Math.abs(q - qInt) < 0.05 && approxEqual(calc2, amt, 0.1)) {
-          qty = qInt;
-        } else {
-          // last resort: adjust unit to match amount/qty
-          if (qty !== 0) unit = round2(amt / qty);
-        }
-      }
-    }
+    const { options, error } = readStructureOptions(req);
+    if (error) return res.status(400).json({ error });
 
-    return {
-      product_or_service: it.product_or_service ?? null,
-      description: it.description ?? null,
-      qty,
-      unit_price: unit,
-      amount: amt,
-    };
-  });
-
-  // derive subtotal from items if missing
-  const sumItems = round2(
-    structured.line_items.reduce((s, it) => s + (toNumber(it.amount) || 0), 0),
-  );
-  if (structured.subtotal === null && sumItems) structured.subtotal = sumItems;
-
-  // derive tax amount if missing but have subtotal + rate
-  if (
-    structured.tax_amount === null &&
-    structured.subtotal !== null &&
-    structured.tax_rate !== null
-  ) {
-    structured.tax_amount = round2(
-      structured.subtotal * (structured.tax_rate / 100),
+    // rules fallback kicks in when the provider is unconfigured or invalid
+    const result = await structureDocument(
+      provider,
+      { text, fileName, pages, language },
+      { ...options, signal: controller.signal },
     );
-  }
 
-  // derive total if missing
-  if (
-    structured.total === null &&
-    structured.subtotal !== null &&
-    structured.tax_amount !== null
-  ) {
-    structured.total = round2(structured.subtotal + structured.tax_amount);
+    res.json(result);
+  } catch (err) {
+    if (controller.signal.aborted) return; // nobody left to answer
+    console.error(err);
+    res.status(500).json({ error: "Failed to structure OCR output." });
   }
+});
+
+// multipart uploads stay in memory; OCR works on the buffer directly
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Number(process.env.OCR_MAX_UPLOAD_MB || 25) * 1024 * 1024,
+  },
+});
 
-  return structured;
+function isTruthy(v) {
+  return ["1", "true", "yes", "on"].includes(String(v ?? "").toLowerCase());
 }
 
-app.post("/api/structure", async (req, res) => {
+// ✅ Headless OCR: multipart "file" (PDF/TIFF/PNG/JPG) -> page-separated text
+app.post("/api/ocr", upload.single("file"), async (req, res) => {
   try {
-    const { text, fileName } = req.body;
-
-    if (!text || !text.trim()) {
-      return res.status(400).json({ error: "No OCR text provided." });
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ error: "No file uploaded (field: file)." });
     }
 
-    const system = `
-You extract structured fields from OCR text of receipts/invoices/statements.
-Return ONLY valid JSON. No markdown, no extra text.
-Use null when unknown. Do not invent.
-Prefer values that match arithmetic in the document.
-`.trim();
-
-    const user = `
-File: ${fileName || "unknown"}
-
-OCR TEXT:
-${text}
-
-Return this exact JSON shape:
-
-{
-  "doc_type": "invoice|receipt|statement|memo|other",
-  "vendor_or_sender": string|null,
-  "receipt_or_invoice_no": string|null,
-  "date": string|null,
-  "currency": string|null,
-
-  "recipient_name": string|null,
-  "recipient_address": string|null,
-
-  "subtotal": number|null,
-  "tax_rate": number|null,
-  "tax_amount": number|null,
-  "total": number|null,
-
-  "line_items": [
-    {
-      "product_or_service": string|null,
-      "description": string|null,
-      "qty": number|null,
-      "unit_price": number|null,
-      "amount": number|null
+    const fileName = file.originalname;
+    if (!detectKind(fileName, file.mimetype)) {
+      return res.status(415).json({
+        error: "Unsupported file type. Use PDF, TIFF, PNG or JPG.",
+      });
     }
-  ],
 
-  "notes": string|null
-}
+    // PDFs: embedded text layer first, OCR only for pages without one
+    const pdfMode = String(
+      req.body.pdfMode ||
+        req.query.pdfMode ||
+        process.env.OCR_PDF_MODE ||
+        "hybrid",
+    ).toLowerCase();
+    if (!PDF_MODES.includes(pdfMode)) {
+      return res.status(400).json({
+        error: `Unknown pdfMode "${pdfMode}" (use ${PDF_MODES.join("|")}).`,
+      });
+    }
 
-Rules:
-- date must be ISO if possible (YYYY-MM-DD)
-- numbers must be plain numbers only (no commas, no currency symbol)
-- If the document has "Receipt for #XXXX" or "Invoice #", put it into receipt_or_invoice_no
-- If a table has Qty/Cost/Total: map to qty/unit_price/amount
-- Enforce arithmetic where possible:
-  - qty * unit_price = amount (rounding ok)
-  - subtotal + tax_amount = total (rounding ok)
-- If tax is shown like "Tax (13%) 456.30": tax_rate=13 and tax_amount=456.30
-- If a memo: put summary into notes, leave line_items empty
-`.trim();
-
-    // ✅ Helpful error if missing key
-    if (!process.env.GROQ_API_KEY) {
-      return res.status(500).json({ error: "Missing GROQ_API_KEY in env." });
+    const lang = resolveLang(req);
+    if (!lang) {
+      return res.status(400).json({
+        error: 'Invalid lang (use codes like "eng", "eng+fra" or "auto").',
+      });
     }
 
-    const completion = await groq.chat.completions.create({
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.1,
-      messages: [
-        { role: "system", content: system },
-        { role: "user", content: user },
-      ],
-      response_format: { type: "json_object" },
+    // optional: chain straight into /api/structure's pipeline; options are
+    // checked before any OCR runs
+    const structure = isTruthy(req.body.structure ?? req.query.structure);
+    const { options, error } = structure ? readStructureOptions(req) : {};
+    if (error) return res.status(400).json({ error });
+
+    const ocr = await ocrBuffer(file.buffer, {
+      fileName,
+      mimeType: file.mimetype,
+      pdfMode,
+      lang,
+      probe: process.env.OCR_DETECT_PROBE || DEFAULT_LANG,
     });
+    const { kind, pages, text } = ocr;
+
+    const result = {
+      fileName,
+      kind,
+      lang: ocr.lang,
+      detected: ocr.detected,
+      pages,
+      text,
+      // documents found in the file (a stack of receipts = several)
+      segments: detectDocuments(pages),
+    };
 
-    const raw = completion.choices?.[0]?.message?.content || "{}";
-    const parsed = JSON.parse(raw);
-    const reconciled = reconcileMath(parsed);
+    if (structure) {
+      const language = primaryLanguage(ocr);
+
+      // split=true: structure every detected document on its own
+      if (isTruthy(req.body.split ?? req.query.split)) {
+        result.documents = [];
+        for (const seg of result.segments) {
+          const segPages = segmentPages(pages, seg);
+          const segText = joinPages(segPages);
+          result.documents.push({
+            ...seg,
+            text: segText,
+            structure: segText.trim()
+              ? await structureDocument(
+                  provider,
+                  { text: segText, fileName, pages: segPages, language },
+                  options,
+                )
+              : null,
+          });
+        }
+      } else {
+        result.structure = text.trim()
+          ? await structureDocument(
+              provider,
+              { text, fileName, pages, language },
+              options,
+            )
+          : null;
+      }
+    }
 
-    res.json({ structured: reconciled });
+    res.json(result);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to structure OCR output." });
+    res.status(500).json({ error: "Failed to OCR document." });
+  }
+});
+
+// ✅ Stored documents (SQLite file, created on first start)
+const documents = openDocumentRepository(
+  process.env.DOCUMENTS_DB || path.join(here, "data", "ocrv.sqlite"),
+);
+app.use("/api/documents", documentsRouter(documents, upload));
+
+// multer limits (file too large...) -> 413 instead of a stack trace
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json({ error: err.message });
   }
+  next(err);
 });
 
 // ✅ Render uses process.env.PORT, so this is perfect
@@ -0,0 +1,201 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { ocrBuffer, detectKind } from "./ocr.js";
+import { structureDocument } from "./structure.js";
+import { toCsv } from "../../shared/csv.js";
+import { DEFAULT_LANG, primaryLanguage } from "../../shared/languages.js";
+
+// ---------- Folder batch: scans in, one JSON per document + combined CSV ----------
+
+export const SUMMARY_COLUMNS = [
+  { key: "file", label: "file" },
+  { key: "status", label: "status" },
+  { key: "mode", label: "mode" },
+  { key: "lang", label: "lang" },
+  { key: "doc_type", label: "doc_type" },
+  { key: "vendor_or_sender", label: "vendor" },
+  { key: "receipt_or_invoice_no", label: "number" },
+  { key: "date", label: "date" },
+  { key: "currency", label: "currency" },
+  { key: "subtotal", label: "subtotal" },
+  { key: "tax_rate", label: "tax_rate" },
+  { key: "tax_amount", label: "tax_amount" },
+  { key: "total", label: "total" },
+  { key: "amount_paid", label: "amount_paid" },
+  { key: "balance_due", label: "balance_due" },
+  { key: "line_items", label: "line_items" },
+  { key: "confidence", label: "confidence" },
+  { key: "needs_review", label: "needs_review" },
+  { key: "mismatches", label: "mismatches" },
+  { key: "error", label: "error" },
+];
+
+async function walk(dir, recursive) {
+  const out = [];
+  for (const ent of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, ent.name);
+    if (ent.isDirectory()) {
+      if (recursive) out.push(...(await walk(full, recursive)));
+    } else if (ent.isFile() && detectKind(ent.name)) {
+      out.push(full);
+    }
+  }
+  return out.sort();
+}
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+/** run fn over items with at most `limit` in flight */
+async function pool(items, limit, fn) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, () =>
+    (async () => {
+      while (next < items.length) {
+        const i = next++;
+        await fn(items[i], i);
+      }
+    })(),
+  );
+  await Promise.all(runners);
+}
+
+function summaryRow(doc) {
+  const s = doc.structure?.structured || {};
+  return {
+    file: doc.file,
+    status: doc.status,
+    mode: doc.structure?.mode ?? null,
+    lang: doc.ocr?.lang ?? null,
+    doc_type: s.doc_type,
+    vendor_or_sender: s.vendor_or_sender,
+    receipt_or_invoice_no: s.receipt_or_invoice_no,
+    date: s.date,
+    currency: s.currency,
+    subtotal: s.subtotal,
+    tax_rate: s.tax_rate,
+    tax_amount: s.tax_amount,
+    total: s.total,
+    amount_paid: s.amount_paid,
+    balance_due: s.balance_due,
+    line_items: Array.isArray(s.line_items) ? s.line_items.length : null,
+    confidence: doc.structure?.confidence?.score ?? null,
+    needs_review: doc.structure?.confidence?.needsReview ?? null,
+    // arithmetic still off after reconciliation
+    mismatches: doc.structure?.reconciliation?.mismatches.length ?? null,
+    error: doc.error ?? null,
+  };
+}
+
+/**
+ * OCR (+ structure) every supported file under inputDir.
+ *
+ * Each document lands in <outDir>/<relative path>.json; files whose JSON
+ * already exists with status "done" are skipped unless force is set.
+ * Returns { processed, skipped, failed: [{ file, error }], csvPath }.
+ */
+export async function runBatch({
+  inputDir,
+  outDir,
+  provider,
+  mode = "llm",
+  scope = "document",
+  numberFormat = "auto",
+  dateOrder = "auto",
+  pdfMode = "hybrid",
+  lang = DEFAULT_LANG,
+  probe = DEFAULT_LANG,
+  reviewThreshold,
+  structure = true,
+  concurrency = 2,
+  recursive = true,
+  force = false,
+  log = () => {},
+}) {
+  const files = await walk(inputDir, recursive);
+  const results = new Array(files.length);
+  const failed = [];
+  let processed = 0;
+  let skipped = 0;
+
+  await pool(files, Math.max(1, concurrency), async (full, i) => {
+    const rel = path.relative(inputDir, full);
+    const jsonPath = path.join(outDir, `${rel}.json`);
+
+    if (!force && (await exists(jsonPath))) {
+      // output that does not parse (cut short, edited by hand) is redone
+      let prev = null;
+      try {
+        prev = JSON.parse(await fs.readFile(jsonPath, "utf8"));
+      } catch {
+        log(`redo  ${rel} (unreadable output)`);
+      }
+      if (prev?.status === "done") {
+        results[i] = prev;
+        skipped++;
+        log(`skip  ${rel}`);
+        return;
+      }
+    }
+
+    const started = Date.now();
+    const doc = { file: rel, status: "done", ocr: null, structure: null };
+
+    try {
+      log(`ocr   ${rel}`);
+      const buffer = await fs.readFile(full);
+      const ocr = await ocrBuffer(buffer, {
+        fileName: rel,
+        pdfMode,
+        lang,
+        probe,
+      });
+      const { pages, text } = ocr;
+      doc.ocr = ocr;
+
+      if (structure && text.trim()) {
+        log(`struct ${rel}`);
+        doc.structure = await structureDocument(
+          provider,
+          {
+            text,
+            fileName: path.basename(rel),
+            pages,
+            language: primaryLanguage(ocr),
+          },
+          { mode, scope, numberFormat, dateOrder, reviewThreshold },
+        );
+      }
+      processed++;
+    } catch (e) {
+      doc.status = "error";
+      doc.error = e?.message || String(e);
+      failed.push({ file: rel, error: doc.error });
+      log(`error ${rel}: ${doc.error}`);
+    }
+
+    doc.processedAt = new Date().toISOString();
+    doc.durationMs = Date.now() - started;
+    results[i] = doc;
+    await writeJsonAtomic(jsonPath, doc);
+  });
+
+  const csvPath = path.join(outDir, "summary.csv");
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(csvPath, toCsv(results.map(summaryRow), SUMMARY_COLUMNS));
+
+  return { total: files.length, processed, skipped, failed, csvPath };
+}
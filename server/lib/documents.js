@@ -0,0 +1,341 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import Database from "better-sqlite3";
+import { toNumber } from "../../shared/reconcile.js";
+
+// ---------- Document repository (embedded SQLite + FTS5 over OCR text) ----------
+
+export const DOC_STATUSES = [
+  "pending",
+  "ocr_done",
+  "struct_done",
+  "needs_review",
+  "error",
+];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS documents (
+  id          TEXT PRIMARY KEY,
+  file_name   TEXT,
+  mime_type   TEXT,
+  file_size   INTEGER,
+  file        BLOB,
+  ocr_text    TEXT NOT NULL DEFAULT '',
+  structured  TEXT,
+  reconciliation TEXT,
+  status      TEXT NOT NULL,
+  doc_type    TEXT,
+  vendor      TEXT,
+  doc_date    TEXT,
+  currency    TEXT,
+  total       REAL,
+  created_at  TEXT NOT NULL,
+  updated_at  TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS documents_vendor ON documents(vendor COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS documents_date ON documents(doc_date);
+
+CREATE TABLE IF NOT EXISTS status_history (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  document_id TEXT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  status      TEXT NOT NULL,
+  note        TEXT,
+  at          TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS status_history_doc ON status_history(document_id);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+  ocr_text, vendor, content='documents', content_rowid='rowid'
+);
+CREATE TRIGGER IF NOT EXISTS documents_ai AFTER INSERT ON documents BEGIN
+  INSERT INTO documents_fts(rowid, ocr_text, vendor)
+  VALUES (new.rowid, new.ocr_text, new.vendor);
+END;
+CREATE TRIGGER IF NOT EXISTS documents_ad AFTER DELETE ON documents BEGIN
+  INSERT INTO documents_fts(documents_fts, rowid, ocr_text, vendor)
+  VALUES ('delete', old.rowid, old.ocr_text, old.vendor);
+END;
+CREATE TRIGGER IF NOT EXISTS documents_au AFTER UPDATE ON documents BEGIN
+  INSERT INTO documents_fts(documents_fts, rowid, ocr_text, vendor)
+  VALUES ('delete', old.rowid, old.ocr_text, old.vendor);
+  INSERT INTO documents_fts(rowid, ocr_text, vendor)
+  VALUES (new.rowid, new.ocr_text, new.vendor);
+END;
+`;
+
+// columns returned by list/get (never the blob)
+const COLUMNS = `
+  d.id, d.file_name, d.mime_type, d.file_size, d.file IS NOT NULL AS has_file,
+  d.status, d.doc_type, d.vendor, d.doc_date, d.currency, d.total,
+  d.created_at, d.updated_at
+`;
+
+/** header fields copied out of the JSON so they can be filtered on */
+function indexedFields(structured) {
+  const s = structured && typeof structured === "object" ? structured : {};
+  return {
+    doc_type: s.doc_type ?? null,
+    vendor: s.vendor_or_sender ?? null,
+    doc_date: /^\d{4}-\d{2}-\d{2}/.test(s.date || "")
+      ? s.date.slice(0, 10)
+      : null,
+    currency: s.currency ?? null,
+    total: toNumber(s.total),
+  };
+}
+
+/** free text -> safe FTS5 query: every word must match (prefix match) */
+function ftsQuery(q) {
+  const terms = String(q)
+    .split(/\s+/)
+    // terms the tokenizer reads as nothing (punctuation) match nothing
+    .filter((t) => /[\p{L}\p{N}]/u.test(t))
+    .map((t) => t.replace(/"/g, '""'));
+  return terms.map((t) => `"${t}"*`).join(" ");
+}
+
+function rowToSummary(row) {
+  if (!row) return null;
+  return { ...row, has_file: !!row.has_file };
+}
+
+export function openDocumentRepository(dbPath) {
+  if (dbPath !== ":memory:") {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+  // databases created before the reconciliation audit was stored
+  const columns = db.prepare("PRAGMA table_info(documents)").all();
+  if (!columns.some((c) => c.name === "reconciliation")) {
+    db.exec("ALTER TABLE documents ADD COLUMN reconciliation TEXT");
+  }
+
+  const now = () => new Date().toISOString();
+
+  const addHistory = db.prepare(
+    `INSERT INTO status_history (document_id, status, note, at)
+     VALUES (?, ?, ?, ?)`,
+  );
+
+  const insert = db.transaction((doc) => {
+    db.prepare(
+      `INSERT INTO documents (
+         id, file_name, mime_type, file_size, file, ocr_text, structured,
+         reconciliation, status, doc_type, vendor, doc_date, currency, total,
+         created_at, updated_at
+       ) VALUES (
+         @id, @file_name, @mime_type, @file_size, @file, @ocr_text, @structured,
+         @reconciliation, @status, @doc_type, @vendor, @doc_date, @currency, @total,
+         @created_at, @updated_at
+       )`,
+    ).run(doc);
+    addHistory.run(doc.id, doc.status, "created", doc.created_at);
+  });
+
+  function get(id) {
+    const row = db
+      .prepare(
+        `SELECT ${COLUMNS}, d.ocr_text, d.structured, d.reconciliation
+         FROM documents d WHERE d.id = ?`,
+      )
+      .get(id);
+    if (!row) return null;
+
+    const history = db
+      .prepare(
+        `SELECT status, note, at FROM status_history
+         WHERE document_id = ? ORDER BY id`,
+      )
+      .all(id);
+
+    return {
+      ...rowToSummary(row),
+      structured: row.structured ? JSON.parse(row.structured) : null,
+      reconciliation: row.reconciliation
+        ? JSON.parse(row.reconciliation)
+        : null,
+      history,
+    };
+  }
+
+  return {
+    /**
+     * { fileName, mimeType, file (Buffer), ocrText, structured,
+     *   reconciliation, status }
+     */
+    create({
+      fileName = null,
+      mimeType = null,
+      file = null,
+      ocrText = "",
+      structured = null,
+      reconciliation = null,
+      status,
+    }) {
+      const at = now();
+      const doc = {
+        id: crypto.randomUUID(),
+        file_name: fileName,
+        mime_type: mimeType,
+        file_size: file ? file.length : null,
+        file,
+        ocr_text: ocrText || "",
+        structured: structured ? JSON.stringify(structured) : null,
+        reconciliation: reconciliation ? JSON.stringify(reconciliation) : null,
+        status:
+          status ||
+          (structured ? "struct_done" : ocrText ? "ocr_done" : "pending"),
+        ...indexedFields(structured),
+        created_at: at,
+        updated_at: at,
+      };
+      insert(doc);
+      return get(doc.id);
+    },
+
+    get,
+
+    /**
+     * Filters: vendor (substring), from/to (ISO date, inclusive), doc_type,
+     * q (full-text over OCR text + vendor). Newest first.
+     */
+    list({ vendor, from, to, doc_type, q, limit = 50, offset = 0 } = {}) {
+      const where = [];
+      const params = {};
+      let join = "";
+      let snippet = "";
+
+      if (vendor) {
+        where.push("d.vendor LIKE @vendor ESCAPE '\\' COLLATE NOCASE");
+        // % and _ typed by the user are literal characters
+        params.vendor = `%${String(vendor).replace(/[\\%_]/g, "\\$&")}%`;
+      }
+      if (from) {
+        where.push("d.doc_date >= @from");
+        params.from = from;
+      }
+      if (to) {
+        where.push("d.doc_date <= @to");
+        params.to = to;
+      }
+      if (doc_type) {
+        where.push("d.doc_type = @doc_type");
+        params.doc_type = doc_type;
+      }
+      // whitespace / punctuation only: no full-text filter (and no ranking)
+      const match = q ? ftsQuery(q) : null;
+      if (match) {
+        join = "JOIN documents_fts f ON f.rowid = d.rowid";
+        where.push("documents_fts MATCH @q");
+        params.q = match;
+        snippet = ", snippet(documents_fts, 0, '[', ']', '…', 12) AS snippet";
+      }
+
+      const sql = `
+        SELECT ${COLUMNS}${snippet}
+        FROM documents d ${join}
+        ${where.length ? "WHERE " + where.join(" AND ") : ""}
+        ORDER BY ${match ? "bm25(documents_fts)," : ""} d.created_at DESC
+        LIMIT @limit OFFSET @offset`;
+
+      const countSql = `
+        SELECT COUNT(*) AS n FROM documents d ${join}
+        ${where.length ? "WHERE " + where.join(" AND ") : ""}`;
+
+      return {
+        total: db.prepare(countSql).get(params).n,
+        documents: db
+          .prepare(sql)
+          .all({ ...params, limit, offset })
+          .map(rowToSummary),
+      };
+    },
+
+    /** patch: { fileName, ocrText, structured, reconciliation, status, note } */
+    update(id, patch) {
+      const current = db
+        .prepare("SELECT status FROM documents WHERE id = ?")
+        .get(id);
+      if (!current) return null;
+
+      const sets = [];
+      const params = { id, updated_at: now() };
+
+      if (patch.fileName !== undefined) {
+        sets.push("file_name = @file_name");
+        params.file_name = patch.fileName;
+      }
+      if (patch.ocrText !== undefined) {
+        sets.push("ocr_text = @ocr_text");
+        params.ocr_text = patch.ocrText || "";
+      }
+      if (patch.structured !== undefined) {
+        sets.push(
+          "structured = @structured",
+          "doc_type = @doc_type",
+          "vendor = @vendor",
+          "doc_date = @doc_date",
+          "currency = @currency",
+          "total = @total",
+        );
+        params.structured = patch.structured
+          ? JSON.stringify(patch.structured)
+          : null;
+        Object.assign(params, indexedFields(patch.structured));
+      }
+      if (patch.reconciliation !== undefined) {
+        sets.push("reconciliation = @reconciliation");
+        params.reconciliation = patch.reconciliation
+          ? JSON.stringify(patch.reconciliation)
+          : null;
+      }
+      if (patch.status !== undefined) {
+        sets.push("status = @status");
+        params.status = patch.status;
+      }
+
+      db.transaction(() => {
+        db.prepare(
+          `UPDATE documents SET ${[...sets, "updated_at = @updated_at"].join(", ")}
+           WHERE id = @id`,
+        ).run(params);
+
+        if (patch.status !== undefined && patch.status !== current.status) {
+          addHistory.run(
+            id,
+            patch.status,
+            patch.note ?? null,
+            params.updated_at,
+          );
+        }
+      })();
+
+      return get(id);
+    },
+
+    remove(id) {
+      return (
+        db.prepare("DELETE FROM documents WHERE id = ?").run(id).changes > 0
+      );
+    },
+
+    /** original upload: { file_name, mime_type, file } or null */
+    getFile(id) {
+      const row = db
+        .prepare(
+          "SELECT file_name, mime_type, file FROM documents WHERE id = ?",
+        )
+        .get(id);
+      return row?.file ? row : null;
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,331 @@
+import { createWorker } from "tesseract.js";
+import { createCanvas, loadImage, ImageData } from "@napi-rs/canvas";
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
+import UTIFImport from "utif";
+import { createRequire } from "node:module";
+import fs from "node:fs";
+import path from "node:path";
+import {
+  OCR_PRESETS,
+  canvasCleaner,
+  orientCanvas,
+  rateOrientation,
+  recognizeBestStrategy,
+  toPageLayout,
+} from "../../shared/ocrCore.js";
+import { textLayerToPage, isUsableTextLayer } from "../../shared/pdfText.js";
+import { DEFAULT_LANG, ocrWithLanguage } from "../../shared/languages.js";
+import { joinPages } from "../../shared/pages.js";
+
+// ✅ Normalize UTIF export (CJS default)
+const UTIF = UTIFImport?.default ?? UTIFImport;
+
+// pdf.js needs its bundled fonts on disk to render non-embedded fonts in Node
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS =
+  path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts",
+  ) + path.sep;
+
+export { PAGE_BREAK } from "../../shared/pages.js";
+
+// ---------- Tesseract workers (one per language set, same params as the app) ----------
+const MAX_WORKERS = 3;
+const workers = new Map(); // "eng+fra" -> Promise<worker>, least recently used first
+
+/**
+ * TESSDATA_PATH: local folder (or URL) with <lang>.traineddata[.gz] so OCR
+ * works offline; unset = tesseract.js downloads from its CDN and caches.
+ */
+function tessdataOptions(langs) {
+  const dir = process.env.TESSDATA_PATH;
+  if (!dir) return {};
+  if (/^[a-z]+:\/\//i.test(dir)) {
+    return { langPath: dir, gzip: process.env.TESSDATA_GZIP !== "false" };
+  }
+  // local folders may hold plain or gzipped files
+  const first = langs.split("+")[0];
+  return {
+    langPath: path.resolve(dir),
+    gzip: !fs.existsSync(path.join(dir, `${first}.traineddata`)),
+  };
+}
+
+function getWorker(langs) {
+  const cached = workers.get(langs);
+  if (cached) {
+    workers.delete(langs);
+    workers.set(langs, cached);
+    return cached;
+  }
+
+  // errorHandler: a failed traineddata download must reject, not crash
+  // the server (tesseract.js otherwise throws from its message handler)
+  const promise = new Promise((resolve, reject) => {
+    createWorker(langs, undefined, {
+      ...tessdataOptions(langs),
+      errorHandler: (err) => reject(new Error(`Tesseract (${langs}): ${err}`)),
+    })
+      .then(async (worker) => {
+        await worker.setParameters({
+          tessedit_pageseg_mode: "6",
+          preserve_interword_spaces: "1",
+          user_defined_dpi: "300",
+        });
+        resolve(worker);
+      })
+      .catch(reject);
+  });
+  // let the next request retry instead of caching a rejected promise
+  promise.catch(() => {
+    if (workers.get(langs) === promise) workers.delete(langs);
+  });
+  workers.set(langs, promise);
+
+  // each worker holds its traineddata in memory: drop the stalest one
+  if (workers.size > MAX_WORKERS) {
+    const [oldLangs, old] = workers.entries().next().value;
+    workers.delete(oldLangs);
+    old.then((w) => exclusive(oldLangs, () => w.terminate())).catch(() => {});
+  }
+  return promise;
+}
+
+/** terminate every cached worker */
+export async function terminateOcrWorker() {
+  const all = [...workers.values()];
+  workers.clear();
+  await Promise.all(
+    all.map((p) => p.then((w) => w.terminate()).catch(() => {})),
+  );
+}
+
+// per worker: passes must not interleave their setParameters calls
+const queues = new Map();
+
+function exclusive(langs, task) {
+  const run = (queues.get(langs) || Promise.resolve()).then(task, task);
+  queues.set(
+    langs,
+    run.catch(() => {}),
+  );
+  return run;
+}
+
+/**
+ * one page -> { text, confidence, psm, width, height, rotation, binarize,
+ * blocks } (see shared toPageLayout); binarize is the strategy that won.
+ * The page is turned upright first (shared orientCanvas): width/height and
+ * boxes are in that frame, `rotation` says how it relates to the source
+ * image (null = untouched).
+ */
+async function canvasToOcrText(
+  canvas,
+  preprocess,
+  { onProgress, lang = DEFAULT_LANG } = {},
+) {
+  // tesseract.js in Node takes an encoded image, not a canvas
+  const clean = canvasCleaner(createCanvas, (c) => c.toBuffer("image/png"));
+
+  // one task for both passes: an eviction queues its terminate() behind it
+  const { upright, rotation, r } = await exclusive(lang, async () => {
+    const worker = await getWorker(lang);
+
+    onProgress?.({ stage: "orient" });
+    const { canvas: upright, rotation } = await orientCanvas(
+      canvas,
+      createCanvas,
+      {
+        orient: preprocess.orient,
+        deskew: preprocess.deskew,
+        rate: (c) => rateOrientation(worker, c, preprocess, clean),
+      },
+    );
+
+    const r = await recognizeBestStrategy(worker, upright, preprocess, clean, {
+      psmPrimary: "6",
+      psmFallback: "11",
+      onProgress,
+    });
+    return { upright, rotation, r };
+  });
+
+  // word offsets are computed against the trimmed text that gets stored
+  const text = r.text.trim();
+
+  return {
+    text,
+    confidence: r.confidence,
+    psm: r.psm,
+    width: upright.width,
+    height: upright.height,
+    rotation,
+    binarize: r.binarize,
+    blocks: toPageLayout(text, r.blocks, r.scale),
+  };
+}
+
+export const SUPPORTED_TYPES = {
+  "application/pdf": "pdf",
+  "image/tiff": "tiff",
+  "image/tif": "tiff",
+  "image/png": "image",
+  "image/jpeg": "image",
+  "image/jpg": "image",
+};
+
+/** mime type first, extension as fallback (multer often sends octet-stream) */
+export function detectKind(fileName = "", mimeType = "") {
+  if (SUPPORTED_TYPES[mimeType]) return SUPPORTED_TYPES[mimeType];
+  const ext = fileName.toLowerCase().split(".").pop();
+  if (ext === "pdf") return "pdf";
+  if (ext === "tif" || ext === "tiff") return "tiff";
+  if (["png", "jpg", "jpeg"].includes(ext)) return "image";
+  return null;
+}
+
+/**
+ * 1) PDF -> per page: embedded text layer, or render + OCR when it is
+ * missing/garbage (pdfMode: "hybrid" | "ocr" | "text", see shared/pdfText.js).
+ * Each page records the `method` ("text" | "ocr") that produced its text.
+ */
+export async function ocrPdfBuffer(
+  buffer,
+  onProgress,
+  { pdfMode = "hybrid", lang } = {},
+) {
+  const pdf = await pdfjsLib.getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    standardFontDataUrl: STANDARD_FONTS,
+  }).promise;
+
+  const pages = [];
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      onProgress?.({ stage: "pdf", page: pageNum, totalPages: pdf.numPages });
+
+      const page = await pdf.getPage(pageNum);
+      const viewport = page.getViewport({ scale: 3.0 });
+
+      if (pdfMode !== "ocr") {
+        const layer = textLayerToPage(await page.getTextContent(), viewport);
+        if (pdfMode === "text" || isUsableTextLayer(layer.text)) {
+          pages.push({ page: pageNum, method: "text", ...layer });
+          continue;
+        }
+      }
+
+      const canvas = createCanvas(
+        Math.floor(viewport.width),
+        Math.floor(viewport.height),
+      );
+      const ctx = canvas.getContext("2d");
+      await page.render({ canvasContext: ctx, viewport }).promise;
+
+      const ocr = await canvasToOcrText(canvas, OCR_PRESETS.pdf, {
+        onProgress,
+        lang,
+      });
+      pages.push({ page: pageNum, method: "ocr", ...ocr });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages;
+}
+
+/** 2) TIFF -> decode pages -> OCR */
+export async function ocrTiffBuffer(buffer, onProgress, { lang } = {}) {
+  const ab = buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength,
+  );
+
+  const ifds = UTIF.decode(ab);
+  if (!ifds || ifds.length === 0) {
+    throw new Error("TIFF decode failed: no pages (IFDs) found.");
+  }
+  UTIF.decodeImages(ab, ifds);
+
+  const pages = [];
+  for (let i = 0; i < ifds.length; i++) {
+    onProgress?.({ stage: "tiff", page: i + 1, totalPages: ifds.length });
+
+    const ifd = ifds[i];
+    const w = ifd.width;
+    const h = ifd.height;
+    if (!w || !h)
+      throw new Error(`TIFF page ${i + 1} has invalid dimensions (${w}x${h}).`);
+
+    const rgba = UTIF.toRGBA8(ifd);
+    const canvas = createCanvas(w, h);
+    canvas
+      .getContext("2d")
+      .putImageData(new ImageData(new Uint8ClampedArray(rgba), w, h), 0, 0);
+
+    const ocr = await canvasToOcrText(canvas, OCR_PRESETS.tiff, {
+      onProgress,
+      lang,
+    });
+    pages.push({ page: i + 1, method: "ocr", ...ocr });
+  }
+
+  return pages;
+}
+
+/** 3) PNG / JPG -> OCR */
+export async function ocrImageBuffer(buffer, onProgress, { lang } = {}) {
+  const img = await loadImage(buffer);
+  const canvas = createCanvas(img.width, img.height);
+  canvas.getContext("2d").drawImage(img, 0, 0);
+
+  const ocr = await canvasToOcrText(canvas, OCR_PRESETS.image, {
+    onProgress,
+    lang,
+  });
+  return [{ page: 1, method: "ocr", ...ocr }];
+}
+
+/**
+ * Router: buffer -> { pages: [{ page, method, text, confidence, blocks, ... }],
+ * text, lang, detected }. text joins non-empty pages with the same PAGE BREAK
+ * marker as the app.
+ *
+ * lang: "eng", "eng+fra", ... or "auto" (first pass in `probe`, then re-OCR in
+ * the detected language; see shared/languages.js). detected is the language
+ * guessed from the final text, for the structuring prompt.
+ */
+export async function ocrBuffer(
+  buffer,
+  {
+    fileName,
+    mimeType,
+    onProgress,
+    pdfMode,
+    lang = DEFAULT_LANG,
+    probe = DEFAULT_LANG,
+  } = {},
+) {
+  const kind = detectKind(fileName, mimeType);
+  if (!kind) throw new Error(`Unsupported file type: ${mimeType || fileName}`);
+
+  const run = async (langs) => {
+    const pages =
+      kind === "pdf"
+        ? await ocrPdfBuffer(buffer, onProgress, { pdfMode, lang: langs })
+        : kind === "tiff"
+          ? await ocrTiffBuffer(buffer, onProgress, { lang: langs })
+          : await ocrImageBuffer(buffer, onProgress, { lang: langs });
+
+    return {
+      pages,
+      text: joinPages(pages),
+    };
+  };
+
+  const result = await ocrWithLanguage(lang, run, { probe });
+  return { kind, ...result };
+}
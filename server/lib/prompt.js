@@ -0,0 +1,128 @@
+import { languageLabel } from "../../shared/languages.js";
+import { tablesToText } from "../../shared/tables.js";
+
+// ---------- Prompt building (shared by every provider) ----------
+
+/** chat messages for one structuring request */
+export function buildMessages({
+  text,
+  fileName,
+  language = null,
+  tables = null,
+  decimal = null,
+  dateOrder = null,
+}) {
+  const system = `
+You extract structured fields from OCR text of receipts/invoices/statements.
+Return ONLY valid JSON. No markdown, no extra text.
+Use null when unknown. Do not invent.
+Prefer values that match arithmetic in the document.
+`.trim();
+
+  // OCR language: labels like "Montant TTC" / "Summe" are read in context
+  const languageLine = language
+    ? `\nLanguage: ${languageLabel(language)} (${language}); keep names and notes as written`
+    : "";
+
+  // decimal style (shared/numbers.js): "1.234" is a thousand or one and a bit
+  const numberLine =
+    decimal === ","
+      ? "\nNumbers: decimal comma (1.234,56 means 1234.56)"
+      : decimal === "."
+        ? "\nNumbers: decimal point (1,234.56 means 1234.56)"
+        : "";
+
+  // day-month order (shared/dates.js): 03/04/2025 is March or April
+  const dateLine =
+    dateOrder === "dmy"
+      ? "\nDates: day first (03/04/2025 means 3 April 2025)"
+      : dateOrder === "mdy"
+        ? "\nDates: month first (03/04/2025 means March 4, 2025)"
+        : "";
+
+  // item tables rebuilt from word positions (shared/tables.js)
+  const tableText = tablesToText(tables);
+  const tableBlock = tableText
+    ? `\n\nDETECTED TABLES (columns from word positions; one row per line item):\n${tableText}`
+    : "";
+
+  const user = `
+File: ${fileName || "unknown"}${languageLine}${numberLine}${dateLine}
+
+OCR TEXT:
+${text}${tableBlock}
+
+Return this exact JSON shape:
+
+{
+  "doc_type": "invoice|receipt|statement|memo|other",
+  "vendor_or_sender": string|null,
+  "receipt_or_invoice_no": string|null,
+  "date": string|null,
+  "currency": string|null,
+
+  "recipient_name": string|null,
+  "recipient_address": string|null,
+
+  "subtotal": number|null,
+  "taxes": [
+    {
+      "label": string|null,
+      "rate": number|null,
+      "amount": number|null,
+      "included": boolean
+    }
+  ],
+  "tax_rate": number|null,
+  "tax_amount": number|null,
+  "adjustments": [
+    {
+      "type": "discount|fee|tip|shipping",
+      "label": string|null,
+      "amount": number|null
+    }
+  ],
+  "total": number|null,
+  "amount_paid": number|null,
+  "balance_due": number|null,
+
+  "line_items": [
+    {
+      "product_or_service": string|null,
+      "description": string|null,
+      "qty": number|null,
+      "unit_price": number|null,
+      "amount": number|null
+    }
+  ],
+
+  "notes": string|null
+}
+
+Rules:
+- date must be ISO if possible (YYYY-MM-DD)
+- numbers must be plain numbers only (no commas, no currency symbol)
+- credits shown as (45.00), 45.00- or 45.00 CR are negative numbers
+- If the document has "Receipt for #XXXX" or "Invoice #", put it into receipt_or_invoice_no
+- If a table has Qty/Cost/Total: map to qty/unit_price/amount
+- If DETECTED TABLES are given, take line_items from their rows and columns
+  (the OCR text may interleave columns); use the OCR text to fix misread words
+- One taxes entry per printed tax line (GST and PST, each VAT rate):
+  "Tax (13%) 456.30" is { "label": "Tax", "rate": 13, "amount": 456.30 };
+  included=true when the tax is already in the prices ("incl. VAT")
+- tax_amount is the sum of the taxes, tax_rate their rate when they share one
+- adjustments: discounts and coupons (negative amounts), fees and service
+  charges, tips and gratuity, shipping and delivery
+- amount_paid: payments and deposits already made; balance_due: what is still owed
+- Enforce arithmetic where possible:
+  - qty * unit_price = amount (rounding ok)
+  - subtotal + taxes (not included) + adjustments = total (rounding ok)
+  - total - amount_paid = balance_due
+- If a memo: put summary into notes, leave line_items empty
+`.trim();
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: user },
+  ];
+}
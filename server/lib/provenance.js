@@ -0,0 +1,436 @@
+import { findDates } from "../../shared/dates.js";
+
+// ---------- Field provenance: where in the OCR text did each value come from? ----------
+//
+// Values are looked up in the OCR text here, never taken from the model.
+// Result: { "<path>": { status: "found"|"partial"|"missing", spans: [...] } }
+// where a span is { start, end, text } in the full OCR text, plus
+// { page, pageStart, pageEnd, bbox, confidence } when page layout was supplied.
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const CURRENCY_SYMBOLS = {
+  USD: "$",
+  CAD: "$",
+  AUD: "$",
+  EUR: "€",
+  GBP: "£",
+  JPY: "¥",
+  INR: "₹",
+};
+
+// labels that make a number match more trustworthy for header totals
+const LABELS = {
+  subtotal: /sub\s*-?\s*total/i,
+  tax_rate: /\b(tax|hst|gst|pst|qst|vat)\b|%/i,
+  tax_amount: /\b(tax|hst|gst|pst|qst|vat)\b/i,
+  total: /\b(total|amount due|balance|grand)\b/i,
+  amount_paid: /\b(paid|payment|deposit|prepaid|acompte|anzahlung)\b/i,
+  balance_due: /\b(balance|amount due|due)\b/i,
+};
+
+// adjustment lines without a printed label are looked for by their type
+const ADJUSTMENT_LABELS = {
+  discount: /\b(discount|coupon|promo|savings|voucher|rabatt|remise)\b/i,
+  fee: /\b(fee|charge|surcharge|deposit|frais)\b/i,
+  tip: /\b(tip|gratuity|pourboire|trinkgeld)\b/i,
+  shipping: /\b(shipping|delivery|freight|postage|versand|livraison)\b/i,
+};
+
+const STRING_FIELDS = [
+  "vendor_or_sender",
+  "receipt_or_invoice_no",
+  "recipient_name",
+  "recipient_address",
+];
+// tax_rate / tax_amount sum up the tax lines, which are traced instead
+const NUMBER_FIELDS = ["subtotal", "total", "amount_paid", "balance_due"];
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function findAll(text, re) {
+  const out = [];
+  const g = new RegExp(
+    re.source,
+    re.flags.includes("g") ? re.flags : re.flags + "g",
+  );
+  for (const m of text.matchAll(g)) {
+    out.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+  }
+  return out;
+}
+
+/** "ACME  Corp." -> /ACME\s+Corp\./i (whitespace in OCR is unreliable) */
+function phraseRe(str) {
+  const tokens = String(str).trim().split(/\s+/).filter(Boolean).map(escapeRe);
+  return tokens.length ? new RegExp(tokens.join("\\s+"), "i") : null;
+}
+
+/** textual forms a number may take on paper */
+function numberForms(n) {
+  const abs = Math.abs(n);
+  const forms = new Set([String(abs)]);
+  // money columns print whole amounts as "5.00" too
+  const fixed = abs.toFixed(2);
+  const [int, dec] = fixed.split(".");
+  const grouped = int.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  forms.add(fixed);
+  forms.add(`${grouped}.${dec}`);
+  forms.add(`${int},${dec}`);
+  forms.add(`${grouped.replace(/,/g, ".")},${dec}`);
+  forms.add(`${grouped.replace(/,/g, " ")},${dec}`);
+  // whole amounts printed with grouping only: "1,234" / "1.234"
+  if (Number.isInteger(abs) && grouped !== int) {
+    forms.add(grouped);
+    forms.add(grouped.replace(/,/g, "."));
+  }
+  return [...forms];
+}
+
+function numberRe(n) {
+  const alts = numberForms(n)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRe)
+    .join("|");
+  // not part of a longer number on either side
+  return new RegExp(`(?<![\\d.,])(?:${alts})(?!\\d|[.,]\\d)`, "g");
+}
+
+function dateForms(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(iso || "");
+  if (!m) return [];
+  const [y, mo, d] = [m[1], Number(m[2]), Number(m[3])];
+  const yy = y.slice(2);
+  const month = MONTHS[mo - 1];
+  if (!month) return [];
+  const mon = month.slice(0, 3);
+  const nums = [];
+  for (const dd of new Set([String(d), String(d).padStart(2, "0")])) {
+    for (const mm of new Set([String(mo), String(mo).padStart(2, "0")])) {
+      for (const yr of [y, yy]) {
+        for (const sep of ["/", "-", "."]) {
+          nums.push(
+            `${mm}${sep}${dd}${sep}${yr}`,
+            `${dd}${sep}${mm}${sep}${yr}`,
+          );
+        }
+      }
+    }
+  }
+  return [
+    `${y}-${m[2]}-${m[3]}`,
+    `${y}/${m[2]}/${m[3]}`,
+    ...nums,
+    `${month} ${d}, ${y}`,
+    `${month} ${d} ${y}`,
+    `${mon} ${d}, ${y}`,
+    `${mon}. ${d}, ${y}`,
+    `${mon} ${d} ${y}`,
+    `${d} ${month} ${y}`,
+    `${d} ${mon} ${y}`,
+    `${d} ${mon} ${yy}`,
+    `${d}-${mon}-${y}`,
+    `${d}-${mon}-${yy}`,
+  ];
+}
+
+function dateRe(iso) {
+  const forms = dateForms(iso);
+  if (!forms.length) return null;
+  const alts = forms
+    .sort((a, b) => b.length - a.length)
+    .map((f) => escapeRe(f).replace(/\s+/g, "\\s*"))
+    .join("|");
+  return new RegExp(`(?<!\\d)(?:${alts})(?!\\d)`, "gi");
+}
+
+function lineAt(text, pos) {
+  const start = text.lastIndexOf("\n", pos - 1) + 1;
+  let end = text.indexOf("\n", pos);
+  if (end < 0) end = text.length;
+  return { start, end };
+}
+
+/** prefer a match whose line carries the field's label; totals read bottom-up */
+function pickBest(spans, text, label, preferLast = false) {
+  if (!spans.length) return [];
+  if (label) {
+    const labelled = spans.filter((s) => {
+      const l = lineAt(text, s.start);
+      return label.test(text.slice(l.start, l.end));
+    });
+    if (labelled.length) spans = labelled;
+  }
+  return [preferLast ? spans[spans.length - 1] : spans[0]];
+}
+
+function inRange(spans, range) {
+  return range
+    ? spans.filter((s) => s.start >= range.start && s.end <= range.end)
+    : spans;
+}
+
+function traceString(text, value, range) {
+  if (value === null || value === undefined || value === "") return null;
+
+  const parts = String(value)
+    .split(/\n+/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const spans = [];
+  let hits = 0;
+  let words = 0;
+  for (const part of parts) {
+    const re = phraseRe(part);
+    const found = re ? inRange(findAll(text, re), range) : [];
+    if (found.length) {
+      spans.push(found[0]);
+      hits += part.split(/\s+/).length;
+      words += part.split(/\s+/).length;
+      continue;
+    }
+    // token fallback: OCR may have split or garbled part of the phrase
+    for (const tok of part.split(/\s+/)) {
+      words++;
+      if (tok.length < 3) continue;
+      const t = inRange(findAll(text, new RegExp(escapeRe(tok), "i")), range);
+      if (t.length) {
+        spans.push(t[0]);
+        hits++;
+      }
+    }
+  }
+
+  return result(spans, hits, words);
+}
+
+function result(spans, hits = spans.length, total = hits || 1) {
+  if (!spans.length) return { status: "missing", spans: [] };
+  return { status: hits >= total ? "found" : "partial", spans };
+}
+
+/**
+ * requireRange: small numbers (qty) match almost anywhere, so without a row to
+ * search in they count as partial evidence at best.
+ */
+function traceNumber(
+  text,
+  value,
+  { range, label, preferLast, requireRange } = {},
+) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return null;
+  const all = findAll(text, numberRe(value));
+  if (!range && requireRange) {
+    return all.length ? { status: "partial", spans: [all[0]] } : result([]);
+  }
+
+  const scoped = inRange(all, range);
+  if (scoped.length) return result(pickBest(scoped, text, label, preferLast));
+  // found only outside the expected row: weak evidence
+  if (range && all.length) {
+    return { status: "partial", spans: pickBest(all, text, label) };
+  }
+  return result([]);
+}
+
+function traceCurrency(text, code) {
+  if (!code) return null;
+  let spans = findAll(text, new RegExp(`\\b${escapeRe(code)}\\b`, "i"));
+  const sym = CURRENCY_SYMBOLS[String(code).toUpperCase()];
+  if (!spans.length && sym) {
+    spans = findAll(text, new RegExp(escapeRe(sym)));
+    return spans.length ? { status: "partial", spans: [spans[0]] } : result([]);
+  }
+  return result(spans.slice(0, 1));
+}
+
+// ---------- page / word geometry ----------
+
+function flattenWords(page) {
+  return (page.blocks || []).flatMap((b) =>
+    (b.lines || []).flatMap((l) => l.words || []),
+  );
+}
+
+/** where each page's text sits inside the joined OCR text */
+function indexPages(text, pages) {
+  let cursor = 0;
+  const out = [];
+  for (const p of pages || []) {
+    if (!p?.text) continue;
+    const at = text.indexOf(p.text, cursor);
+    if (at < 0) continue;
+    cursor = at + p.text.length;
+    out.push({ page: p.page, start: at, end: cursor, words: flattenWords(p) });
+  }
+  return out;
+}
+
+function withGeometry(span, pageIndex) {
+  const pg = pageIndex.find((p) => span.start >= p.start && span.end <= p.end);
+  if (!pg) return span;
+
+  const pageStart = span.start - pg.start;
+  const pageEnd = span.end - pg.start;
+  const words = pg.words.filter(
+    (w) => w.bbox && w.start != null && w.start < pageEnd && w.end > pageStart,
+  );
+  const boxes = words.map((w) => w.bbox);
+
+  const bbox = boxes.length
+    ? {
+        x0: Math.min(...boxes.map((b) => b.x0)),
+        y0: Math.min(...boxes.map((b) => b.y0)),
+        x1: Math.max(...boxes.map((b) => b.x1)),
+        y1: Math.max(...boxes.map((b) => b.y1)),
+      }
+    : null;
+
+  // mean OCR confidence (0-100) of the words under the span
+  const scored = words.filter((w) => w.confidence != null);
+  const confidence = scored.length
+    ? Math.round(
+        scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length,
+      )
+    : null;
+
+  return { ...span, page: pg.page, pageStart, pageEnd, bbox, confidence };
+}
+
+/**
+ * Trace every header field and line-item cell of `structured` back to `text`.
+ * `pages` (optional): [{ page, text, blocks }] as produced by the OCR layer.
+ */
+export function traceProvenance(structured, text, pages = null) {
+  if (!structured || typeof structured !== "object" || !text) return {};
+
+  const out = {};
+  const put = (path, r) => {
+    if (r) out[path] = r;
+  };
+
+  for (const f of STRING_FIELDS) put(f, traceString(text, structured[f]));
+
+  for (const f of NUMBER_FIELDS) {
+    put(
+      f,
+      traceNumber(text, structured[f], {
+        label: LABELS[f],
+        preferLast: f !== "subtotal",
+      }),
+    );
+  }
+
+  // tax and adjustment lines: numbers on the line carrying their label
+  const labelled = (p, label) => {
+    const name = traceString(text, label);
+    put(`${p}.label`, name);
+    return name?.spans.length ? lineAt(text, name.spans[0].start) : null;
+  };
+  (structured.taxes || []).forEach((t, i) => {
+    const p = `taxes.${i}`;
+    const row = labelled(p, t.label);
+    put(
+      `${p}.rate`,
+      traceNumber(text, t.rate, { range: row, label: LABELS.tax_rate }),
+    );
+    put(
+      `${p}.amount`,
+      traceNumber(text, t.amount, { range: row, label: LABELS.tax_amount }),
+    );
+  });
+  (structured.adjustments || []).forEach((a, i) => {
+    const p = `adjustments.${i}`;
+    const row = labelled(p, a.label);
+    put(
+      `${p}.amount`,
+      traceNumber(text, a.amount, {
+        range: row,
+        label: ADJUSTMENT_LABELS[a.type],
+      }),
+    );
+  });
+
+  const date = structured.date;
+  if (date) {
+    // printed in any shape / language shared/dates.js reads, either order
+    const printed = findDates(text)
+      .filter(
+        (d) => d.value === date || d.alternatives.some((a) => a.value === date),
+      )
+      .map(({ start, end, text: t }) => ({ start, end, text: t }));
+    const re = dateRe(date);
+    put(
+      "date",
+      printed.length
+        ? result(printed.slice(0, 1))
+        : re
+          ? result(findAll(text, re).slice(0, 1))
+          : traceString(text, date),
+    );
+  }
+
+  put("currency", traceCurrency(text, structured.currency));
+
+  if (structured.doc_type && structured.doc_type !== "other") {
+    put(
+      "doc_type",
+      result(
+        findAll(text, new RegExp(`\\b${structured.doc_type}\\b`, "i")).slice(
+          0,
+          1,
+        ),
+      ),
+    );
+  }
+
+  (structured.line_items || []).forEach((it, i) => {
+    const p = `line_items.${i}`;
+    const name = traceString(text, it.product_or_service);
+    put(`${p}.product_or_service`, name);
+    put(`${p}.description`, traceString(text, it.description));
+
+    // the row is the line holding the product name (plus the next one,
+    // for descriptions that wrap); numbers should be found there
+    let row = null;
+    if (name?.spans.length) {
+      const l = lineAt(text, name.spans[0].start);
+      row = {
+        start: l.start,
+        end: lineAt(text, Math.min(text.length, l.end + 1)).end,
+      };
+    }
+
+    put(
+      `${p}.qty`,
+      traceNumber(text, it.qty, { range: row ?? { start: 0, end: 0 } }),
+    );
+    put(`${p}.unit_price`, traceNumber(text, it.unit_price, { range: row }));
+    put(`${p}.amount`, traceNumber(text, it.amount, { range: row }));
+  });
+
+  const pageIndex = indexPages(text, pages);
+  if (pageIndex.length) {
+    for (const r of Object.values(out)) {
+      r.spans = r.spans.map((s) => withGeometry(s, pageIndex));
+    }
+  }
+
+  return out;
+}
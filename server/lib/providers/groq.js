@@ -0,0 +1,28 @@
+import Groq from "groq-sdk";
+
+/** Groq hosted models (default provider) */
+export function createGroqProvider({ apiKey, model, temperature, timeoutMs }) {
+  const client = apiKey ? new Groq({ apiKey, timeout: timeoutMs }) : null;
+
+  return {
+    name: "groq",
+    model,
+
+    configError() {
+      return apiKey ? null : "Missing GROQ_API_KEY in env.";
+    },
+
+    async complete(messages, { signal } = {}) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          temperature,
+          messages,
+          response_format: { type: "json_object" },
+        },
+        { signal },
+      );
+      return completion.choices?.[0]?.message?.content || "{}";
+    },
+  };
+}
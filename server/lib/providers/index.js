@@ -0,0 +1,65 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createGroqProvider } from "./groq.js";
+import { createOpenAiProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+function num(v, fallback) {
+  const n = Number(v);
+  return v !== undefined && v !== "" && Number.isFinite(n) ? n : fallback;
+}
+
+/** Per-provider settings from env (LLM_PROVIDER picks which one is used) */
+export function providerConfig(env = process.env) {
+  return {
+    provider: (env.LLM_PROVIDER || "groq").toLowerCase(),
+
+    groq: {
+      apiKey: env.GROQ_API_KEY,
+      model: env.GROQ_MODEL || "llama-3.3-70b-versatile",
+      temperature: num(env.GROQ_TEMPERATURE, 0.1),
+      timeoutMs: num(env.GROQ_TIMEOUT_MS, 60_000),
+    },
+
+    openai: {
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL,
+      temperature: num(env.OPENAI_TEMPERATURE, 0.1),
+      timeoutMs: num(env.OPENAI_TIMEOUT_MS, 120_000),
+      // some local servers reject response_format
+      jsonMode: env.OPENAI_JSON_MODE !== "0",
+    },
+
+    mock: {
+      fixturesDir:
+        env.MOCK_FIXTURES_DIR || path.resolve(here, "../../fixtures/mock"),
+    },
+  };
+}
+
+const factories = {
+  groq: createGroqProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+export const PROVIDERS = Object.keys(factories);
+
+/**
+ * Provider interface:
+ *   { name, model, configError(): string|null,
+ *     complete(messages, { signal }?): Promise<string> }
+ * signal (AbortSignal) cancels the request when the client goes away.
+ */
+export function createProvider(config = providerConfig()) {
+  const factory = factories[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${config.provider}" (expected ${PROVIDERS.join(", ")}).`,
+    );
+  }
+  return factory(config[config.provider]);
+}
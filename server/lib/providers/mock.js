@@ -0,0 +1,48 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Deterministic, offline provider for tests and demos.
+ *
+ * Looks up a fixture by the file name passed in the prompt:
+ *   <fixturesDir>/<fileName>.json         first answer
+ *   <fixturesDir>/<fileName>.repair.json  answer to the repair round-trip
+ * and falls back to default.json. The fixture text is returned verbatim,
+ * so a fixture can also be deliberately invalid.
+ */
+export function createMockProvider({ fixturesDir, model = "fixture" }) {
+  async function read(name) {
+    try {
+      return await fs.readFile(path.join(fixturesDir, name), "utf8");
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    name: "mock",
+    model,
+
+    configError() {
+      return null;
+    },
+
+    async complete(messages, { signal } = {}) {
+      signal?.throwIfAborted();
+      const userMsg = messages.find((m) => m.role === "user")?.content || "";
+      const fileName = /^File: (.*)$/m.exec(userMsg)?.[1]?.trim() || "unknown";
+      const base = path.basename(fileName);
+      const isRepair = messages.length > 2;
+
+      const raw =
+        (isRepair ? await read(`${base}.repair.json`) : null) ??
+        (await read(`${base}.json`)) ??
+        (await read("default.json"));
+
+      if (raw === null) {
+        throw new Error(`No mock fixture for "${base}" in ${fixturesDir}.`);
+      }
+      return raw;
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Any OpenAI-compatible chat endpoint (OpenAI, llama.cpp server, Ollama, vLLM...).
+ * baseUrl should include the version prefix, e.g. http://localhost:11434/v1
+ */
+export function createOpenAiProvider({
+  baseUrl,
+  apiKey,
+  model,
+  temperature,
+  timeoutMs,
+  jsonMode = true,
+}) {
+  const url = baseUrl
+    ? baseUrl.replace(/\/+$/, "") + "/chat/completions"
+    : null;
+
+  return {
+    name: "openai",
+    model,
+
+    configError() {
+      if (!baseUrl) return "Missing OPENAI_BASE_URL in env.";
+      if (!model) return "Missing OPENAI_MODEL in env.";
+      return null;
+    },
+
+    async complete(messages, { signal } = {}) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages,
+          ...(jsonMode ? { response_format: { type: "json_object" } } : {}),
+        }),
+        signal: signal
+          ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)])
+          : AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw new Error(
+          `OpenAI-compatible endpoint returned ${res.status}: ${body.slice(0, 300)}`,
+        );
+      }
+
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content || "{}";
+    },
+  };
+}
@@ -0,0 +1,414 @@
+import {
+  reconcileMath,
+  toNumber,
+  round2,
+  approxEqual,
+} from "../../shared/reconcile.js";
+import { tableLineItems } from "../../shared/tables.js";
+import { findDates } from "../../shared/dates.js";
+
+// ---------- Rule-based structuring (no LLM needed) ----------
+
+// 1,234.56 | 1.234,56 | 1 234,56 | 1234.56 | 12.5 | $45, optionally as a
+// credit: (45.00) | 45.00- | 45.00 CR (read by shared/numbers.js)
+const AMOUNT_RE =
+  /\(?-?[$€£¥₹]?\s?(?:\d{1,3}(?:[,. ']\d{3})+|\d+)(?:[.,]\d{1,2})?(?:\)|-(?!\d)|\s?CR\b)?/g;
+const MONEY_RE =
+  /\(?-?[$€£¥₹]?\s?(?:\d{1,3}(?:[,. ']\d{3})+|\d+)[.,]\d{2}\b(?:\)|-(?!\d)|\s?CR\b)?/g;
+const MONEY_END_RE = /[.,]\d{2}(?:\)|-|\s?CR)?$/;
+const RATE_RE = /(\d{1,2}(?:[.,]\d{1,3})?)\s*%/;
+
+const CURRENCY_CODES = [
+  "USD",
+  "CAD",
+  "EUR",
+  "GBP",
+  "AUD",
+  "NZD",
+  "INR",
+  "JPY",
+  "CHF",
+  "MXN",
+  "BRL",
+  "SEK",
+  "NOK",
+  "DKK",
+  "PLN",
+  "CZK",
+];
+const CURRENCY_SYMBOLS = {
+  $: "USD",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+};
+
+function linesOf(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter((l) => l && !/^-+ PAGE BREAK -+$/.test(l));
+}
+
+/** `style` ({ decimal }) says how to read "1,234" (shared/numbers.js) */
+function moneyOn(line, style = {}) {
+  return (line.match(MONEY_RE) || [])
+    .map((m) => toNumber(m, style))
+    .filter((n) => n !== null);
+}
+
+function lastMoney(line, style) {
+  const all = moneyOn(line, style);
+  return all.length ? all[all.length - 1] : null;
+}
+
+/**
+ * first date in the text as ISO (shared/dates.js); `order` ("dmy" | "mdy")
+ * reads 03/04/2025 the document's way, month first without it
+ */
+export function findDate(text, { order = null } = {}) {
+  return findDates(text, { order })[0]?.value ?? null;
+}
+
+export function findDocNumber(text) {
+  const t = String(text || "");
+  const patterns = [
+    /\b(?:receipt|invoice)\s+for\s+#\s*([A-Z0-9][A-Z0-9-/]*)/i,
+    /\b(?:invoice|receipt|inv|bill|order)\s*(?:no\.?|number|num|#)\s*[:#]?\s*([A-Z0-9][A-Z0-9-/]*)/i,
+    /#\s*([A-Z0-9]*\d[A-Z0-9-/]*)/,
+  ];
+  for (const re of patterns) {
+    const m = re.exec(t);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+export function findCurrency(text) {
+  const t = String(text || "");
+  const code = CURRENCY_CODES.find((c) => new RegExp(`\\b${c}\\b`).test(t));
+  if (code) return code;
+  const sym = Object.keys(CURRENCY_SYMBOLS).find((s) => t.includes(s));
+  return sym ? CURRENCY_SYMBOLS[sym] : null;
+}
+
+function findDocType(text) {
+  const t = String(text || "").toLowerCase();
+  if (/\binvoice\b/.test(t)) return "invoice";
+  if (/\breceipt\b/.test(t)) return "receipt";
+  if (/\bstatement\b/.test(t)) return "statement";
+  if (/\bmemo(randum)?\b/.test(t)) return "memo";
+  return "other";
+}
+
+const KEYWORD_LINE =
+  /\b(invoice|receipt|statement|date|bill(ed)? to|ship to|page|tel|phone|fax|www\.|http)\b/i;
+
+function findVendor(lines) {
+  const line = lines
+    .slice(0, 8)
+    .find(
+      (l) =>
+        /[A-Za-z]{3,}/.test(l) && !KEYWORD_LINE.test(l) && !moneyOn(l).length,
+    );
+  return line || null;
+}
+
+function findRecipient(lines) {
+  const i = lines.findIndex((l) =>
+    /\b(bill(ed)?|sold|ship(ped)?)\s+to\b/i.test(l),
+  );
+  if (i < 0) return { name: null, address: null };
+
+  const inline = lines[i].replace(/.*\bto\b\s*:?\s*/i, "").trim();
+  const rest = [];
+  for (const l of lines.slice(i + 1, i + 4)) {
+    if (KEYWORD_LINE.test(l) || HEADER_QTY.test(l) || moneyOn(l).length) break;
+    rest.push(l);
+  }
+  const name = inline || rest.shift() || null;
+  return { name, address: rest.length ? rest.join("\n") : null };
+}
+
+// adjustment lines by type, checked in order ("delivery fee" is shipping)
+const ADJUSTMENT_RES = [
+  { type: "tip", re: /\b(tip|gratuity|pourboire|trinkgeld|propina|mancia)\b/ },
+  {
+    type: "shipping",
+    re: /\b(shipping|delivery|freight|postage|s&h|versand|livraison|env[ií]o|spedizione)\b/,
+  },
+  {
+    type: "discount",
+    re: /\b(discount|coupon|promo(tion)?|savings|voucher|rabatt|remise|descuento|sconto)\b/,
+  },
+  {
+    type: "fee",
+    re: /\b(fee|service charge|surcharge|bottle deposit|container deposit|frais|gebühr|cargo)\b/,
+  },
+];
+const PAID_RE =
+  /\b(amount paid|paid|payment( received)?|deposit|prepaid|acompte|anzahlung)\b/;
+const BALANCE_RE = /\b(amount due|balance due|balance|solde|restbetrag)\b/;
+const INCLUDED_RE =
+  /\b(incl\.?|included|including|inkl\.?|enthalten|inclus[e]?|compris[e]?)\b/;
+
+/** "GST (5%): 12.50" / "Coupon SAVE10 -10.00" -> "GST" / "Coupon SAVE10" */
+function labelOf(line) {
+  return (
+    line
+      .split(/[:\s][-\d(@$€£¥₹]|^[-\d]|[(@$€£¥₹]/)[0]
+      .replace(/^[\s.:-]+|[:\s-]+$/g, "")
+      .trim() || null
+  );
+}
+
+/**
+ * Subtotal / tax lines / adjustments / Total / paid / balance lines.
+ * Tax and adjustment lines come back one by one; reconcileMath sums them.
+ */
+export function findTotals(lines, style = {}) {
+  const out = {
+    subtotal: null,
+    taxes: [],
+    adjustments: [],
+    total: null,
+    amount_paid: null,
+    balance_due: null,
+  };
+  let grand = null;
+
+  for (const l of lines) {
+    const low = l.toLowerCase();
+
+    if (/\bsub\s*-?\s*total\b/.test(low)) {
+      const v = lastMoney(l, style);
+      if (v !== null) out.subtotal = v;
+      continue;
+    }
+
+    if (
+      /\b(tax|hst|gst|pst|qst|vat|mwst|ust|tva|iva)\b/.test(low) &&
+      !/\btotal\b.*\b(incl|including)\b/.test(low)
+    ) {
+      const rate = RATE_RE.exec(l);
+      const v = lastMoney(l.replace(RATE_RE, ""), style);
+      if (rate || v !== null) {
+        out.taxes.push({
+          label: labelOf(l.replace(RATE_RE, "").replace(INCLUDED_RE, "")),
+          rate: rate ? Number(rate[1].replace(",", ".")) : null,
+          amount: v,
+          included: INCLUDED_RE.test(low),
+        });
+      }
+      continue;
+    }
+
+    if (PAID_RE.test(low) && !/\b(bottle|container)\b/.test(low)) {
+      const v = lastMoney(l, style);
+      if (v !== null) out.amount_paid = round2((out.amount_paid ?? 0) + v);
+      continue;
+    }
+
+    if (
+      BALANCE_RE.test(low) &&
+      !/\b(forward|fwd|brought|carried)\b/.test(low)
+    ) {
+      const v = lastMoney(l, style);
+      if (v !== null) out.balance_due = v;
+      continue;
+    }
+
+    if (/\b(grand total|total due)\b/.test(low)) {
+      const v = lastMoney(l, style);
+      if (v !== null) grand = v;
+      continue;
+    }
+
+    const adjustment =
+      !/\btotal\b/.test(low) && ADJUSTMENT_RES.find((a) => a.re.test(low));
+    if (adjustment) {
+      const v = lastMoney(l, style);
+      if (v !== null) {
+        out.adjustments.push({
+          type: adjustment.type,
+          label: labelOf(l),
+          amount: v,
+        });
+      }
+      continue;
+    }
+
+    if (/\btotal\b/.test(low)) {
+      const v = lastMoney(l, style);
+      if (v !== null) out.total = v;
+    }
+  }
+
+  if (grand !== null) out.total = grand;
+  // nothing paid yet: the amount due is the total
+  if (out.total === null && out.amount_paid === null) {
+    out.total = out.balance_due;
+  }
+  return out;
+}
+
+const HEADER_QTY = /\b(qty|quantity|qté|units?)\b/i;
+const HEADER_PRICE = /\b(cost|price|rate|unit)\b/i;
+const HEADER_AMOUNT = /\b(total|amount|amt|line total)\b/i;
+const TABLE_END =
+  /\b(sub\s*-?\s*total|total|tax|hst|gst|vat|balance|amount due)\b/i;
+
+/** Qty / Cost / Total tables -> line_items (raw, before reconcileMath) */
+export function findLineItems(lines, style = {}) {
+  const start = lines.findIndex(
+    (l) => HEADER_QTY.test(l) && HEADER_PRICE.test(l) && HEADER_AMOUNT.test(l),
+  );
+  if (start < 0) return [];
+
+  // qty first ("2 Widget 5.00 10.00") or last before prices ("Widget 2 5.00 10.00")
+  const header = lines[start].toLowerCase();
+  const qtyFirst = header.search(HEADER_QTY) < header.search(/[a-z]{4,}/);
+
+  const items = [];
+  for (const l of lines.slice(start + 1)) {
+    const nums = [...l.matchAll(AMOUNT_RE)].map((m) => ({
+      value: toNumber(m[0], style),
+      index: m.index,
+      isMoney: MONEY_END_RE.test(m[0]),
+    }));
+    const money = nums.filter((n) => n.isMoney);
+
+    // "Subtotal 301.00" ends the table; item rows carry price + amount
+    if (TABLE_END.test(l) && money.length < 2) break;
+    if (!money.length) continue;
+
+    const amount = money[money.length - 1].value;
+    const unit = money.length >= 2 ? money[money.length - 2].value : null;
+    let cut = money[Math.max(0, money.length - 2)].index;
+    let qty = null;
+    let from = 0;
+
+    if (qtyFirst) {
+      const m = /^(\d+(?:[.,]\d+)?)\s+/.exec(l);
+      if (m) {
+        qty = toNumber(m[1], style);
+        from = m[0].length;
+      }
+    } else {
+      const q = nums
+        .filter((n) => n.index > 0 && n.index < cut && !n.isMoney)
+        .pop();
+      if (q) {
+        qty = q.value;
+        cut = q.index;
+      }
+    }
+
+    const desc = l
+      .slice(from, cut)
+      .replace(/[$€£¥₹]\s*$/, "")
+      .trim();
+
+    items.push({
+      product_or_service: desc || null,
+      description: null,
+      qty,
+      unit_price: unit,
+      amount,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * OCR text -> same JSON shape as the LLM, already reconciled.
+ * `log` collects reconcileMath changes (see shared/reconcile.js); `tables`
+ * (shared/tables.js) replace the text-based line items when their rows read.
+ * `decimal` ("." | ",") reads amounts like "1.234" the document's way and
+ * `dateOrder` ("dmy" | "mdy") dates like 03/04/2025.
+ */
+export function extractWithRules(
+  text,
+  log = null,
+  { tables = null, decimal = null, dateOrder = null } = {},
+) {
+  const style = { decimal };
+  const lines = linesOf(text);
+  const totals = findTotals(lines, style);
+  const recipient = findRecipient(lines);
+  const docType = findDocType(text);
+
+  const structured = {
+    doc_type: docType,
+    vendor_or_sender: findVendor(lines),
+    receipt_or_invoice_no: findDocNumber(text),
+    date: findDate(text, { order: dateOrder }),
+    currency: findCurrency(text),
+
+    recipient_name: recipient.name,
+    recipient_address: recipient.address,
+
+    subtotal: totals.subtotal,
+    taxes: totals.taxes,
+    tax_rate: null,
+    tax_amount: null,
+    adjustments: totals.adjustments,
+    total: totals.total,
+    amount_paid: totals.amount_paid,
+    balance_due: totals.balance_due,
+
+    line_items:
+      docType === "memo"
+        ? []
+        : (tableLineItems(tables) ?? findLineItems(lines, style)),
+
+    notes: null,
+  };
+
+  return reconcileMath(structured, log);
+}
+
+const CROSS_CHECK_FIELDS = [
+  "subtotal",
+  "tax_rate",
+  "tax_amount",
+  "total",
+  "amount_paid",
+  "balance_due",
+];
+const TAX_TOTALS = ["tax_rate", "tax_amount"];
+
+/**
+ * Hybrid mode: compare LLM numbers against the rule-based ones.
+ * Fills LLM nulls from rules; disagreements are reported, not overwritten.
+ */
+export function crossCheck(llm, rules, log = null) {
+  const checks = [];
+
+  for (const field of CROSS_CHECK_FIELDS) {
+    const a = toNumber(llm?.[field]);
+    const b = toNumber(rules?.[field]);
+    if (a === null && b === null) continue;
+    // tax totals of a document with tax lines are their sum, not a reading
+    if (a === null && TAX_TOTALS.includes(field) && llm.taxes?.length) continue;
+
+    if (a === null) {
+      llm[field] = b;
+      checks.push({ field, llm: null, rules: b, result: "filled" });
+    } else if (b === null) {
+      checks.push({ field, llm: a, rules: null, result: "unchecked" });
+    } else {
+      const agree = approxEqual(a, b, 0.01);
+      checks.push({
+        field,
+        llm: a,
+        rules: b,
+        result: agree ? "agree" : "mismatch",
+      });
+    }
+  }
+
+  return { structured: reconcileMath(llm, log), checks };
+}
@@ -0,0 +1,111 @@
+import { z } from "zod";
+
+// ---------- Structured document schema (what /api/structure must return) ----------
+export const DOC_TYPES = ["invoice", "receipt", "statement", "memo", "other"];
+export const ADJUSTMENT_TYPES = ["discount", "fee", "tip", "shipping"];
+
+const str = z.string().nullable();
+const num = z.number().finite().nullable();
+
+export const LineItemSchema = z
+  .object({
+    product_or_service: str,
+    description: str,
+    qty: num,
+    unit_price: num,
+    amount: num,
+  })
+  .strict();
+
+// one printed tax (GST, PST, VAT 7%, VAT 19%); included = already in the prices
+export const TaxLineSchema = z
+  .object({
+    label: str,
+    rate: num,
+    amount: num,
+    included: z.boolean().nullable(),
+  })
+  .strict();
+
+export const AdjustmentSchema = z
+  .object({
+    type: z.enum(ADJUSTMENT_TYPES),
+    label: str,
+    amount: num,
+  })
+  .strict();
+
+export const StructuredSchema = z
+  .object({
+    doc_type: z.enum(DOC_TYPES),
+    vendor_or_sender: str,
+    receipt_or_invoice_no: str,
+    date: str,
+    currency: str,
+
+    recipient_name: str,
+    recipient_address: str,
+
+    subtotal: num,
+    taxes: z.array(TaxLineSchema),
+    tax_rate: num,
+    tax_amount: num,
+    adjustments: z.array(AdjustmentSchema),
+    total: num,
+    amount_paid: num,
+    balance_due: num,
+
+    line_items: z.array(LineItemSchema),
+
+    notes: str,
+  })
+  .strict();
+
+/** zod issues -> [{ path: "line_items.0.qty", message }] */
+export function formatIssues(issues = []) {
+  const toPath = (parts) => (parts.length ? parts.join(".") : "(root)");
+
+  return issues.flatMap((iss) => {
+    const base = iss.path || [];
+    // report each extra key at its own path instead of on the parent object
+    if (iss.code === "unrecognized_keys" && Array.isArray(iss.keys)) {
+      return iss.keys.map((k) => ({
+        path: toPath([...base, k]),
+        message: "Unexpected key",
+      }));
+    }
+    return [{ path: toPath(base), message: iss.message }];
+  });
+}
+
+/**
+ * Parse + validate raw model output.
+ * Returns { ok: true, data } or { ok: false, issues }.
+ */
+export function validateStructured(raw) {
+  let parsed;
+  try {
+    parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (e) {
+    return {
+      ok: false,
+      issues: [{ path: "(root)", message: `Invalid JSON: ${e.message}` }],
+    };
+  }
+
+  const result = StructuredSchema.safeParse(parsed);
+  if (result.success) return { ok: true, data: result.data };
+  return { ok: false, issues: formatIssues(result.error.issues) };
+}
+
+/** Follow-up user message asking the model to fix its own output */
+export function buildRepairPrompt(issues) {
+  const lines = issues.map((i) => `- ${i.path}: ${i.message}`).join("\n");
+  return `
+Your previous JSON did not match the required shape. Validation errors:
+${lines}
+
+Return the corrected JSON only, with exactly the keys from the shape above.
+Numbers must be JSON numbers (not strings), unknown values must be null.
+`.trim();
+}
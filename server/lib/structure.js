@@ -0,0 +1,371 @@
+import { buildMessages } from "./prompt.js";
+import { validateStructured, buildRepairPrompt } from "./schema.js";
+import { reconcileMath, reconcileReport } from "../../shared/reconcile.js";
+import { extractWithRules, crossCheck, findCurrency } from "./rules.js";
+import { traceProvenance } from "./provenance.js";
+import {
+  mergePageResults,
+  pagesFromProvenance,
+  splitPages,
+} from "../../shared/pages.js";
+import { detectTables } from "../../shared/tables.js";
+import { ambiguousNumbers, decimalFor } from "../../shared/numbers.js";
+import { dateOrderFor, normalizeDate } from "../../shared/dates.js";
+import {
+  REVIEW_THRESHOLD,
+  scoreFields,
+  summarizeConfidence,
+} from "../../shared/confidence.js";
+
+/**
+ * OCR text -> validated + reconciled document, using any provider.
+ *
+ * Resolves to { structured, validation } where validation.status is
+ * "valid" | "repaired" | "failed" (structured is null when failed).
+ * `log` collects what reconcileMath derived or overwrote; `signal` aborts the
+ * provider call(s). `tables` (shared/tables.js) go into the prompt next to
+ * the text; `decimal` ("." | ",") tells the model how to read "1.234" and
+ * `dateOrder` ("dmy" | "mdy") how to read 03/04/2025.
+ */
+export async function structureWithLlm(
+  provider,
+  { text, fileName, language, tables = null, decimal = null, dateOrder = null },
+  log = null,
+  { signal } = {},
+) {
+  const messages = buildMessages({
+    text,
+    fileName,
+    language,
+    tables,
+    decimal,
+    dateOrder,
+  });
+
+  // 1) first attempt
+  const raw = await provider.complete(messages, { signal });
+  let check = validateStructured(raw);
+  let validation = { status: "valid", issues: [] };
+
+  // 2) one repair round-trip with the validation errors
+  if (!check.ok) {
+    const firstIssues = check.issues;
+    const repaired = await provider.complete(
+      [
+        ...messages,
+        { role: "assistant", content: raw },
+        { role: "user", content: buildRepairPrompt(firstIssues) },
+      ],
+      { signal },
+    );
+    check = validateStructured(repaired);
+    validation = check.ok
+      ? { status: "repaired", issues: firstIssues }
+      : { status: "failed", issues: check.issues };
+  }
+
+  if (!check.ok) return { structured: null, validation };
+
+  return {
+    structured: reconcileMath(check.data, log, { decimal }),
+    validation,
+  };
+}
+
+export const MODES = ["rules", "llm", "hybrid"];
+
+/**
+ * Pick the structuring engine:
+ *   rules  -> regex/heuristics only
+ *   llm    -> provider (falls back to rules if unconfigured or invalid)
+ *   hybrid -> provider, then cross-checks its numbers against rules
+ */
+async function runMode(
+  provider,
+  { text, fileName, language, tables, decimal, dateOrder },
+  mode,
+  log,
+  signal,
+) {
+  const fromRules = (fallback = null) => ({
+    structured: extractWithRules(text, log, { tables, decimal, dateOrder }),
+    validation: { status: "valid", issues: [] },
+    mode: "rules",
+    fallback,
+    crossCheck: null,
+  });
+
+  if (mode === "rules") return fromRules();
+
+  const configError = provider.configError();
+  if (configError) return fromRules({ from: mode, reason: configError });
+
+  const { structured, validation } = await structureWithLlm(
+    provider,
+    { text, fileName, language, tables, decimal, dateOrder },
+    log,
+    { signal },
+  );
+
+  if (validation.status === "failed") {
+    return {
+      ...fromRules({ from: mode, reason: "LLM output failed validation." }),
+      validation,
+    };
+  }
+
+  if (mode === "hybrid") {
+    const checked = crossCheck(
+      structured,
+      extractWithRules(text, null, { tables, decimal, dateOrder }),
+      log,
+    );
+    return {
+      structured: checked.structured,
+      validation,
+      mode,
+      fallback: null,
+      crossCheck: checked.checks,
+    };
+  }
+
+  return { structured, validation, mode, fallback: null, crossCheck: null };
+}
+
+const VALIDATION_RANK = { valid: 0, repaired: 1, failed: 2 };
+
+/**
+ * Per-page structuring: runMode on every page with text, merged by
+ * shared/pages.js (continued rows joined, carried-forward lines dropped,
+ * header from the first page, totals from the last). Hybrid cross-checks
+ * the merged document against rules on the whole text.
+ */
+async function runPerPage(
+  provider,
+  { text, fileName, language, pages, tables, decimal, dateOrder },
+  mode,
+  log,
+  signal,
+) {
+  const pageTexts = (pages?.length ? pages : splitPages(text)).filter((p) =>
+    p.text?.trim(),
+  );
+
+  const results = [];
+  for (const p of pageTexts) {
+    signal?.throwIfAborted();
+    const pageLog = [];
+    const r = await runMode(
+      provider,
+      {
+        text: p.text,
+        fileName,
+        language,
+        tables: tables.filter((t) => t.page === p.page),
+        decimal,
+        dateOrder,
+      },
+      mode === "hybrid" ? "llm" : mode,
+      pageLog,
+      signal,
+    );
+    results.push({ page: p.page, ...r, log: pageLog });
+  }
+
+  const { structured, indexMap, fieldPages } = mergePageResults(
+    results.map((r) => ({
+      page: r.page,
+      structured: r.structured,
+      derived: r.log.filter((c) => c.from === null).map((c) => c.path),
+    })),
+  );
+
+  // page-level changes, re-keyed to the merged document
+  results.forEach((r, k) => {
+    for (const c of r.log) {
+      const m = /^line_items\.(\d+)\.(.+)$/.exec(c.path);
+      if (m) {
+        const i = indexMap[k][Number(m[1])];
+        if (i != null) log.push({ ...c, path: `line_items.${i}.${m[2]}` });
+      } else if (
+        fieldPages[c.path.split(".")[0]] === r.page &&
+        c.from !== null
+      ) {
+        log.push(c);
+      }
+    }
+  });
+  reconcileMath(structured, log, { decimal });
+
+  const worst = results.reduce(
+    (w, r) =>
+      VALIDATION_RANK[r.validation.status] > VALIDATION_RANK[w]
+        ? r.validation.status
+        : w,
+    "valid",
+  );
+  const validation = {
+    status: worst,
+    issues: results.flatMap((r) =>
+      r.validation.issues.map((iss) => ({ ...iss, page: r.page })),
+    ),
+  };
+  const fellBack = results.filter((r) => r.fallback);
+  const fallback = fellBack.length
+    ? { ...fellBack[0].fallback, pages: fellBack.map((r) => r.page) }
+    : null;
+
+  let checks = null;
+  let final = structured;
+  if (mode === "hybrid" && fellBack.length < results.length) {
+    const checked = crossCheck(
+      structured,
+      extractWithRules(text, null, { tables, decimal, dateOrder }),
+      log,
+    );
+    final = checked.structured;
+    checks = checked.checks;
+  }
+
+  return {
+    structured: final,
+    validation,
+    mode: fellBack.length === results.length ? "rules" : mode,
+    fallback,
+    crossCheck: checks,
+    fieldPages,
+  };
+}
+
+/**
+ * OCR text -> structured document + evidence. Resolves to
+ *   { structured, validation, mode, scope, fallback, crossCheck, fieldPages,
+ *     tables, numbers, dates, provenance, confidence, reconciliation }
+ *
+ *   pages:            OCR page layout, for page + bbox provenance and tables
+ *   language:         OCR language code ("fra"), passed on to the prompt
+ *   mode:             "rules" | "llm" | "hybrid" (see runMode)
+ *   scope:            "document" (joined text) or "page" (shared/pages.js)
+ *   numberFormat:     "auto" | "dot" | "comma" | locale (shared/numbers.js)
+ *   dateOrder:        "auto" | "dmy" | "mdy" | "ymd" | locale (shared/dates.js)
+ *   vendorDateOrders: { "<vendorKey>": order } saved by reviewers
+ *   reviewThreshold:  confidence below this needs review (shared/confidence.js)
+ *   signal:           AbortSignal; cancels the provider call and rejects
+ */
+export async function structureDocument(
+  provider,
+  { text, fileName, pages = null, language = null },
+  {
+    mode = "llm",
+    scope = "document",
+    numberFormat = "auto",
+    dateOrder = "auto",
+    vendorDateOrders = null,
+    reviewThreshold = REVIEW_THRESHOLD,
+    signal = null,
+  } = {},
+) {
+  const changes = [];
+  const currency = findCurrency(text);
+  const { decimal, source } = decimalFor({
+    format: numberFormat,
+    currency,
+    language,
+  });
+  const dateStyle = {
+    format: dateOrder,
+    vendorOrders: vendorDateOrders,
+    language,
+    currency,
+  };
+  // the vendor (and its saved preference) is only known after structuring
+  const before = dateOrderFor(dateStyle);
+  const tables = detectTables(pages, { decimal });
+  const result =
+    scope === "page"
+      ? await runPerPage(
+          provider,
+          {
+            text,
+            fileName,
+            language,
+            pages,
+            tables,
+            decimal,
+            dateOrder: before.order,
+          },
+          mode,
+          changes,
+          signal,
+        )
+      : await runMode(
+          provider,
+          {
+            text,
+            fileName,
+            language,
+            tables,
+            decimal,
+            dateOrder: before.order,
+          },
+          mode,
+          changes,
+          signal,
+        );
+  signal?.throwIfAborted();
+  const after = dateOrderFor({
+    ...dateStyle,
+    vendor: result.structured?.vendor_or_sender,
+    currency: result.structured?.currency || currency,
+  });
+  const date = normalizeDate(result.structured, text, {
+    order: after.order,
+    log: changes,
+  });
+  const provenance = traceProvenance(result.structured, text, pages);
+  const fieldPages =
+    result.fieldPages ?? pagesFromProvenance(result.structured, provenance);
+  const ambiguous = ambiguousNumbers(result.structured, provenance, {
+    decimal,
+  });
+
+  // llm mode still gets a regex second opinion for scoring (nothing is filled)
+  const checks =
+    result.crossCheck ??
+    (result.mode === "llm" && result.structured
+      ? crossCheck(
+          structuredClone(result.structured),
+          extractWithRules(text, null, {
+            tables,
+            decimal,
+            dateOrder: after.order,
+          }),
+        ).checks
+      : null);
+
+  const fields = scoreFields({
+    structured: result.structured,
+    provenance,
+    changes,
+    crossCheck: checks,
+    ambiguous: {
+      ...ambiguous,
+      ...(date?.ambiguous && { date }),
+    },
+  });
+
+  return {
+    ...result,
+    scope,
+    fieldPages,
+    tables,
+    numbers: { decimal, source, ambiguous },
+    dates: { order: after.order, source: after.source, date },
+    provenance,
+    confidence: {
+      ...summarizeConfidence(fields, { threshold: reviewThreshold }),
+      fields,
+    },
+    reconciliation: reconcileReport(result.structured, changes),
+  };
+}
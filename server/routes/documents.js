@@ -0,0 +1,126 @@
+import express from "express";
+import { z } from "zod";
+import { DOC_STATUSES } from "../lib/documents.js";
+import { formatIssues } from "../lib/schema.js";
+
+// ---------- /api/documents: CRUD + search over the document repository ----------
+
+// multipart sends everything as strings; structured and reconciliation
+// arrive as JSON text
+const jsonField = z.preprocess((v) => {
+  if (typeof v !== "string") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return v;
+  }
+}, z.record(z.string(), z.unknown()).nullable());
+
+const CreateSchema = z.object({
+  fileName: z.string().optional(),
+  ocrText: z.string().optional(),
+  structured: jsonField.optional(),
+  reconciliation: jsonField.optional(),
+  status: z.enum(DOC_STATUSES).optional(),
+});
+
+const PatchSchema = z
+  .object({
+    fileName: z.string().optional(),
+    ocrText: z.string().optional(),
+    structured: jsonField.optional(),
+    reconciliation: jsonField.optional(),
+    status: z.enum(DOC_STATUSES).optional(),
+    note: z.string().optional(),
+  })
+  .strict();
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(res, error, issues) {
+  return res.status(400).json({ error, ...(issues ? { issues } : {}) });
+}
+
+export function documentsRouter(repo, upload) {
+  const router = express.Router();
+
+  // create: multipart (file + fields) or plain JSON
+  router.post("/", upload.single("file"), (req, res) => {
+    const parsed = CreateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return badRequest(
+        res,
+        "Invalid document.",
+        formatIssues(parsed.error.issues),
+      );
+    }
+
+    const body = parsed.data;
+    if (!req.file && !body.ocrText && !body.structured) {
+      return badRequest(res, "Provide a file, ocrText or structured.");
+    }
+
+    const doc = repo.create({
+      fileName: req.file?.originalname ?? body.fileName ?? null,
+      mimeType: req.file?.mimetype ?? null,
+      file: req.file?.buffer ?? null,
+      ocrText: body.ocrText,
+      structured: body.structured,
+      reconciliation: body.reconciliation,
+      status: body.status,
+    });
+    res.status(201).json(doc);
+  });
+
+  // list / search: ?vendor=&from=&to=&doc_type=&q=&limit=&offset=
+  router.get("/", (req, res) => {
+    const { vendor, from, to, doc_type, q } = req.query;
+    if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+      return badRequest(res, "from/to must be YYYY-MM-DD.");
+    }
+
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+
+    res.json(repo.list({ vendor, from, to, doc_type, q, limit, offset }));
+  });
+
+  router.get("/:id", (req, res) => {
+    const doc = repo.get(req.params.id);
+    if (!doc) return res.status(404).json({ error: "Document not found." });
+    res.json(doc);
+  });
+
+  // original upload, byte for byte
+  router.get("/:id/file", (req, res) => {
+    const f = repo.getFile(req.params.id);
+    if (!f) return res.status(404).json({ error: "File not found." });
+    res.type(f.mime_type || "application/octet-stream");
+    res.attachment(f.file_name || "document");
+    res.send(f.file);
+  });
+
+  router.patch("/:id", (req, res) => {
+    const parsed = PatchSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return badRequest(
+        res,
+        "Invalid patch.",
+        formatIssues(parsed.error.issues),
+      );
+    }
+
+    const doc = repo.update(req.params.id, parsed.data);
+    if (!doc) return res.status(404).json({ error: "Document not found." });
+    res.json(doc);
+  });
+
+  router.delete("/:id", (req, res) => {
+    if (!repo.remove(req.params.id)) {
+      return res.status(404).json({ error: "Document not found." });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
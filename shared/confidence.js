@@ -0,0 +1,154 @@
+// ---------- Field confidence (server scores, app re-summarises after edits) ----------
+//
+// Every traced value gets a 0-1 score from whichever factors apply:
+//   evidence   - provenance status: found / partial / missing in the OCR text
+//   ocr        - mean Tesseract confidence of the words it was read from
+//   math       - does it satisfy the arithmetic it takes part in
+//   crossCheck - does the rule-based extractor agree (header totals)
+//   reconcile  - did reconcileMath derive it or overwrite it
+//   reading    - could its OCR text be read as another number ("1,234")
+// The field score is the weighted mean of its factors.
+
+import { mathChecks, round2 } from "./reconcile.js";
+
+export const REVIEW_THRESHOLD = 0.75;
+
+const WEIGHTS = {
+  evidence: 2,
+  ocr: 1,
+  math: 1,
+  crossCheck: 1,
+  reconcile: 1,
+  reading: 1,
+};
+const EVIDENCE = { found: 1, partial: 0.6, missing: 0.2 };
+const CROSS_CHECK = { agree: 1, filled: 0.6, mismatch: 0.3 };
+const RECONCILE = { derived: 0.6, overwritten: 0.3 };
+const MATH_FAIL = 0.4;
+const AMBIGUOUS_READING = 0.4;
+
+// a wrong value here is what a reviewer cares about most
+const KEY_FIELDS = ["vendor_or_sender", "date", "total"];
+
+/** path -> 1 (consistent) | MATH_FAIL, for every value in an arithmetic check */
+function mathFactors(structured) {
+  const out = {};
+  for (const c of mathChecks(structured)) {
+    for (const p of c.paths) {
+      out[p] = Math.min(out[p] ?? 1, c.ok ? 1 : MATH_FAIL);
+    }
+  }
+  return out;
+}
+
+// rules cross-check the tax totals; the document traces its tax lines.
+// A total only speaks for a line when it is the only one: with GST + PST
+// the summed tax_amount says nothing about either line on its own.
+const LINE_OF = {
+  tax_rate: /^taxes\.\d+\.rate$/,
+  tax_amount: /^taxes\.\d+\.amount$/,
+};
+
+function weightedScore(factors) {
+  let sum = 0;
+  let weight = 0;
+  for (const [k, v] of Object.entries(factors)) {
+    sum += v * WEIGHTS[k];
+    weight += WEIGHTS[k];
+  }
+  return weight ? round2(sum / weight) : null;
+}
+
+/**
+ * Score every traced field.
+ *   provenance: traceProvenance() output
+ *   changes:    reconcileMath log [{ path, from, to, rule }]
+ *   crossCheck: rules-vs-document checks [{ field, result }]
+ *   ambiguous:  numbers that read two ways (shared/numbers.js ambiguousNumbers)
+ * Returns { "<path>": { score, factors } }.
+ */
+export function scoreFields({
+  structured,
+  provenance = {},
+  changes = [],
+  crossCheck = null,
+  ambiguous = {},
+}) {
+  if (!structured) return {};
+
+  const math = mathFactors(structured);
+  const reconciled = Object.fromEntries(
+    changes.map((c) => [
+      c.path,
+      c.from === null ? RECONCILE.derived : RECONCILE.overwritten,
+    ]),
+  );
+  const checks = Object.fromEntries(
+    (crossCheck || [])
+      .filter((c) => c.result in CROSS_CHECK)
+      .map((c) => [c.field, CROSS_CHECK[c.result]]),
+  );
+  const singleTax = (structured.taxes || []).length === 1;
+
+  const fields = {};
+  for (const [path, prov] of Object.entries(provenance)) {
+    const confs = (prov.spans || [])
+      .map((s) => s.confidence)
+      .filter((c) => c != null);
+
+    const factors = {
+      evidence: EVIDENCE[prov.status],
+      ocr: confs.length
+        ? round2(confs.reduce((s, c) => s + c, 0) / confs.length / 100)
+        : undefined,
+      math: math[path],
+      crossCheck:
+        checks[path] ??
+        (singleTax
+          ? checks[Object.keys(LINE_OF).find((k) => LINE_OF[k].test(path))]
+          : undefined),
+      reconcile: reconciled[path],
+      reading: path in ambiguous ? AMBIGUOUS_READING : undefined,
+    };
+    for (const k of Object.keys(factors)) {
+      if (factors[k] === undefined) delete factors[k];
+    }
+
+    fields[path] = { score: weightedScore(factors), factors };
+  }
+  return fields;
+}
+
+/**
+ * Document-level verdict. User-edited paths count as verified (score 1).
+ * The document score is the lower of the mean field score and the weakest
+ * key field, so one bad total is not averaged away by twenty good cells.
+ */
+export function summarizeConfidence(
+  fields,
+  { edits = [], threshold = REVIEW_THRESHOLD } = {},
+) {
+  const scores = Object.fromEntries(
+    Object.entries(fields || {}).map(([path, f]) => [
+      path,
+      edits.includes(path) ? 1 : f.score,
+    ]),
+  );
+  const values = Object.values(scores).filter((s) => s != null);
+  if (!values.length) {
+    return { score: null, threshold, needsReview: false, low: [] };
+  }
+
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const keys = KEY_FIELDS.map((k) => scores[k]).filter((s) => s != null);
+  const score = round2(Math.min(mean, ...keys));
+
+  return {
+    score,
+    threshold,
+    needsReview: score < threshold,
+    low: Object.keys(scores).filter(
+      (p) => scores[p] != null && scores[p] < threshold,
+    ),
+  };
+}
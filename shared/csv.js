@@ -0,0 +1,22 @@
+// ---------- CSV helpers ----------
+
+// text Excel would run as a formula (=, +, -, @, or a leading tab / CR)
+const FORMULA = /^[=+\-@\t\r]/;
+const NUMERIC = /^[-+]?\d[\d.,]*$/;
+
+function cell(v) {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  // OCR'd text such as "=HYPERLINK(...)" stays text; -12.50 stays a number
+  if (typeof v !== "number" && FORMULA.test(s) && !NUMERIC.test(s)) {
+    s = `'${s}`;
+  }
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** rows of objects -> CSV text; columns: [{ key, label }] */
+export function toCsv(rows, columns) {
+  const head = columns.map((c) => cell(c.label ?? c.key)).join(",");
+  const body = rows.map((r) => columns.map((c) => cell(r[c.key])).join(","));
+  return [head, ...body].join("\r\n") + "\r\n";
+}
@@ -0,0 +1,325 @@
+// ---------- Dates: reading document dates into ISO (YYYY-MM-DD) ----------
+//
+// findDates scans OCR text for dates in the shapes receipts print them:
+// 2025-03-04, 03/04/2025, 4.3.25, 4 Mar 25, March 4, 2025, 4. März 2025,
+// 4 de marzo de 2025, 2025年3月4日. Numeric day/month dates read two ways
+// when both parts could be the month; a day-month order ("dmy" | "mdy")
+// settles them, otherwise the reading is flagged ambiguous and the other
+// one comes back in alternatives:
+//   { text, start, end, value: "2025-03-04", order, ambiguous,
+//     alternatives: [{ value, order }] }
+
+// explicit request values; a BCP-47 tag ("en-GB", "de-DE") works too
+export const DATE_ORDERS = ["auto", "dmy", "mdy", "ymd"];
+
+// month names by language; abbreviations are read as their prefixes
+const MONTH_NAMES = [
+  // en
+  "january february march april may june july august september october november december",
+  // fr
+  "janvier fevrier mars avril mai juin juillet aout septembre octobre novembre decembre",
+  // de
+  "januar februar marz april mai juni juli august september oktober november dezember",
+  // es
+  "enero febrero marzo abril mayo junio julio agosto septiembre octubre noviembre diciembre",
+  // it
+  "gennaio febbraio marzo aprile maggio giugno luglio agosto settembre ottobre novembre dicembre",
+  // nl
+  "januari februari maart april mei juni juli augustus september oktober november december",
+  // pt
+  "janeiro fevereiro marco abril maio junho julho agosto setembro outubro novembro dezembro",
+].map((names) => names.split(" "));
+
+// day-first / year-first by OCR language (tesseract codes); English says
+// nothing on its own (US vs UK)
+const DMY_LANGUAGES = new Set([
+  "deu",
+  "fra",
+  "spa",
+  "ita",
+  "nld",
+  "por",
+  "pol",
+  "ces",
+  "slk",
+  "dan",
+  "nor",
+  "swe",
+  "fin",
+  "rus",
+  "ukr",
+  "tur",
+  "ron",
+  "ell",
+  "ind",
+  "vie",
+  "hin",
+]);
+const YMD_LANGUAGES = new Set(["jpn", "chi_sim", "chi_tra", "kor", "hun"]);
+const MDY_CURRENCIES = new Set(["USD", "PHP"]);
+const DMY_CURRENCIES = new Set([
+  "GBP",
+  "EUR",
+  "AUD",
+  "NZD",
+  "INR",
+  "MXN",
+  "BRL",
+  "CHF",
+  "SEK",
+  "NOK",
+  "DKK",
+  "PLN",
+  "CZK",
+]);
+// CAD is written both ways
+
+const fold = (s) => s.toLowerCase().normalize("NFD").replace(/\p{M}/gu, "");
+
+/** "Mar" / "März" / "sept" -> 3 / 3 / 9; null when not (only) a month */
+export function monthFromName(word) {
+  const w = fold(String(word || "")).replace(/\.$/, "");
+  if (w.length < 3) return null;
+  const months = new Set();
+  for (const names of MONTH_NAMES) {
+    names.forEach((name, i) => {
+      if (name.startsWith(w)) months.add(i + 1);
+    });
+  }
+  return months.size === 1 ? [...months][0] : null;
+}
+
+/** two-digit years: up to ten years ahead of now, else last century */
+function fullYear(y, yearDigits) {
+  if (yearDigits === 4) return y;
+  const now = new Date().getFullYear();
+  return y <= (now % 100) + 10 ? 2000 + y : 1900 + y;
+}
+
+function iso(y, m, d) {
+  if (m < 1 || m > 12 || d < 1) return null;
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  if (d > days) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/** a single reading: nothing to choose */
+function plain(value) {
+  return value && { value, order: null, ambiguous: false, alternatives: [] };
+}
+
+/** 03/04/2025: day-month or month-day, settled by `order` when both fit */
+function numericReadings(a, b, y, order) {
+  const dmy = iso(y, b, a);
+  const mdy = iso(y, a, b);
+  if (!dmy && !mdy) return null;
+  if (!dmy || !mdy || dmy === mdy) {
+    return {
+      ...plain(dmy || mdy),
+      order: dmy === mdy ? null : dmy ? "dmy" : "mdy",
+    };
+  }
+
+  const readings = [
+    { value: mdy, order: "mdy" },
+    { value: dmy, order: "dmy" },
+  ];
+  const chosen = readings.find((r) => r.order === order);
+  if (chosen) return { ...chosen, ambiguous: false, alternatives: [] };
+  // no preference: month first, as before, but say so
+  return {
+    ...readings[0],
+    ambiguous: true,
+    alternatives: readings.slice(1),
+  };
+}
+
+// one regex per shape; earlier shapes win where matches overlap
+const SHAPES = [
+  {
+    // 2025-03-04 | 2025/3/4 | 2025.03.04
+    re: /(?<![\d.,/-])(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?![\d])/g,
+    read: (m) => plain(iso(+m[1], +m[3], +m[4])),
+  },
+  {
+    // 2025年3月4日 | 2025년 3월 4일
+    re: /(\d{4})\s*[年년]\s*(\d{1,2})\s*[月월]\s*(\d{1,2})\s*[日일]?/g,
+    read: (m) => plain(iso(+m[1], +m[2], +m[3])),
+  },
+  {
+    // March 4, 2025 | Mar. 4 25 | Sept 4th 2025
+    re: /(?<![\p{L}\d])(\p{L}{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4}|\d{2})(?![\d])/gu,
+    read: (m) => {
+      const mo = monthFromName(m[1]);
+      return mo && plain(iso(fullYear(+m[3], m[3].length), mo, +m[2]));
+    },
+  },
+  {
+    // 4 March 2025 | 4-Mar-25 | 4. März 2025 | 4 de marzo de 2025 | 1er mai 2025
+    re: /(?<![\p{L}\d])(\d{1,2})(?:st|nd|rd|th|er|º)?\.?[\s/-]*(?:de\s+)?(\p{L}{3,})\.?,?[\s/-]*(?:de\s+)?(\d{4}|\d{2})(?![\d])/gu,
+    read: (m) => {
+      const mo = monthFromName(m[2]);
+      return mo && plain(iso(fullYear(+m[3], m[3].length), mo, +m[1]));
+    },
+  },
+  {
+    // 03/04/2025 | 4.3.25 | 03-04-25
+    re: /(?<![\d.,/-])(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?![\d]|[.,]\d)/g,
+    read: (m, order) =>
+      numericReadings(+m[1], +m[3], fullYear(+m[4], m[4].length), order),
+  },
+];
+
+/**
+ * Every date in `text`, in reading order. `order` ("dmy" | "mdy") reads
+ * 03/04/2025 the document's way; without it such dates come back
+ * ambiguous (month first, day first in alternatives).
+ */
+export function findDates(text, { order = null } = {}) {
+  const t = String(text || "");
+  const found = [];
+  for (const shape of SHAPES) {
+    for (const m of t.matchAll(shape.re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (found.some((f) => start < f.end && f.start < end)) continue;
+      const r = shape.read(m, order);
+      if (r) found.push({ text: m[0], start, end, ...r });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/** a date string -> its first reading (see findDates), or null */
+export function parseDate(input, options) {
+  return findDates(input, options)[0] ?? null;
+}
+
+/** "ACME Corp." -> "acme corp": key for per-vendor preferences */
+export function vendorKey(name) {
+  return fold(String(name || ""))
+    .replace(/[^\p{L}\d]+/gu, " ")
+    .trim();
+}
+
+/** day/month/year order of a BCP-47 locale, null when the tag is invalid */
+function localeOrder(tag) {
+  try {
+    const parts = new Intl.DateTimeFormat(tag)
+      .formatToParts(new Date(2025, 2, 4))
+      .map((p) => p.type)
+      .filter((t) => ["day", "month", "year"].includes(t));
+    return parts.map((t) => t[0]).join("");
+  } catch {
+    return null;
+  }
+}
+
+/** true for "auto" | "dmy" | "mdy" | "ymd" | a BCP-47 locale tag */
+export function isDateOrder(order) {
+  return (
+    DATE_ORDERS.includes(order) ||
+    (typeof order === "string" && localeOrder(order) != null)
+  );
+}
+
+/**
+ * Day-month order for a document: { order: "dmy" | "mdy" | "ymd" | null,
+ * source }. A preference saved for the vendor wins, then an explicit
+ * format; otherwise the OCR language and the currency vote, and when they
+ * disagree (or say nothing) order stays null.
+ */
+export function dateOrderFor({
+  format = "auto",
+  vendor = null,
+  vendorOrders = null,
+  language = null,
+  currency = null,
+} = {}) {
+  const saved = vendorOrders?.[vendorKey(vendor)];
+  if (saved === "dmy" || saved === "mdy") {
+    return { order: saved, source: "vendor" };
+  }
+
+  if (["dmy", "mdy", "ymd"].includes(format)) {
+    return { order: format, source: "format" };
+  }
+  if (format && format !== "auto") {
+    const o = localeOrder(format);
+    if (["dmy", "mdy", "ymd"].includes(o))
+      return { order: o, source: "format" };
+  }
+
+  const byLanguage = DMY_LANGUAGES.has(language)
+    ? "dmy"
+    : YMD_LANGUAGES.has(language)
+      ? "ymd"
+      : null;
+  const code = String(currency || "").toUpperCase();
+  const byCurrency = MDY_CURRENCIES.has(code)
+    ? "mdy"
+    : DMY_CURRENCIES.has(code)
+      ? "dmy"
+      : null;
+
+  if (byLanguage && byCurrency && byLanguage !== byCurrency) {
+    return { order: null, source: "conflict" };
+  }
+  if (byCurrency) return { order: byCurrency, source: "currency" };
+  if (byLanguage) return { order: byLanguage, source: "language" };
+  return { order: null, source: null };
+}
+
+/**
+ * Normalise structured.date in place against the OCR text: it becomes an
+ * ISO date, re-read with `order` when the text it came from says otherwise.
+ * Returns { text, value, order, ambiguous, alternatives } for the date (null
+ * when there is none); `log` collects a re-read as { path, from, to, rule }.
+ */
+export function normalizeDate(
+  structured,
+  text,
+  { order = null, log = null } = {},
+) {
+  const raw = structured?.date;
+  if (!raw) return null;
+
+  const own = parseDate(raw, { order });
+  const readings = (d) => [d.value, ...d.alternatives.map((a) => a.value)];
+  // the printed date the value was read from (either way), read with `order`
+  const printed = findDates(text).find(
+    (d) => own && readings(d).includes(own.value),
+  );
+  const source = printed ? parseDate(printed.text, { order }) : null;
+
+  if (!source) {
+    if (own) structured.date = own.value;
+    return own && { ...own, text: String(raw) };
+  }
+
+  // ambiguous: keep whichever reading the engine chose, offer the other
+  const value = source.ambiguous ? own.value : source.value;
+  const all = [
+    { value: source.value, order: source.order },
+    ...source.alternatives,
+  ];
+  const picked = all.find((r) => r.value === value);
+
+  if (own.value !== value && log) {
+    log.push({
+      path: "date",
+      from: own.value,
+      to: value,
+      rule: `date read as ${source.order?.toUpperCase() ?? "printed"}`,
+    });
+  }
+  structured.date = value;
+
+  return {
+    text: source.text,
+    value,
+    order: picked?.order ?? null,
+    ambiguous: source.ambiguous,
+    alternatives: source.ambiguous ? all.filter((r) => r.value !== value) : [],
+  };
+}
@@ -0,0 +1,148 @@
+// ---------- OCR languages (Tesseract traineddata codes, "eng+fra" combos) ----------
+
+export const DEFAULT_LANG = "eng";
+
+// pick a first-pass language, detect, then re-OCR if the document is not it
+export const AUTO_LANG = "auto";
+
+export const OCR_LANGUAGES = [
+  { code: "eng", label: "English" },
+  { code: "fra", label: "French" },
+  { code: "deu", label: "German" },
+  { code: "spa", label: "Spanish" },
+  { code: "ita", label: "Italian" },
+  { code: "por", label: "Portuguese" },
+  { code: "nld", label: "Dutch" },
+  { code: "ara", label: "Arabic" },
+  { code: "heb", label: "Hebrew" },
+  { code: "rus", label: "Russian" },
+  { code: "ell", label: "Greek" },
+  { code: "hin", label: "Hindi" },
+  { code: "chi_sim", label: "Chinese (Simplified)" },
+  { code: "jpn", label: "Japanese" },
+];
+
+const LABELS = Object.fromEntries(OCR_LANGUAGES.map((l) => [l.code, l.label]));
+
+/**
+ * " ENG + fra " -> "eng+fra"; "auto" stays "auto"; null when a part is not a
+ * traineddata-looking code. Unknown-but-valid codes pass (local tessdata may
+ * carry languages this list does not name).
+ */
+export function parseLangs(value) {
+  const s = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (!s) return null;
+  if (s === AUTO_LANG) return AUTO_LANG;
+  const parts = s.split("+").map((p) => p.trim());
+  if (!parts.every((p) => /^[a-z]{3}(_[a-z]+)?$/.test(p))) return null;
+  return [...new Set(parts)].join("+");
+}
+
+/** "eng+fra" -> "English + French" */
+export function languageLabel(langs) {
+  return String(langs || "")
+    .split("+")
+    .map((c) => LABELS[c] || c)
+    .join(" + ");
+}
+
+// non-Latin scripts are identified by their Unicode block alone
+const SCRIPTS = [
+  { lang: "ara", script: "Arabic", re: /[\u0600-\u06FF\u0750-\u077F]/g },
+  { lang: "heb", script: "Hebrew", re: /[\u0590-\u05FF]/g },
+  { lang: "rus", script: "Cyrillic", re: /[\u0400-\u04FF]/g },
+  { lang: "ell", script: "Greek", re: /[\u0370-\u03FF]/g },
+  { lang: "hin", script: "Devanagari", re: /[\u0900-\u097F]/g },
+  { lang: "jpn", script: "Japanese", re: /[\u3040-\u30FF]/g },
+  { lang: "chi_sim", script: "Han", re: /[\u4E00-\u9FFF]/g },
+];
+
+// Latin-script languages: function words + receipt vocabulary
+const STOPWORDS = {
+  eng: "the and of to for with from total subtotal invoice receipt date amount tax due paid qty price description bill",
+  fra: "le la les des du et pour avec facture reçu total montant tva date prix quantité ttc ht sous-total payé",
+  deu: "der die das und für mit von rechnung quittung betrag summe gesamt mwst ust datum menge preis zwischensumme bezahlt",
+  spa: "el los las del y para con factura recibo importe total iva fecha cantidad precio subtotal pagado",
+  ita: "il lo gli della e per con fattura ricevuta importo totale iva data quantità prezzo subtotale pagato",
+  por: "o os das do e para com fatura recibo valor total iva data quantidade preço subtotal pago",
+  nld: "de het een en voor met van factuur bon bedrag totaal btw datum aantal prijs subtotaal betaald",
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([k, v]) => [k, new Set(v.split(" "))]),
+);
+
+/**
+ * Guess the language of OCR / text-layer output.
+ * Returns { lang, script, confidence (0-1) }; lang is null when the text is
+ * too short or too mixed to tell.
+ */
+export function detectLanguage(text) {
+  const letters = (String(text || "").match(/\p{L}/gu) || []).length;
+  if (letters < 20) return { lang: null, script: null, confidence: 0 };
+
+  for (const s of SCRIPTS) {
+    const n = (text.match(s.re) || []).length;
+    if (n / letters > 0.3) {
+      return {
+        lang: s.lang,
+        script: s.script,
+        confidence: Math.min(1, n / letters),
+      };
+    }
+  }
+
+  const tokens = text.toLowerCase().match(/\p{L}+(?:-\p{L}+)?/gu) || [];
+  const hits = Object.fromEntries(
+    Object.entries(STOPWORD_SETS).map(([lang, set]) => [
+      lang,
+      tokens.filter((t) => set.has(t)).length,
+    ]),
+  );
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  const [best, bestHits] = ranked[0];
+  const total = ranked.reduce((s, [, n]) => s + n, 0);
+  if (bestHits < 3) return { lang: null, script: "Latin", confidence: 0 };
+
+  return {
+    lang: best,
+    script: "Latin",
+    confidence: Math.round((bestHits / total) * 100) / 100,
+  };
+}
+
+/**
+ * Run `ocr(langs)` in the requested language(s). For "auto", a first pass in
+ * `probe` is checked with detectLanguage and, when the document turns out to
+ * be another language, redone in "<detected>+<probe>" (receipts mix in
+ * English). Non-Latin scripts are only detectable when `probe` includes them.
+ * Resolves to { ...result, lang (what was used), detected }.
+ */
+export async function ocrWithLanguage(
+  lang,
+  ocr,
+  { probe = DEFAULT_LANG } = {},
+) {
+  if (lang !== AUTO_LANG) {
+    const result = await ocr(lang);
+    return { ...result, lang, detected: detectLanguage(result.text) };
+  }
+
+  const first = await ocr(probe);
+  const detected = detectLanguage(first.text);
+  const probed = probe.split("+");
+  if (!detected.lang || probed.includes(detected.lang)) {
+    return { ...first, lang: probe, detected };
+  }
+
+  const langs = `${detected.lang}+${probe}`;
+  return { ...(await ocr(langs)), lang: langs, detected };
+}
+
+/** the one language to tell the structuring prompt about */
+export function primaryLanguage({ lang, detected } = {}) {
+  if (detected?.lang) return detected.lang;
+  const first = String(lang || "").split("+")[0];
+  return first && first !== AUTO_LANG ? first : null;
+}
@@ -0,0 +1,274 @@
+// ---------- Numbers: locale-aware parsing of amounts read from documents ----------
+//
+// "1.234,56" (European), "1 234,56" (French), "1'234.56" (Swiss) and
+// "1,23,456.00" (Indian) are all the same kind of number with different
+// separators. parseNumber works out which separator is the decimal one from
+// the string itself, falls back to the document's decimal style when the
+// string alone can't tell ("1,234" / "1.234"), and flags the parse as
+// ambiguous when nothing settles it. Credit notations — "(45.00)",
+// "45.00-", "45.00 CR" — come back negative.
+
+// explicit request values; a BCP-47 tag ("de-DE", "en-IN") works too
+export const NUMBER_FORMATS = ["auto", "dot", "comma"];
+
+// decimal comma by OCR language (tesseract codes); the rest default to dot
+const COMMA_LANGUAGES = new Set([
+  "deu",
+  "fra",
+  "spa",
+  "ita",
+  "nld",
+  "por",
+  "pol",
+  "ces",
+  "slk",
+  "dan",
+  "nor",
+  "swe",
+  "fin",
+  "rus",
+  "ukr",
+  "tur",
+  "ron",
+  "hun",
+  "ell",
+  "ind",
+  "vie",
+]);
+const DOT_LANGUAGES = new Set([
+  "eng",
+  "jpn",
+  "chi_sim",
+  "chi_tra",
+  "kor",
+  "heb",
+  "tha",
+  "hin",
+  "msa",
+]);
+const COMMA_CURRENCIES = new Set([
+  "BRL",
+  "ARS",
+  "CLP",
+  "COP",
+  "DKK",
+  "NOK",
+  "SEK",
+  "PLN",
+  "CZK",
+  "HUF",
+  "RON",
+  "TRY",
+  "RUB",
+  "UAH",
+  "IDR",
+  "VND",
+]);
+const DOT_CURRENCIES = new Set([
+  "USD",
+  "GBP",
+  "AUD",
+  "NZD",
+  "INR",
+  "JPY",
+  "CNY",
+  "HKD",
+  "SGD",
+  "MXN",
+  "CHF",
+  "ILS",
+  "PHP",
+  "MYR",
+  "THB",
+  "KRW",
+]);
+// EUR and CAD are written both ways (Ireland vs Germany, Ontario vs Québec)
+
+/** decimal separator of a BCP-47 locale, null when the tag is invalid */
+function localeDecimal(tag) {
+  try {
+    return (
+      new Intl.NumberFormat(tag)
+        .formatToParts(1.5)
+        .find((p) => p.type === "decimal")?.value ?? null
+    );
+  } catch {
+    return null;
+  }
+}
+
+/** true for "auto" | "dot" | "comma" | a BCP-47 locale tag */
+export function isNumberFormat(format) {
+  return (
+    NUMBER_FORMATS.includes(format) ||
+    (typeof format === "string" && localeDecimal(format) != null)
+  );
+}
+
+/**
+ * Decimal separator for a document: { decimal: "." | "," | null, source }.
+ * An explicit format wins; otherwise the OCR language and the currency
+ * vote, and when they disagree (or say nothing) decimal stays null.
+ */
+export function decimalFor({ format = "auto", currency, language } = {}) {
+  if (format === "dot") return { decimal: ".", source: "format" };
+  if (format === "comma") return { decimal: ",", source: "format" };
+  if (format && format !== "auto") {
+    const d = localeDecimal(format);
+    if (d === "." || d === ",") return { decimal: d, source: "format" };
+  }
+
+  const byLanguage = COMMA_LANGUAGES.has(language)
+    ? ","
+    : DOT_LANGUAGES.has(language)
+      ? "."
+      : null;
+  const code = String(currency || "").toUpperCase();
+  const byCurrency = COMMA_CURRENCIES.has(code)
+    ? ","
+    : DOT_CURRENCIES.has(code)
+      ? "."
+      : null;
+
+  if (byLanguage && byCurrency && byLanguage !== byCurrency) {
+    return { decimal: null, source: "conflict" };
+  }
+  if (byCurrency) return { decimal: byCurrency, source: "currency" };
+  if (byLanguage) return { decimal: byLanguage, source: "language" };
+  return { decimal: null, source: null };
+}
+
+const NONE = { value: null, ambiguous: false, alternatives: [] };
+
+// "1,23,456": Indian lakh/crore grouping
+const INDIAN_GROUPS = /^\d{1,2}(,\d{2})*,\d{3}$/;
+
+/** digits with `group` separators dropped and `dec` as the decimal point */
+function read(body, dec) {
+  const group = dec === "." ? "," : ".";
+  const n = Number(body.split(group).join("").replace(dec, "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * "1.234,56" -> { value, ambiguous, alternatives }.
+ * `decimal` ("." | "," | null) settles strings like "1,234"; without it
+ * they read the English way and come back ambiguous with the other
+ * reading in alternatives. Numbers pass through unchanged.
+ */
+export function parseNumber(input, { decimal = null } = {}) {
+  if (input === null || input === undefined) return NONE;
+  if (typeof input === "number") {
+    return Number.isFinite(input)
+      ? { value: input, ambiguous: false, alternatives: [] }
+      : NONE;
+  }
+
+  let s = String(input).trim();
+  let negative = false;
+
+  // credit notations: (45.00)  45.00 CR  45.00-  -45.00; any of them (or
+  // several, as in "(45.00)-") marks the amount negative, they never cancel
+  if (/[\d)]\s*CR\.?$/i.test(s)) {
+    negative = true;
+    s = s.replace(/\s*CR\.?$/i, "");
+  } else {
+    s = s.replace(/([\d)])\s*DR\.?$/i, "$1");
+  }
+  if (/[\d)]\s*[-−]$/.test(s)) {
+    negative = true;
+    s = s.replace(/\s*[-−]$/, "");
+  }
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1).trim();
+  }
+
+  // currency symbols / codes and other text; a leading minus survives
+  s = s.replace(/[^\d.,'’\s\u00a0\u202f\-−]/g, "").trim();
+  if (/^[-−]/.test(s)) {
+    negative = true;
+    s = s.replace(/^[-−]\s*/, "");
+  }
+  // spaces and apostrophes only ever group digits
+  const body = s.replace(/[\s\u00a0\u202f'’]/g, "").replace(/[-−]/g, "");
+  if (!/\d/.test(body) || /^[.,]+$/.test(body)) return NONE;
+
+  const sign = (n) => (n === null ? null : negative ? -n : n);
+  const lastDot = body.lastIndexOf(".");
+  const lastComma = body.lastIndexOf(",");
+  const result = (value, alternatives = []) => ({
+    value: sign(value),
+    ambiguous: alternatives.length > 0,
+    alternatives: alternatives.map(sign),
+  });
+
+  // no separator, or both kinds: the last one is the decimal point
+  if (lastDot < 0 && lastComma < 0) return result(read(body, "."));
+  if (lastDot >= 0 && lastComma >= 0) {
+    return result(read(body, lastDot > lastComma ? "." : ","));
+  }
+
+  const sep = lastDot >= 0 ? "." : ",";
+  const parts = body.split(sep);
+  const tail = parts.at(-1);
+
+  if (parts.length > 2) {
+    // 1.234.567 / 1,234,567 / 1,23,456: all grouping
+    if (
+      parts.slice(1).every((p) => p.length === 3) ||
+      INDIAN_GROUPS.test(body)
+    ) {
+      return result(read(body, sep === "." ? "," : "."));
+    }
+    // 1.234.56: grouping with a decimal tail, or a misread
+    const asDecimal = Number(parts.slice(0, -1).join("") + "." + tail);
+    return result(asDecimal, [Number(parts.join(""))]);
+  }
+
+  // one separator: 12.50 / 0,500 / 1,5 are decimals; 1,234 needs a style
+  if (tail.length !== 3 || /^0?$/.test(parts[0])) {
+    return result(read(body, sep));
+  }
+  if (decimal)
+    return result(read(body, sep === decimal ? sep : sep === "." ? "," : "."));
+
+  const english = read(body, ".");
+  const other = read(body, ",");
+  return result(english, english === other ? [] : [other]);
+}
+
+// structured paths holding a number
+const NUMBER_PATH =
+  /^(subtotal|tax_rate|tax_amount|total|amount_paid|balance_due|taxes\.\d+\.(rate|amount)|adjustments\.\d+\.amount|line_items\.\d+\.(qty|unit_price|amount))$/;
+
+/**
+ * Numbers whose OCR text reads two ways ("1,234" with no decimal style to
+ * settle it), found through field provenance:
+ *   { "<path>": { text, value, alternatives } }
+ * value is what the document holds now; alternatives the other readings.
+ */
+export function ambiguousNumbers(
+  structured,
+  provenance,
+  { decimal = null } = {},
+) {
+  const out = {};
+  for (const [path, r] of Object.entries(provenance || {})) {
+    const span = r?.spans?.[0];
+    if (!NUMBER_PATH.test(path) || !span) continue;
+
+    const p = parseNumber(span.text, { decimal });
+    if (!p.ambiguous) continue;
+    const value = path
+      .split(".")
+      .reduce((o, k) => (o == null ? o : o[k]), structured);
+    const alternatives = [p.value, ...p.alternatives].filter(
+      (v) => v !== value,
+    );
+    if (alternatives.length) {
+      out[path] = { text: span.text, value, alternatives };
+    }
+  }
+  return out;
+}
@@ -0,0 +1,695 @@
+// ---------- Image preprocessing (biggest OCR boost) ----------
+
+// per-source tuning, same in the browser and on the server
+// binarize: one strategy, or a list canvasToOcrText tries in order (keeping
+// the best pass); orient/deskew run before binarisation (see orientCanvas)
+export const OCR_PRESETS = {
+  // rendered pages: clean, even background
+  pdf: {
+    upscale: 1.6,
+    contrast: 35,
+    binarize: ["otsu", "sauvola"],
+    sharpen: true,
+    orient: true,
+    deskew: true,
+  },
+  // scans: faint thermal paper, gray statement backgrounds
+  tiff: {
+    upscale: 1.8,
+    contrast: 40,
+    binarize: ["sauvola", "otsu"],
+    sharpen: true,
+    orient: true,
+    deskew: true,
+  },
+  // photos: uneven lighting and shadows
+  image: {
+    upscale: 1.7,
+    contrast: 35,
+    binarize: ["sauvola", "otsu", "none"],
+    background: true,
+    sharpen: true,
+    orient: true,
+    deskew: true,
+  },
+};
+
+// fixed:   global `threshold`
+// otsu:    global threshold from the histogram
+// sauvola: local mean/deviation window, robust on uneven backgrounds
+// niblack: local mean + k·deviation, keeps very faint strokes (noisier)
+// none:    grayscale + contrast only, Tesseract binarises itself
+export const BINARIZE_METHODS = ["fixed", "otsu", "sauvola", "niblack", "none"];
+
+/** Otsu's threshold: maximise between-class variance of the histogram */
+function otsuThreshold(gray) {
+  const hist = new Float64Array(256);
+  for (const v of gray) hist[v]++;
+
+  let total = 0;
+  for (let t = 0; t < 256; t++) total += t * hist[t];
+
+  let wB = 0;
+  let sumB = 0;
+  let best = { t: 128, v: -1 };
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (!wB) continue;
+    const wF = gray.length - wB;
+    if (!wF) break;
+    sumB += t * hist[t];
+    const mB = sumB / wB;
+    const mF = (total - sumB) / wF;
+    const v = wB * wF * (mB - mF) ** 2;
+    if (v > best.v) best = { t, v };
+  }
+  return best.t;
+}
+
+/**
+ * Local threshold from the mean m and deviation s of a (2r+1)² window.
+ * Column sums slide down the image and a running row sum across it, so
+ * memory stays O(width) even on 3x page renders.
+ */
+function localThreshold(gray, w, h, r, thresholdOf) {
+  const out = new Uint8ClampedArray(gray.length);
+  const colSum = new Float64Array(w);
+  const colSq = new Float64Array(w);
+
+  const addRow = (y, sign) => {
+    const o = y * w;
+    for (let x = 0; x < w; x++) {
+      const v = gray[o + x];
+      colSum[x] += sign * v;
+      colSq[x] += sign * v * v;
+    }
+  };
+
+  for (let y = 0; y < Math.min(r, h); y++) addRow(y, 1);
+
+  for (let y = 0; y < h; y++) {
+    if (y + r < h) addRow(y + r, 1);
+    if (y - r - 1 >= 0) addRow(y - r - 1, -1);
+    const rows = Math.min(h - 1, y + r) - Math.max(0, y - r) + 1;
+
+    let sum = 0;
+    let sq = 0;
+    for (let x = 0; x < Math.min(r, w); x++) {
+      sum += colSum[x];
+      sq += colSq[x];
+    }
+    for (let x = 0; x < w; x++) {
+      if (x + r < w) {
+        sum += colSum[x + r];
+        sq += colSq[x + r];
+      }
+      if (x - r - 1 >= 0) {
+        sum -= colSum[x - r - 1];
+        sq -= colSq[x - r - 1];
+      }
+      const n = rows * (Math.min(w - 1, x + r) - Math.max(0, x - r) + 1);
+      const m = sum / n;
+      const s = Math.sqrt(Math.max(0, sq / n - m * m));
+      const i = y * w + x;
+      out[i] = gray[i] >= thresholdOf(m, s) ? 255 : 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * Flatten shadows and lighting gradients: estimate the paper brightness
+ * on a 1/8 copy (max filter wipes out the ink, a box blur smooths it) and
+ * divide it out, so the page background ends up near white everywhere.
+ */
+function removeBackground(gray, w, h) {
+  const f = 8;
+  const sw = Math.max(1, Math.ceil(w / f));
+  const sh = Math.max(1, Math.ceil(h / f));
+
+  // block maxima: the brightest pixel of each 8x8 block is paper
+  let bg = new Float32Array(sw * sh);
+  for (let y = 0; y < h; y++) {
+    const row = Math.floor(y / f) * sw;
+    for (let x = 0; x < w; x++) {
+      const j = row + Math.floor(x / f);
+      if (gray[y * w + x] > bg[j]) bg[j] = gray[y * w + x];
+    }
+  }
+
+  // 3x3 max then 5x5 mean on the small grid
+  const pass = (src, r, reduce) => {
+    const dst = new Float32Array(src.length);
+    for (let y = 0; y < sh; y++) {
+      for (let x = 0; x < sw; x++) {
+        const vals = [];
+        for (let dy = -r; dy <= r; dy++) {
+          for (let dx = -r; dx <= r; dx++) {
+            const yy = Math.min(sh - 1, Math.max(0, y + dy));
+            const xx = Math.min(sw - 1, Math.max(0, x + dx));
+            vals.push(src[yy * sw + xx]);
+          }
+        }
+        dst[y * sw + x] = reduce(vals);
+      }
+    }
+    return dst;
+  };
+  bg = pass(bg, 1, (v) => Math.max(...v));
+  bg = pass(bg, 2, (v) => v.reduce((a, b) => a + b, 0) / v.length);
+
+  // bilinear lookup back at full size
+  const out = new Uint8ClampedArray(gray.length);
+  for (let y = 0; y < h; y++) {
+    const gy = Math.min(sh - 1, Math.max(0, (y + 0.5) / f - 0.5));
+    const y0 = Math.floor(gy);
+    const y1 = Math.min(sh - 1, y0 + 1);
+    const ty = gy - y0;
+    for (let x = 0; x < w; x++) {
+      const gx = Math.min(sw - 1, Math.max(0, (x + 0.5) / f - 0.5));
+      const x0 = Math.floor(gx);
+      const x1 = Math.min(sw - 1, x0 + 1);
+      const tx = gx - x0;
+      const b =
+        (bg[y0 * sw + x0] * (1 - tx) + bg[y0 * sw + x1] * tx) * (1 - ty) +
+        (bg[y1 * sw + x0] * (1 - tx) + bg[y1 * sw + x1] * tx) * ty;
+      const i = y * w + x;
+      out[i] = b > 0 ? (gray[i] / b) * 255 : gray[i];
+    }
+  }
+  return out;
+}
+
+/**
+ * Shared by the browser (document canvas) and the server (@napi-rs/canvas):
+ * createCanvas(w, h) must return a canvas with the standard 2D context API.
+ */
+export function preprocessCanvas(
+  srcCanvas,
+  {
+    upscale = 1.7, // 1.0 = none, 1.5-2.0 helps small text
+    contrast = 35, // 0-60 typical
+    binarize = "fixed", // see BINARIZE_METHODS
+    threshold = 165, // 0-255, "fixed" only
+    window = 31, // px (after upscale), sauvola / niblack neighbourhood
+    k = null, // sauvola 0.2, niblack -0.2 by default
+    background = false, // divide out shadows / lighting (photos)
+    grayscale = true,
+    sharpen = true,
+    invert = false, // set true if white text on black background
+  } = {},
+  createCanvas,
+) {
+  const w = Math.max(1, Math.floor(srcCanvas.width * upscale));
+  const h = Math.max(1, Math.floor(srcCanvas.height * upscale));
+
+  const canvas = createCanvas(w, h);
+
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw new Error("Canvas 2D context not available.");
+
+  // draw scaled
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(srcCanvas, 0, 0, w, h);
+
+  const img = ctx.getImageData(0, 0, w, h);
+  const d = img.data;
+
+  // grayscale (luma, or the channel mean when grayscale is off)
+  let gray = new Uint8ClampedArray(w * h);
+  for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+    gray[j] = grayscale
+      ? 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2]
+      : (d[i] + d[i + 1] + d[i + 2]) / 3;
+  }
+
+  if (background) gray = removeBackground(gray, w, h);
+
+  // contrast math
+  const c = contrast / 100 + 1; // contrast factor
+  const intercept = 128 * (1 - c);
+  for (let j = 0; j < gray.length; j++) gray[j] = gray[j] * c + intercept;
+
+  if (!BINARIZE_METHODS.includes(binarize)) {
+    throw new Error(`Unknown binarize method: ${binarize}`);
+  }
+  const r = Math.max(1, Math.floor(window / 2));
+  let bw = gray;
+  if (binarize === "sauvola") {
+    const kk = k ?? 0.2;
+    bw = localThreshold(gray, w, h, r, (m, s) => m * (1 + kk * (s / 128 - 1)));
+  } else if (binarize === "niblack") {
+    const kk = k ?? -0.2;
+    bw = localThreshold(gray, w, h, r, (m, s) => m + kk * s);
+  } else if (binarize !== "none") {
+    const t = binarize === "otsu" ? otsuThreshold(gray) : threshold;
+    bw = gray.map((v) => (v >= t ? 255 : 0));
+  }
+
+  for (let i = 0, j = 0; j < bw.length; i += 4, j++) {
+    const v = invert ? 255 - bw[j] : bw[j];
+    d[i] = d[i + 1] = d[i + 2] = v;
+    // alpha stays
+  }
+
+  ctx.putImageData(img, 0, 0);
+  // simple sharpen kernel: [0 -1 0; -1 5 -1; 0 -1 0]
+  if (sharpen) {
+    const id = ctx.getImageData(0, 0, w, h);
+    const out = ctx.createImageData(w, h);
+    const src = id.data;
+    const dst = out.data;
+
+    const idx = (x, y) => (y * w + x) * 4;
+
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = idx(x, y);
+        for (let ch = 0; ch < 3; ch++) {
+          const v =
+            5 * src[i + ch] -
+            src[idx(x - 1, y) + ch] -
+            src[idx(x + 1, y) + ch] -
+            src[idx(x, y - 1) + ch] -
+            src[idx(x, y + 1) + ch];
+
+          dst[i + ch] = Math.max(0, Math.min(255, v));
+        }
+        dst[i + 3] = src[i + 3];
+      }
+    }
+    ctx.putImageData(out, 0, 0);
+  }
+
+  return canvas;
+}
+
+// ---------- Orientation + deskew ----------
+//
+// Projection profiles on a downscaled copy: when text lines are level, the
+// dark-pixel count per row alternates sharply between lines and gaps. The
+// angle (near 0° or near 90°) with the sharpest row profile gives both the
+// page axis and the small skew. Which way up (0 vs 180, 90 vs 270) cannot be
+// told from geometry, so that is settled by a quick OCR pass (`rate`).
+
+const ANALYSIS_SIZE = 800; // px, longest side of the analysis copy
+const MAX_POINTS = 20000;
+const MAX_SKEW = 15; // degrees searched either side of the axis
+const MIN_SKEW = 0.3; // smaller corrections are not worth the resampling
+const RATE_SIZE = 1200; // px, longest side of the orientation test pass
+
+/** dark pixels of a downscaled grayscale copy, as [x0, y0, x1, y1, ...] */
+function darkPoints(canvas, createCanvas) {
+  const scale = Math.min(
+    1,
+    ANALYSIS_SIZE / Math.max(canvas.width, canvas.height),
+  );
+  const w = Math.max(1, Math.round(canvas.width * scale));
+  const h = Math.max(1, Math.round(canvas.height * scale));
+
+  const small = createCanvas(w, h);
+  const ctx = small.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw new Error("Canvas 2D context not available.");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, w, h);
+  ctx.drawImage(canvas, 0, 0, w, h);
+  const d = ctx.getImageData(0, 0, w, h).data;
+
+  const gray = new Float32Array(w * h);
+  let sum = 0;
+  for (let i = 0; i < gray.length; i++) {
+    const j = i * 4;
+    gray[i] = 0.299 * d[j] + 0.587 * d[j + 1] + 0.114 * d[j + 2];
+    sum += gray[i];
+  }
+  // ink is well below the page average on anything readable
+  const cut = (sum / gray.length) * 0.7;
+
+  let n = 0;
+  for (let i = 0; i < gray.length; i++) if (gray[i] < cut) n++;
+  const step = Math.max(1, Math.ceil(n / MAX_POINTS));
+
+  const pts = [];
+  let k = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < cut && k++ % step === 0) pts.push(i % w, Math.floor(i / w));
+  }
+  return pts;
+}
+
+/**
+ * Sharpness of the row profile after rotating the points by `deg`
+ * (clockwise, y down): squared coefficient of variation of the row counts,
+ * so pages of different size/ink compare fairly.
+ */
+function profileSharpness(pts, deg) {
+  const rad = (deg * Math.PI) / 180;
+  const sin = Math.sin(rad);
+  const cos = Math.cos(rad);
+
+  const ys = new Float32Array(pts.length / 2);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < ys.length; i++) {
+    const y = pts[2 * i] * sin + pts[2 * i + 1] * cos;
+    ys[i] = y;
+    if (y < min) min = y;
+    if (y > max) max = y;
+  }
+
+  const bins = new Float32Array(Math.floor(max - min) + 1);
+  for (const y of ys) bins[Math.floor(y - min)]++;
+
+  const mean = ys.length / bins.length;
+  let v = 0;
+  for (const b of bins) v += (b - mean) ** 2;
+  return v / bins.length / (mean * mean);
+}
+
+/** best angle within axis ± MAX_SKEW: 1° sweep, then 0.1° refine */
+function bestAngle(pts, axis) {
+  let best = { angle: axis, score: -Infinity };
+  const probe = (a) => {
+    const score = profileSharpness(pts, a);
+    if (score > best.score) best = { angle: a, score };
+  };
+  for (let a = axis - MAX_SKEW; a <= axis + MAX_SKEW; a += 1) probe(a);
+  const coarse = best.angle;
+  for (let a = coarse - 1; a <= coarse + 1; a += 0.1) probe(a);
+  return { angle: Math.round(best.angle * 10) / 10, score: best.score };
+}
+
+/**
+ * Geometry-only estimate: { axis: 0 | 90, skew (degrees, clockwise) } or
+ * null when the image has too little ink to tell.
+ */
+export function estimateOrientation(canvas, createCanvas) {
+  const pts = darkPoints(canvas, createCanvas);
+  if (pts.length < 1000) return null;
+
+  const upright = bestAngle(pts, 0);
+  const sideways = bestAngle(pts, 90);
+  const pick = sideways.score > upright.score * 1.2 ? sideways : upright;
+  const axis = pick === sideways ? 90 : 0;
+  return { axis, skew: Math.round((pick.angle - axis) * 10) / 10 };
+}
+
+/** rotate clockwise by `deg` into a canvas large enough for the result */
+export function rotateCanvas(canvas, deg, createCanvas) {
+  const rad = (deg * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(rad));
+  const cos = Math.abs(Math.cos(rad));
+  const w = Math.round(canvas.width * cos + canvas.height * sin);
+  const h = Math.round(canvas.width * sin + canvas.height * cos);
+
+  const out = createCanvas(w, h);
+  const ctx = out.getContext("2d");
+  if (!ctx) throw new Error("Canvas 2D context not available.");
+  // corners uncovered by a small-angle rotation read as paper, not ink
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, w, h);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.translate(w / 2, h / 2);
+  ctx.rotate(rad);
+  ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  return out;
+}
+
+/**
+ * Turn a page upright before preprocessing.
+ *
+ *   rate(canvas) -> Promise<number>: OCR confidence of a candidate, used to
+ *   choose between the two directions of the detected axis. Without it the
+ *   page is only deskewed / turned to the 0° or 90° reading.
+ *   estimate(canvas) -> { axis, skew } | null (or a Promise of it):
+ *   estimateOrientation by default; the app runs it in a Web Worker.
+ *
+ * Resolves to { canvas, rotation } where rotation is null (left as is) or
+ * { angle, orientation, skew, sourceWidth, sourceHeight }: angle =
+ * orientation + skew, clockwise, and word boxes OCR'd from `canvas` live in
+ * the rotated frame (mapBoxToSource converts back).
+ */
+export async function orientCanvas(
+  canvas,
+  createCanvas,
+  {
+    orient = true,
+    deskew = true,
+    rate = null,
+    estimate = (c) => estimateOrientation(c, createCanvas),
+    acceptAt = 70,
+  } = {},
+) {
+  if (!orient && !deskew) return { canvas, rotation: null };
+
+  const est = await estimate(canvas);
+  if (!est) return { canvas, rotation: null };
+
+  const skew = deskew && Math.abs(est.skew) >= MIN_SKEW ? est.skew : 0;
+  let orientation = orient ? est.axis : 0;
+
+  if (orient && rate) {
+    // first reading of the axis is usually right: only test the flip when
+    // the quick pass is unconvincing
+    const scale = Math.min(
+      1,
+      RATE_SIZE / Math.max(canvas.width, canvas.height),
+    );
+    const small = createCanvas(
+      Math.max(1, Math.round(canvas.width * scale)),
+      Math.max(1, Math.round(canvas.height * scale)),
+    );
+    small.getContext("2d").drawImage(canvas, 0, 0, small.width, small.height);
+    const score = async (o) =>
+      (await rate(rotateCanvas(small, o + skew, createCanvas))) ?? 0;
+
+    const first = await score(orientation);
+    if (first < acceptAt) {
+      const flipped = await score(orientation + 180);
+      if (flipped > first) orientation += 180;
+    }
+  }
+
+  const angle = orientation + skew;
+  if (!angle) return { canvas, rotation: null };
+
+  return {
+    canvas: rotateCanvas(canvas, angle, createCanvas),
+    rotation: {
+      angle,
+      orientation,
+      skew,
+      sourceWidth: canvas.width,
+      sourceHeight: canvas.height,
+    },
+  };
+}
+
+/** a box in the rotated page frame -> the same region on the source image */
+export function mapBoxToSource(bbox, rotation) {
+  if (!bbox || !rotation?.angle) return bbox;
+  const { angle, sourceWidth: sw, sourceHeight: sh } = rotation;
+  const rad = (angle * Math.PI) / 180;
+  const sin = Math.sin(rad);
+  const cos = Math.cos(rad);
+  const rw = Math.round(sw * Math.abs(cos) + sh * Math.abs(sin));
+  const rh = Math.round(sw * Math.abs(sin) + sh * Math.abs(cos));
+
+  // inverse of rotateCanvas: undo the rotation about the two centres
+  const corners = [
+    [bbox.x0, bbox.y0],
+    [bbox.x1, bbox.y0],
+    [bbox.x0, bbox.y1],
+    [bbox.x1, bbox.y1],
+  ].map(([x, y]) => {
+    const dx = x - rw / 2;
+    const dy = y - rh / 2;
+    return [dx * cos + dy * sin + sw / 2, -dx * sin + dy * cos + sh / 2];
+  });
+
+  const xs = corners.map((c) => c[0]);
+  const ys = corners.map((c) => c[1]);
+  return {
+    x0: Math.round(Math.max(0, Math.min(...xs))),
+    y0: Math.round(Math.max(0, Math.min(...ys))),
+    x1: Math.round(Math.min(sw, Math.max(...xs))),
+    y1: Math.round(Math.min(sh, Math.max(...ys))),
+  };
+}
+
+// basic scoring to pick best OCR pass
+export function scoreOcrText(text = "") {
+  const t = text.trim();
+  if (!t) return 0;
+  const letters = (t.match(/[A-Za-z]/g) || []).length;
+  const digits = (t.match(/[0-9]/g) || []).length;
+  const bad = (t.match(/[�]/g) || []).length;
+  return letters + digits - bad * 5 + Math.min(200, t.length / 5);
+}
+
+const round1 = (n) => (n == null ? null : Math.round(n * 10) / 10);
+
+/**
+ * Tesseract blocks -> compact page layout.
+ * Boxes are divided by `scale` (the preprocessing upscale) so they land on the
+ * source image; each word also gets its [start, end) offsets in `text`.
+ */
+export function toPageLayout(text, blocks, scale = 1) {
+  const box = (b) =>
+    b
+      ? {
+          x0: Math.round(b.x0 / scale),
+          y0: Math.round(b.y0 / scale),
+          x1: Math.round(b.x1 / scale),
+          y1: Math.round(b.y1 / scale),
+        }
+      : null;
+
+  let cursor = 0;
+  const locate = (word) => {
+    const start = word ? text.indexOf(word, cursor) : -1;
+    if (start < 0) return { start: null, end: null };
+    cursor = start + word.length;
+    return { start, end: cursor };
+  };
+
+  return (blocks || []).map((b) => ({
+    bbox: box(b.bbox),
+    confidence: round1(b.confidence),
+    lines: (b.paragraphs || [])
+      .flatMap((p) => p.lines || [])
+      .map((l) => ({
+        text: (l.text || "").trim(),
+        bbox: box(l.bbox),
+        confidence: round1(l.confidence),
+        words: (l.words || []).map((w) => ({
+          text: w.text,
+          bbox: box(w.bbox),
+          confidence: round1(w.confidence),
+          ...locate(w.text),
+        })),
+      })),
+  }));
+}
+
+/**
+ * Primary + fallback PSM pass on an already preprocessed image; best text wins.
+ * Resolves to { text, confidence, psm, blocks } (raw Tesseract blocks).
+ */
+export async function recognizeBestPass(
+  worker,
+  cleaned,
+  {
+    psmPrimary = "6",
+    psmFallback = "11",
+    whitelist = null,
+    onProgress = null,
+    signal = null, // checked between passes (a running pass cannot stop)
+  } = {},
+) {
+  signal?.throwIfAborted();
+
+  // text + word/line/block tree (boxes + confidence)
+  const output = { text: true, blocks: true };
+
+  // 1) primary pass
+  await worker.setParameters({
+    tessedit_pageseg_mode: String(psmPrimary),
+    ...(whitelist ? { tessedit_char_whitelist: whitelist } : {}),
+  });
+
+  onProgress?.({ stage: "ocr", pass: 1, psm: String(psmPrimary) });
+  const r1 = await worker.recognize(cleaned, {}, output);
+  const t1 = r1?.data?.text || "";
+
+  // 2) fallback pass (often helps tables / sparse text)
+  signal?.throwIfAborted();
+  await worker.setParameters({
+    tessedit_pageseg_mode: String(psmFallback),
+    ...(whitelist ? { tessedit_char_whitelist: whitelist } : {}),
+  });
+
+  onProgress?.({ stage: "ocr", pass: 2, psm: String(psmFallback) });
+  const r2 = await worker.recognize(cleaned, {}, output);
+  const t2 = r2?.data?.text || "";
+
+  const [best, psm] =
+    scoreOcrText(t2) > scoreOcrText(t1) ? [r2, psmFallback] : [r1, psmPrimary];
+
+  return {
+    text: best?.data?.text || "",
+    confidence: round1(best?.data?.confidence ?? null),
+    psm: String(psm),
+    blocks: best?.data?.blocks || [],
+  };
+}
+
+const strategies = (preprocess) => [].concat(preprocess?.binarize ?? "fixed");
+
+/**
+ * Default `clean` for recognizeBestStrategy / rateOrientation: preprocess
+ * in-thread. clean(canvas, options) -> { image, width } (or a Promise of it),
+ * where image is anything worker.recognize accepts (`toImage` converts, e.g.
+ * an encoded PNG on the server) and width is the cleaned width.
+ */
+export function canvasCleaner(createCanvas, toImage = (c) => c) {
+  return (canvas, options) => {
+    const cleaned = preprocessCanvas(canvas, options, createCanvas);
+    return { image: toImage(cleaned), width: cleaned.width };
+  };
+}
+
+/**
+ * Preprocess + recognizeBestPass once per binarisation strategy in
+ * `preprocess.binarize` (a method or a list). The best pass wins, ranked by
+ * `preprocess.pickBy`: "score" (scoreOcrText) or "confidence" (mean word
+ * confidence). A pass at or above `acceptAt` confidence ends the search.
+ * `clean` preprocesses (see canvasCleaner). Resolves to { text, confidence,
+ * psm, blocks, binarize, scale } where scale is the preprocessing upscale
+ * (boxes are in cleaned pixels).
+ */
+export async function recognizeBestStrategy(
+  worker,
+  canvas,
+  preprocess,
+  clean,
+  { acceptAt = 85, onProgress = null, ...passOptions } = {},
+) {
+  const rank = (r) =>
+    preprocess?.pickBy === "confidence"
+      ? (r.confidence ?? 0)
+      : scoreOcrText(r.text);
+
+  let best = null;
+  for (const binarize of strategies(preprocess)) {
+    passOptions.signal?.throwIfAborted();
+    onProgress?.({ stage: "binarize", binarize });
+    const cleaned = await clean(canvas, { ...preprocess, binarize });
+    const r = await recognizeBestPass(worker, cleaned.image, {
+      ...passOptions,
+      onProgress,
+    });
+    const candidate = { ...r, binarize, scale: cleaned.width / canvas.width };
+    if (!best || rank(candidate) > rank(best)) best = candidate;
+    if ((r.confidence ?? 0) >= acceptAt) break;
+  }
+  return best;
+}
+
+/**
+ * Orientation test for orientCanvas: one quick PSM 6 pass, resolves to the
+ * mean confidence. `clean` preprocesses (see canvasCleaner).
+ */
+export async function rateOrientation(worker, canvas, preprocess, clean) {
+  const cleaned = await clean(canvas, {
+    ...preprocess,
+    binarize: strategies(preprocess)[0],
+    upscale: 1,
+    sharpen: false,
+  });
+  await worker.setParameters({ tessedit_pageseg_mode: "6" });
+  const r = await worker.recognize(cleaned.image);
+  return r?.data?.confidence ?? 0;
+}
@@ -0,0 +1,193 @@
+// ---------- Pages: joined OCR text <-> per-page results ----------
+//
+// OCR keeps an array of pages ({ page, text, blocks, ... }); the joined text
+// (pages separated by PAGE_BREAK) is what whole-document structuring reads.
+// Per-page structuring runs each page on its own and merges the results
+// here, so an item table that continues over several pages ends up as one
+// list with every row tagged with the page it came from.
+
+export const PAGE_BREAK = "\n\n--- PAGE BREAK ---\n\n";
+
+// document: one structuring pass over the joined text
+// page:     one pass per page, merged with mergePageResults
+export const STRUCTURE_SCOPES = ["document", "page"];
+
+/** pages -> joined text (empty pages are skipped) */
+export function joinPages(pages) {
+  return (pages || [])
+    .map((p) => p.text)
+    .filter(Boolean)
+    .join(PAGE_BREAK);
+}
+
+/** joined text -> [{ page, text }] when no page array was kept */
+export function splitPages(text) {
+  return String(text || "")
+    .split(PAGE_BREAK)
+    .map((t, i) => ({ page: i + 1, text: t }));
+}
+
+// the first page that has them wins (letterhead, invoice no, recipient)
+const HEADER_FIELDS = [
+  "vendor_or_sender",
+  "receipt_or_invoice_no",
+  "date",
+  "currency",
+  "recipient_name",
+  "recipient_address",
+];
+// the last page that has them wins (final totals sit at the end); tax_rate
+// and tax_amount are re-summed from the tax lines by reconcileMath
+const TOTAL_FIELDS = ["subtotal", "total", "amount_paid", "balance_due"];
+// ... and the same for the lists of tax lines and adjustments
+const TOTAL_LISTS = ["taxes", "adjustments"];
+
+const NUMBER_CELLS = ["qty", "unit_price", "amount"];
+const ITEM_FIELDS = ["product_or_service", "description", ...NUMBER_CELLS];
+
+// running totals repeated at page breaks are not items
+const CARRIED_RE =
+  /\b(carried|brought|balance)\s+(forward|fwd|over)\b|\b[cb]\/f\b|\b(übertrag|report|à reporter|suma y sigue|riporto)\b/i;
+
+function isCarriedLine(it) {
+  return CARRIED_RE.test(
+    `${it.product_or_service || ""} ${it.description || ""}`,
+  );
+}
+
+/**
+ * First row of a page that finishes the previous page's last row: a wrapped
+ * description without numbers, or numbers without a name, and nothing that
+ * contradicts the row it continues.
+ */
+function continues(prev, it) {
+  const noNumbers = NUMBER_CELLS.every((f) => it[f] == null);
+  const noName = it.product_or_service == null;
+  if (!noNumbers && !noName) return false;
+  return ITEM_FIELDS.every(
+    (f) => f === "description" || it[f] == null || prev[f] == null,
+  );
+}
+
+/** the same row printed again at the top of the next page */
+function repeats(prev, it) {
+  return ITEM_FIELDS.every((f) => (it[f] ?? null) === (prev[f] ?? null));
+}
+
+/**
+ * [{ page, structured, derived }] (page order) -> one document.
+ *   derived: paths reconcileMath filled in on that page (from === null);
+ *            derived totals are page sums, not printed totals, so skipped.
+ * Resolves to { structured, indexMap, fieldPages } where indexMap[k][i] is
+ * the merged index of page k's line item i (null = dropped) and fieldPages
+ * says which page each header/total value (and the taxes / adjustments
+ * lists) was taken from.
+ */
+export function mergePageResults(results) {
+  const merged = {
+    doc_type: "other",
+    ...Object.fromEntries(
+      [...HEADER_FIELDS, ...TOTAL_FIELDS].map((f) => [f, null]),
+    ),
+    tax_rate: null,
+    tax_amount: null,
+    ...Object.fromEntries(TOTAL_LISTS.map((f) => [f, []])),
+    line_items: [],
+    notes: null,
+  };
+  const fieldPages = {};
+  const notes = [];
+  const indexMap = [];
+
+  for (const { page, structured, derived = [] } of results) {
+    const s = structured || {};
+    const map = [];
+    indexMap.push(map);
+
+    if (merged.doc_type === "other" && s.doc_type && s.doc_type !== "other") {
+      merged.doc_type = s.doc_type;
+      fieldPages.doc_type = page;
+    }
+    for (const f of HEADER_FIELDS) {
+      if (merged[f] == null && s[f] != null) {
+        merged[f] = s[f];
+        fieldPages[f] = page;
+      }
+    }
+    for (const f of TOTAL_FIELDS) {
+      if (s[f] != null && !derived.includes(f)) {
+        merged[f] = s[f];
+        fieldPages[f] = page;
+      }
+    }
+    for (const f of TOTAL_LISTS) {
+      if (!s[f]?.length) continue;
+      // amounts derived from the page's own subtotal are worked out again
+      merged[f] = s[f].map((x, i) =>
+        derived.includes(`${f}.${i}.amount`)
+          ? { ...x, amount: null }
+          : { ...x },
+      );
+      fieldPages[f] = page;
+    }
+    if (s.notes && !notes.includes(s.notes)) notes.push(s.notes);
+
+    (s.line_items || []).forEach((it, i) => {
+      const prev = merged.line_items.at(-1);
+      const first = i === 0 && prev && prev.page !== page;
+
+      if (isCarriedLine(it)) {
+        map.push(null);
+      } else if (first && repeats(prev, it)) {
+        map.push(merged.line_items.length - 1);
+      } else if (first && continues(prev, it)) {
+        for (const f of ITEM_FIELDS) {
+          if (f === "description" && prev.description && it.description) {
+            prev.description = `${prev.description} ${it.description}`;
+          } else {
+            prev[f] = prev[f] ?? it[f] ?? null;
+          }
+        }
+        map.push(merged.line_items.length - 1);
+      } else {
+        merged.line_items.push({ ...it, page });
+        map.push(merged.line_items.length - 1);
+      }
+    });
+  }
+
+  merged.notes = notes.length ? notes.join("\n") : null;
+  return { structured: merged, indexMap, fieldPages };
+}
+
+/**
+ * Whole-document results: tag line items with the page their provenance
+ * points to, and return { "<field>": page } for the header/total fields.
+ */
+export function pagesFromProvenance(structured, provenance) {
+  const pageOf = (path) =>
+    provenance?.[path]?.spans?.find((s) => s.page != null)?.page ?? null;
+
+  (structured?.line_items || []).forEach((it, i) => {
+    const page =
+      ITEM_FIELDS.map((f) => pageOf(`line_items.${i}.${f}`)).find(
+        (p) => p != null,
+      ) ?? null;
+    if (page != null) it.page = page;
+  });
+
+  const fieldPages = {};
+  for (const f of ["doc_type", ...HEADER_FIELDS, ...TOTAL_FIELDS]) {
+    const page = pageOf(f);
+    if (page != null) fieldPages[f] = page;
+  }
+  // a list is on the page of its first traced value
+  for (const f of TOTAL_LISTS) {
+    const page = Object.keys(provenance || {})
+      .filter((p) => p.startsWith(`${f}.`))
+      .map(pageOf)
+      .find((p) => p != null);
+    if (page != null) fieldPages[f] = page;
+  }
+  return fieldPages;
+}
@@ -0,0 +1,145 @@
+// ---------- PDF text layer (born-digital PDFs skip OCR) ----------
+//
+// pdf.js getTextContent() items sit in PDF user space; the page viewport maps
+// them onto the pixel grid the page would be rendered to, so text-layer boxes
+// line up with the page image exactly like OCR boxes do.
+
+// hybrid: text layer, OCR only where it is missing/garbage
+// ocr:    always rasterise + OCR
+// text:   text layer only (never OCR)
+export const PDF_MODES = ["hybrid", "ocr", "text"];
+
+const TEXT_CONFIDENCE = 100;
+
+function itemBox(item, viewport) {
+  const [a, b, c, d, e, f] = item.transform;
+  const size = item.height || Math.hypot(c, d) || Math.hypot(a, b);
+  // baseline at f; leave room for descenders below and ascenders above
+  const [x0, y0] = viewport.convertToViewportPoint(e, f - size * 0.2);
+  const [x1, y1] = viewport.convertToViewportPoint(
+    e + item.width,
+    f + size * 0.8,
+  );
+  return {
+    x0: Math.min(x0, x1),
+    y0: Math.min(y0, y1),
+    x1: Math.max(x0, x1),
+    y1: Math.max(y0, y1),
+  };
+}
+
+function union(boxes) {
+  return {
+    x0: Math.round(Math.min(...boxes.map((b) => b.x0))),
+    y0: Math.round(Math.min(...boxes.map((b) => b.y0))),
+    x1: Math.round(Math.max(...boxes.map((b) => b.x1))),
+    y1: Math.round(Math.max(...boxes.map((b) => b.y1))),
+  };
+}
+
+/** items -> visual lines, top to bottom, each sorted left to right */
+function groupLines(boxes) {
+  const lines = [];
+  for (const bx of [...boxes].sort((p, q) => p.y0 - q.y0 || p.x0 - q.x0)) {
+    const mid = (bx.y0 + bx.y1) / 2;
+    // match against the line's first item so tall glyphs do not merge lines
+    const line = lines.find((l) => mid > l.y0 && mid < l.y1);
+    if (line) line.items.push(bx);
+    else lines.push({ y0: bx.y0, y1: bx.y1, items: [bx] });
+  }
+  for (const l of lines) l.items.sort((p, q) => p.x0 - q.x0);
+  return lines.sort((p, q) => p.y0 - q.y0);
+}
+
+/**
+ * page.getTextContent() result -> { text, confidence, psm, width, height, blocks }
+ * in the same shape canvasToOcrText produces (one block, words with offsets),
+ * with reading-order lines rebuilt from the item transforms. Horizontal gaps
+ * become spaces so table columns stay apart.
+ */
+export function textLayerToPage(content, viewport) {
+  const boxes = (content?.items || [])
+    .filter((it) => typeof it.str === "string" && it.str.trim())
+    .map((it) => ({ str: it.str, ...itemBox(it, viewport) }));
+
+  let text = "";
+  const lines = [];
+
+  for (const line of groupLines(boxes)) {
+    if (text) text += "\n";
+    const words = [];
+    let prev = null;
+
+    for (const it of line.items) {
+      const charW = (it.x1 - it.x0) / it.str.length || 1;
+      if (prev) {
+        const gap = it.x0 - prev.x1;
+        if (gap > charW * 0.25) {
+          text += " ".repeat(Math.min(8, Math.max(1, Math.round(gap / charW))));
+        }
+      }
+
+      const lead = it.str.length - it.str.trimStart().length;
+      const base = text.length - lead;
+      for (const m of it.str.matchAll(/\S+/g)) {
+        const from = m.index / it.str.length;
+        const to = (m.index + m[0].length) / it.str.length;
+        words.push({
+          text: m[0],
+          bbox: union([
+            {
+              x0: it.x0 + (it.x1 - it.x0) * from,
+              x1: it.x0 + (it.x1 - it.x0) * to,
+              y0: it.y0,
+              y1: it.y1,
+            },
+          ]),
+          confidence: TEXT_CONFIDENCE,
+          start: base + m.index,
+          end: base + m.index + m[0].length,
+        });
+      }
+      text += it.str.trim();
+      prev = it;
+    }
+
+    lines.push({
+      text: words.length
+        ? text.slice(words[0].start, words[words.length - 1].end)
+        : "",
+      bbox: union(line.items),
+      confidence: TEXT_CONFIDENCE,
+      words,
+    });
+  }
+
+  return {
+    text,
+    confidence: TEXT_CONFIDENCE,
+    psm: null,
+    width: Math.floor(viewport.width),
+    height: Math.floor(viewport.height),
+    blocks: lines.length
+      ? [
+          {
+            bbox: union(lines.map((l) => l.bbox)),
+            confidence: TEXT_CONFIDENCE,
+            lines,
+          },
+        ]
+      : [],
+  };
+}
+
+/**
+ * Is a page's text layer worth trusting? Scanned PDFs have none (or just a
+ * page number), and fonts without a ToUnicode map extract as glyph garbage.
+ */
+export function isUsableTextLayer(text, minChars = 20) {
+  const t = (text || "").replace(/\s+/g, "");
+  if (t.length < minChars) return false;
+
+  const bad = (t.match(/[\uFFFD\uE000-\uF8FF\p{Cc}]/gu) || []).length;
+  const alnum = (t.match(/[\p{L}\p{N}]/gu) || []).length;
+  return bad / t.length < 0.05 && alnum / t.length >= 0.5;
+}
@@ -0,0 +1,459 @@
+import { parseNumber } from "./numbers.js";
+
+// ---------- Arithmetic reconciliation (server + app, provider-agnostic) ----------
+
+/**
+ * "1,234.56" / "1.234,56" / "(45.00)" -> number (null when unreadable).
+ * `decimal` ("." | ",") reads strings like "1.234" the document's way; see
+ * shared/numbers.js.
+ */
+export function toNumber(x, { decimal = null } = {}) {
+  return parseNumber(x, { decimal }).value;
+}
+
+export function round2(n) {
+  if (n === null || n === undefined) return null;
+  return Math.round((n + Number.EPSILON) * 100) / 100;
+}
+
+export function approxEqual(a, b, tol = 0.05) {
+  if (a === null || b === null) return false;
+  return Math.abs(a - b) <= tol;
+}
+
+/**
+ * Fill / fix the arithmetic of a structured document in place.
+ * Pass `log` (an array) to collect every value it derived or overwrote as
+ * { path, from, to, rule }. Numbers still held as text are read with
+ * `decimal` (see toNumber).
+ *
+ * Beyond line items and subtotal it works through the tax lines (`taxes`,
+ * added on top or included in the prices), the adjustments (discount, fee,
+ * tip, shipping) and the payments: subtotal + taxes + adjustments = total,
+ * total − amount_paid = balance_due.
+ */
+export function reconcileMath(structured, log = null, { decimal = null } = {}) {
+  if (!structured || typeof structured !== "object") return structured;
+
+  const note = (path, from, to, rule) => {
+    if (log && from !== to) log.push({ path, from, to, rule });
+  };
+  const num = (x) => toNumber(x, { decimal });
+
+  structured.subtotal = round2(num(structured.subtotal));
+  structured.tax_rate = num(structured.tax_rate); // 13 means 13%
+  structured.tax_amount = round2(num(structured.tax_amount));
+  structured.total = round2(num(structured.total));
+  structured.amount_paid = round2(num(structured.amount_paid));
+  structured.balance_due = round2(num(structured.balance_due));
+
+  const items = Array.isArray(structured.line_items)
+    ? structured.line_items
+    : [];
+
+  structured.line_items = items.map((it, i) => {
+    let qty = num(it.qty);
+    let unit = round2(num(it.unit_price));
+    let amt = round2(num(it.amount));
+    const given = { qty, unit_price: unit, amount: amt };
+    const rule = {};
+
+    // fill missing amount
+    if (amt === null && qty !== null && unit !== null) {
+      amt = round2(qty * unit);
+      rule.amount = "amount = qty × unit price";
+    }
+
+    // fill missing unit
+    if (unit === null && qty !== null && amt !== null && qty !== 0) {
+      unit = round2(amt / qty);
+      rule.unit_price = "unit price = amount / qty";
+    }
+
+    // fill missing qty (prefer integer)
+    if (qty === null && unit !== null && amt !== null && unit !== 0) {
+      const q = amt / unit;
+      const qInt = Math.round(q);
+      qty = Math.abs(q - qInt) < 0.02 ? qInt : round2(q);
+      rule.qty = "qty = amount / unit price";
+    }
+
+    // if all 3 exist but inconsistent, try to fix qty as integer using amount/unit
+    if (qty !== null && unit !== null && amt !== null) {
+      const calc = round2(qty * unit);
+      if (!approxEqual(calc, amt)) {
+        const q = amt / unit;
+        const qInt = Math.round(q);
+        const calc2 = round2(qInt * unit);
+        if (Math.abs(q - qInt) < 0.05 && approxEqual(calc2, amt, 0.1)) {
+          qty = qInt;
+          rule.qty = "qty snapped to amount / unit price";
+        } else {
+          // last resort: adjust unit to match amount/qty
+          if (qty !== 0) {
+            unit = round2(amt / qty);
+            rule.unit_price = "unit price forced to amount / qty";
+          }
+        }
+      }
+    }
+
+    const final = { qty, unit_price: unit, amount: amt };
+    for (const k of Object.keys(final)) {
+      note(`line_items.${i}.${k}`, given[k], final[k], rule[k]);
+    }
+
+    return {
+      product_or_service: it.product_or_service ?? null,
+      description: it.description ?? null,
+      qty,
+      unit_price: unit,
+      amount: amt,
+      // page the row was read from (shared/pages.js), when known
+      ...(it.page != null && { page: it.page }),
+    };
+  });
+
+  // derive subtotal from items if missing
+  const sumItems = round2(
+    structured.line_items.reduce((s, it) => s + (toNumber(it.amount) || 0), 0),
+  );
+  if (structured.subtotal === null && sumItems) {
+    structured.subtotal = sumItems;
+    note("subtotal", null, sumItems, "subtotal = sum of line amounts");
+  }
+
+  reconcileTaxes(structured, note, num);
+  reconcileTotal(structured, note);
+
+  return structured;
+}
+
+/**
+ * Tax lines, with the single tax_rate / tax_amount of older documents as
+ * one line. tax_rate and tax_amount stay on the document as the sum of the
+ * lines (and their rate, when they share one).
+ */
+export function taxLines(structured) {
+  if (Array.isArray(structured?.taxes) && structured.taxes.length) {
+    return structured.taxes;
+  }
+  if (structured?.tax_rate == null && structured?.tax_amount == null) return [];
+  return [
+    {
+      label: null,
+      rate: structured.tax_rate,
+      amount: structured.tax_amount,
+      included: false,
+    },
+  ];
+}
+
+/** discounts count against the total; the other adjustments add to it */
+function signed(type, amount) {
+  if (amount === null) return null;
+  return type === "discount" ? -Math.abs(amount) : Math.abs(amount);
+}
+
+/** what added taxes are charged on: the subtotal after discounts */
+function taxBase(structured) {
+  if (structured.subtotal === null) return null;
+  const discounts = structured.adjustments
+    .filter((a) => a.type === "discount")
+    .reduce((s, a) => s + (a.amount ?? 0), 0);
+  return round2(structured.subtotal + discounts);
+}
+
+function reconcileTaxes(structured, note, num) {
+  structured.adjustments = (
+    Array.isArray(structured.adjustments) ? structured.adjustments : []
+  ).map((a, i) => {
+    const given = round2(num(a.amount));
+    const amount = signed(a.type, given);
+    note(
+      `adjustments.${i}.amount`,
+      given,
+      amount,
+      a.type === "discount"
+        ? "discounts reduce the total"
+        : "charges add to the total",
+    );
+    return { type: a.type, label: a.label ?? null, amount };
+  });
+
+  const given = {
+    tax_rate: structured.tax_rate,
+    tax_amount: structured.tax_amount,
+  };
+  const taxes = taxLines(structured).map((t) => ({
+    label: t.label ?? null,
+    rate: num(t.rate),
+    amount: round2(num(t.amount)),
+    included: t.included === true,
+  }));
+
+  // one line short of the printed tax total: it takes the difference
+  const missing = taxes.filter((t) => t.amount === null);
+  if (missing.length === 1 && given.tax_amount !== null && taxes.length > 1) {
+    const i = taxes.indexOf(missing[0]);
+    const others = taxes.reduce((s, t) => s + (t.amount ?? 0), 0);
+    taxes[i].amount = round2(given.tax_amount - others);
+    note(
+      `taxes.${i}.amount`,
+      null,
+      taxes[i].amount,
+      "tax line = tax − other lines",
+    );
+  }
+
+  // tax charged on top: base × rate; tax included in the prices (one line
+  // only, mixed rates apply to different items): gross × rate / (100 + rate)
+  const base = taxBase(structured);
+  taxes.forEach((t, i) => {
+    if (t.amount !== null || t.rate === null || base === null) return;
+    if (t.included && taxes.length > 1) return;
+    t.amount = round2(
+      t.included ? (base * t.rate) / (100 + t.rate) : base * (t.rate / 100),
+    );
+    note(
+      `taxes.${i}.amount`,
+      null,
+      t.amount,
+      t.included
+        ? "included tax = gross × rate / (100 + rate)"
+        : "tax = subtotal × rate",
+    );
+  });
+  structured.taxes = taxes;
+
+  // aggregates follow the lines; only a printed value they replace is logged
+  const rates = new Set(taxes.map((t) => t.rate));
+  const aggregate = {
+    tax_rate: rates.size === 1 ? [...rates][0] : null,
+    tax_amount: taxes.every((t) => t.amount !== null)
+      ? round2(taxes.reduce((s, t) => s + t.amount, 0))
+      : null,
+  };
+  if (!taxes.length) aggregate.tax_amount = null;
+  for (const k of ["tax_rate", "tax_amount"]) {
+    structured[k] = aggregate[k];
+    if (given[k] !== null) {
+      note(
+        k,
+        given[k],
+        aggregate[k],
+        k === "tax_rate"
+          ? "tax lines have different rates"
+          : "tax = sum of tax lines",
+      );
+    }
+  }
+}
+
+function reconcileTotal(structured, note) {
+  const taxes = structured.taxes;
+  const adjustments = structured.adjustments;
+  const added = taxes.filter((t) => !t.included);
+
+  // derive total if missing: every part it is made of must be known
+  const parts = [...added, ...adjustments];
+  if (
+    structured.total === null &&
+    structured.subtotal !== null &&
+    parts.length &&
+    parts.every((p) => p.amount !== null)
+  ) {
+    structured.total = round2(
+      structured.subtotal + parts.reduce((s, p) => s + p.amount, 0),
+    );
+    note(
+      "total",
+      null,
+      structured.total,
+      adjustments.length
+        ? "total = subtotal + tax + adjustments"
+        : "total = subtotal + tax",
+    );
+  }
+
+  // payments: total − amount paid = balance due, whichever one is missing
+  const { total, amount_paid: paid, balance_due: balance } = structured;
+  if (total === null && paid !== null && balance !== null) {
+    structured.total = round2(paid + balance);
+    note("total", null, structured.total, "total = amount paid + balance due");
+  } else if (balance === null && total !== null && paid !== null) {
+    structured.balance_due = round2(total - paid);
+    note(
+      "balance_due",
+      null,
+      structured.balance_due,
+      "balance due = total − amount paid",
+    );
+  } else if (
+    paid === null &&
+    total !== null &&
+    balance !== null &&
+    !approxEqual(total, balance)
+  ) {
+    structured.amount_paid = round2(total - balance);
+    note(
+      "amount_paid",
+      null,
+      structured.amount_paid,
+      "amount paid = total − balance due",
+    );
+  }
+}
+
+/**
+ * Every arithmetic relation of a document that can be checked, as
+ * [{ rule, paths, expected, actual, ok }]: `actual` is the value at the last
+ * path and `expected` what the other values make it.
+ */
+export function mathChecks(structured) {
+  if (!structured) return [];
+  const checks = [];
+  const check = (rule, paths, expected, actual) => {
+    checks.push({
+      rule,
+      paths,
+      expected: round2(expected),
+      actual,
+      ok: approxEqual(round2(expected), actual),
+    });
+  };
+
+  const items = structured.line_items || [];
+  items.forEach((it, i) => {
+    const qty = toNumber(it.qty);
+    const unit = toNumber(it.unit_price);
+    const amt = toNumber(it.amount);
+    if (qty === null || unit === null || amt === null) return;
+    check(
+      "amount = qty × unit price",
+      [
+        `line_items.${i}.qty`,
+        `line_items.${i}.unit_price`,
+        `line_items.${i}.amount`,
+      ],
+      qty * unit,
+      amt,
+    );
+  });
+
+  const subtotal = toNumber(structured.subtotal);
+  const total = toNumber(structured.total);
+  const amounts = items
+    .map((it) => toNumber(it.amount))
+    .filter((n) => n !== null);
+  if (subtotal !== null && amounts.length) {
+    check(
+      "subtotal = sum of line amounts",
+      ["subtotal"],
+      amounts.reduce((s, n) => s + n, 0),
+      subtotal,
+    );
+  }
+
+  const taxes = taxLines(structured).map((t, i) => ({
+    path: `taxes.${i}`,
+    rate: toNumber(t.rate),
+    amount: toNumber(t.amount),
+    included: t.included === true,
+  }));
+  const adjustments = (structured.adjustments || []).map((a, i) => ({
+    path: `adjustments.${i}`,
+    type: a.type,
+    amount: toNumber(a.amount),
+  }));
+
+  // added tax may be charged before or after discounts: either base passes
+  const discounts = adjustments
+    .filter((a) => a.type === "discount")
+    .reduce((s, a) => s + (a.amount ?? 0), 0);
+  for (const t of taxes) {
+    if (subtotal === null || t.rate === null || t.amount === null) continue;
+    if (t.included) {
+      if (taxes.length > 1) continue;
+      const gross = subtotal + discounts;
+      check(
+        "included tax = gross × rate / (100 + rate)",
+        [`${t.path}.rate`, `${t.path}.amount`],
+        (gross * t.rate) / (100 + t.rate),
+        t.amount,
+      );
+      continue;
+    }
+    const [a, b] = [subtotal + discounts, subtotal].map(
+      (base) => base * (t.rate / 100),
+    );
+    check(
+      "tax = subtotal × rate",
+      [`${t.path}.rate`, `${t.path}.amount`],
+      Math.abs(a - t.amount) <= Math.abs(b - t.amount) ? a : b,
+      t.amount,
+    );
+  }
+
+  if (subtotal !== null && total !== null) {
+    const parts = [...taxes.filter((t) => !t.included), ...adjustments].filter(
+      (p) => p.amount !== null,
+    );
+    check(
+      adjustments.length
+        ? "total = subtotal + tax + adjustments"
+        : parts.length
+          ? "total = subtotal + tax"
+          : "total = subtotal",
+      ["subtotal", ...parts.map((p) => `${p.path}.amount`), "total"],
+      subtotal + parts.reduce((s, p) => s + p.amount, 0),
+      total,
+    );
+  }
+
+  const paid = toNumber(structured.amount_paid);
+  const balance = toNumber(structured.balance_due);
+  if (total !== null && paid !== null && balance !== null) {
+    check(
+      "balance due = total − amount paid",
+      ["total", "amount_paid", "balance_due"],
+      total - paid,
+      balance,
+    );
+  }
+
+  return checks;
+}
+
+/**
+ * What reconciliation did to a document, kept with it for review:
+ *   changes:    reconcileMath's log, [{ path, from, to, rule }]; from null
+ *               means the value was filled in, not read
+ *   mismatches: arithmetic that still does not add up afterwards,
+ *               [{ rule, paths, expected, actual, difference }]
+ *               (items sum ≠ subtotal by 3.20: difference 3.20)
+ */
+export function reconcileReport(structured, changes = []) {
+  return {
+    changes: changes.map(({ path, from, to, rule }) => ({
+      path,
+      from,
+      to,
+      rule: rule ?? null,
+    })),
+    mismatches: mathMismatches(structured),
+  };
+}
+
+/** the failing mathChecks, with how far off each one is */
+export function mathMismatches(structured) {
+  return mathChecks(structured)
+    .filter((c) => !c.ok)
+    .map(({ rule, paths, expected, actual }) => ({
+      rule,
+      paths,
+      expected,
+      actual,
+      difference: round2(actual - expected),
+    }));
+}
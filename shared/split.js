@@ -0,0 +1,175 @@
+// ---------- Splitting: several documents scanned into one file ----------
+//
+// A stack of receipts scanned into one PDF/TIFF comes back from OCR as one
+// multi-page result. detectDocuments scores every page break for "a new
+// document starts here" and returns page ranges (segments):
+//   [{ from, to, reasons: ["..."] }]   (1-based, inclusive page numbers)
+// Blank separator pages end a segment and belong to none.
+
+const BLANK_MIN_CHARS = 15;
+
+// "Page 2 of 3", "page 2/3", "Seite 1 von 2", "p. 1/2"
+const PAGE_OF_RE =
+  /\b(?:page|seite|página|pagina|p\.)\s*(\d{1,3})\s*(?:of|\/|von|de|di|sur)\s*(\d{1,3})\b/i;
+const CONTINUED_RE =
+  /\b(continued|cont'?d|carried forward|brought forward|übertrag|suite|fortsetzung)\b/i;
+const TOTAL_RE =
+  /^\s*(?:grand\s+)?(?:total|amount due|balance due|gesamt(?:betrag)?|total ttc|importe total)\b.*\d/im;
+const DOC_HEADER_RE =
+  /\b(invoice|receipt|tax invoice|bill|statement|facture|rechnung|factura|quittung|reçu|recibo)\b/i;
+const DOC_NUMBER_RE =
+  /\b(invoice|receipt|bill|order|facture|rechnung|factura)\s*(?:no\.?|number|#|nr\.?|n°)/i;
+
+// consecutive pages sharing fewer words than this are unrelated
+const DISSIMILAR = 0.12;
+export const SPLIT_SCORE = 2;
+
+function words(text) {
+  return new Set(
+    (
+      String(text)
+        .toLowerCase()
+        .match(/\p{L}{3,}/gu) || []
+    ).slice(0, 400),
+  );
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/** first line that reads like a name (letters, not a date or amount) */
+function headerName(lines) {
+  const line = lines.find(
+    (l) => /\p{L}{3,}/u.test(l) && !/\d{2,}[./-]\d{2}/.test(l),
+  );
+  return line
+    ? line
+        .toLowerCase()
+        .replace(/[^\p{L}\d]+/gu, " ")
+        .trim()
+    : null;
+}
+
+function describe(page) {
+  const text = String(page.text || "");
+  const lines = text
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const top = lines.slice(0, 6).join("\n");
+  const pageOf = PAGE_OF_RE.exec(text);
+
+  return {
+    page: page.page,
+    blank: text.replace(/\s+/g, "").length < BLANK_MIN_CHARS,
+    pageOf: pageOf && { n: Number(pageOf[1]), of: Number(pageOf[2]) },
+    continued: CONTINUED_RE.test(top),
+    total: TOTAL_RE.test(text),
+    header: DOC_HEADER_RE.test(top) || DOC_NUMBER_RE.test(text),
+    name: headerName(lines.slice(0, 4)),
+    words: words(text),
+  };
+}
+
+/** score for "cur starts a new document" given the page before it */
+function boundary(prev, cur, blankBetween) {
+  const reasons = [];
+  let score = 0;
+  const add = (n, why) => {
+    score += n;
+    if (n > 0) reasons.push(why);
+  };
+
+  if (blankBetween) add(2, "blank separator page");
+  if (cur.pageOf?.n === 1) add(3, `"page 1 of ${cur.pageOf.of}"`);
+  if (cur.pageOf?.n > 1 && prev.pageOf?.n === cur.pageOf.n - 1) {
+    add(-3, "page numbering continues");
+  }
+  if (cur.continued) add(-2, "marked as continued");
+  if (prev.total) add(1, "previous page ends with a total");
+  if (cur.header) add(1, "document header");
+  if (cur.name && prev.name && cur.name !== prev.name && cur.header) {
+    add(1, "new vendor header");
+  }
+  if (jaccard(prev.words, cur.words) < DISSIMILAR) add(1, "dissimilar page");
+
+  return { score, reasons };
+}
+
+/**
+ * OCR pages ([{ page, text }]) -> [{ from, to, reasons }].
+ * One segment = no split; reasons explain why each segment starts where
+ * it does (empty for the first).
+ */
+export function detectDocuments(pages, { minScore = SPLIT_SCORE } = {}) {
+  const info = (pages || []).map(describe);
+  const segments = [];
+  let prev = null;
+  let blankBetween = false;
+
+  for (const cur of info) {
+    if (cur.blank) {
+      blankBetween = prev != null;
+      continue;
+    }
+    const b = prev ? boundary(prev, cur, blankBetween) : null;
+    if (!prev || b.score >= minScore) {
+      segments.push({
+        from: cur.page,
+        to: cur.page,
+        reasons: b?.reasons || [],
+      });
+    } else {
+      segments.at(-1).to = cur.page;
+    }
+    prev = cur;
+    blankBetween = false;
+  }
+
+  // nothing but blank pages: keep the file whole
+  if (!segments.length && info.length) {
+    return [{ from: info[0].page, to: info.at(-1).page, reasons: [] }];
+  }
+  return segments;
+}
+
+/**
+ * Manual split/merge: toggle a boundary before `page`. Splits the segment
+ * holding it, or merges the segment starting at it into the one before
+ * (blank pages between them join the merged range).
+ */
+export function toggleBoundary(segments, page) {
+  const i = segments.findIndex((s) => s.from <= page && page <= s.to);
+  if (i < 0) return segments;
+  const seg = segments[i];
+
+  if (seg.from === page) {
+    if (i === 0) return segments;
+    const before = segments[i - 1];
+    return [
+      ...segments.slice(0, i - 1),
+      { ...before, to: seg.to },
+      ...segments.slice(i + 1),
+    ];
+  }
+  return [
+    ...segments.slice(0, i),
+    { ...seg, to: page - 1 },
+    { from: page, to: seg.to, reasons: ["split by hand"] },
+    ...segments.slice(i + 1),
+  ];
+}
+
+/** the pages of one segment */
+export function segmentPages(pages, { from, to }) {
+  return (pages || []).filter((p) => p.page >= from && p.page <= to);
+}
+
+/** "p. 3" / "pp. 2–4" */
+export function pageRangeLabel({ from, to }) {
+  return from === to ? `p. ${from}` : `pp. ${from}–${to}`;
+}
@@ -0,0 +1,297 @@
+import { toNumber } from "./reconcile.js";
+
+// ---------- Tables: line-item tables from OCR word geometry ----------
+//
+// Flattened OCR text (PSM 6/11) often interleaves the Qty / Price / Amount
+// columns of an item table. The page layout still has every word's box, so
+// tables are rebuilt from position instead: words clustered into rows by y,
+// a header row recognised by its keywords, columns cut between the header
+// labels, and each body row typed into the line-item fields.
+//
+// detectTables(pages) -> [{
+//   page, bbox,
+//   columns: [{ key, label }],          key: a line-item field or null
+//   rows: [{ cells: ["..."], item: { product_or_service, description,
+//            qty, unit_price, amount }, bbox }],
+// }]
+
+// header label -> line-item field, checked in order ("Unit Price" is a
+// price, not units; "Line Total" is an amount)
+const HEADER_KEYS = [
+  {
+    key: "unit_price",
+    re: /\b(unit\s*(price|cost)|price|rate|cost|each|prix|preis|einzelpreis|precio|prezzo|p\.?\s*u\.?)\b/i,
+  },
+  {
+    key: "qty",
+    re: /\b(qty|qté|quantity|quantité|menge|anzahl|cantidad|quantità|units|hrs|hours|pcs)\b/i,
+  },
+  {
+    key: "amount",
+    re: /\b(amount|total|amt|montant|betrag|gesamt|importe|importo|value)\b/i,
+  },
+  {
+    key: "description",
+    re: /\b(description|details?|particulars|désignation|beschreibung|bezeichnung|descripci[oó]n|descrizione|libellé)\b/i,
+  },
+  {
+    key: "product_or_service",
+    re: /\b(items?|products?|services?|articles?|artikel|produit|producto|articolo)\b/i,
+  },
+];
+
+export const TABLE_FIELDS = [
+  "product_or_service",
+  "description",
+  "qty",
+  "unit_price",
+  "amount",
+];
+const NUMBER_KEYS = ["qty", "unit_price", "amount"];
+
+// a row starting like this closes the item table
+const TABLE_END_RE =
+  /^(sub\s*-?\s*total|total|tax|vat|gst|hst|balance|amount due|zwischensumme|summe|sous-total)\b/i;
+const NUMBER_CELL_RE = /^[-(]?[$€£¥]?\s*\d[\d.,' ]*\)?-?$/;
+
+function union(boxes) {
+  const bs = boxes.filter(Boolean);
+  if (!bs.length) return null;
+  return {
+    x0: Math.min(...bs.map((b) => b.x0)),
+    y0: Math.min(...bs.map((b) => b.y0)),
+    x1: Math.max(...bs.map((b) => b.x1)),
+    y1: Math.max(...bs.map((b) => b.y1)),
+  };
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : 0;
+}
+
+/** words with boxes -> rows (top to bottom), words left to right */
+function clusterRows(words, height) {
+  const sorted = [...words].sort(
+    (a, b) => a.bbox.y0 + a.bbox.y1 - (b.bbox.y0 + b.bbox.y1),
+  );
+  const rows = [];
+  for (const w of sorted) {
+    const yc = (w.bbox.y0 + w.bbox.y1) / 2;
+    const row = rows.at(-1);
+    if (row && Math.abs(yc - row.yc) <= height * 0.5) {
+      row.words.push(w);
+      row.yc += (yc - row.yc) / row.words.length;
+    } else {
+      rows.push({ yc, words: [w] });
+    }
+  }
+  for (const row of rows) {
+    row.words.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    row.bbox = union(row.words.map((w) => w.bbox));
+  }
+  return rows;
+}
+
+/**
+ * Neighbouring words of a row joined into labels ("Unit" + "Price"); two
+ * words that are both column names stay apart however close they sit, and
+ * so does a column name and a word that starts the next one
+ * ("Description" | "Unit Price").
+ */
+function phrases(row, height) {
+  const out = [];
+  row.words.forEach((w, i) => {
+    const last = out.at(-1);
+    if (
+      last &&
+      w.bbox.x0 - last.bbox.x1 < height * 1.2 &&
+      !(
+        headerKey(last.text) &&
+        (headerKey(w.text) || startsLabel(w, row.words[i + 1]))
+      )
+    ) {
+      last.text += ` ${w.text}`;
+      last.bbox = union([last.bbox, w.bbox]);
+    } else {
+      out.push({ text: w.text, bbox: { ...w.bbox } });
+    }
+  });
+  return out;
+}
+
+function headerKey(label) {
+  return HEADER_KEYS.find((h) => h.re.test(label))?.key ?? null;
+}
+
+/** "Unit" before "Price": a column name that begins with this word */
+function startsLabel(word, next) {
+  if (!next) return false;
+  const pair = `${word.text} ${next.text}`;
+  return HEADER_KEYS.some((h) => h.re.exec(pair)?.index < word.text.length);
+}
+
+/** columns when `row` is an item-table header, else null */
+function headerColumns(row, height) {
+  if (row.words.some((w) => /\d[.,]\d{2}\b/.test(w.text))) return null;
+
+  const labels = phrases(row, height).map((p) => ({
+    ...p,
+    key: headerKey(p.text),
+  }));
+  const keys = new Set(labels.map((l) => l.key).filter(Boolean));
+  if (keys.size < 2 || !NUMBER_KEYS.some((k) => keys.has(k))) return null;
+
+  // a field claimed twice keeps its first column; the other is kept as text
+  const seen = new Set();
+  return labels.map((l, i) => {
+    const key = l.key && !seen.has(l.key) ? l.key : null;
+    if (key) seen.add(key);
+    const prev = labels[i - 1];
+    const next = labels[i + 1];
+    return {
+      key,
+      label: l.text,
+      // cut halfway between neighbouring labels
+      left: prev ? (prev.bbox.x1 + l.bbox.x0) / 2 : -Infinity,
+      right: next ? (l.bbox.x1 + next.bbox.x0) / 2 : Infinity,
+    };
+  });
+}
+
+/** `style` ({ decimal }) says how to read "1,234" (shared/numbers.js) */
+function cellNumber(text, style) {
+  const t = text.trim();
+  return t && NUMBER_CELL_RE.test(t) ? toNumber(t, style) : null;
+}
+
+function typeRow(columns, cells, style) {
+  const item = Object.fromEntries(TABLE_FIELDS.map((f) => [f, null]));
+  columns.forEach((c, i) => {
+    if (!c.key || !cells[i]) return;
+    item[c.key] = NUMBER_KEYS.includes(c.key)
+      ? cellNumber(cells[i], style)
+      : cells[i];
+  });
+  return item;
+}
+
+/** body rows under a header, until a totals row or a wide vertical gap */
+function readBody(rows, start, columns, height, style) {
+  const body = [];
+  let lastY = rows[start].bbox.y1;
+
+  for (let r = start + 1; r < rows.length; r++) {
+    const row = rows[r];
+    if (row.bbox.y0 - lastY > height * 3) break;
+    const text = row.words.map((w) => w.text).join(" ");
+    if (TABLE_END_RE.test(text)) break;
+    lastY = row.bbox.y1;
+
+    const cells = columns.map(() => []);
+    for (const w of row.words) {
+      const xc = (w.bbox.x0 + w.bbox.x1) / 2;
+      const i = columns.findIndex((c) => xc >= c.left && xc < c.right);
+      cells[Math.max(0, i)].push(w.text);
+    }
+    const joined = cells.map((c) => c.join(" "));
+    const item = typeRow(columns, joined, style);
+    const hasNumber = NUMBER_KEYS.some((k) => item[k] != null);
+
+    // wrapped description: text only, continues the row above
+    const prev = body.at(-1);
+    if (!hasNumber && prev) {
+      const key = columns.some((c) => c.key === "description")
+        ? "description"
+        : "product_or_service";
+      const extra = joined.filter(Boolean).join(" ");
+      if (extra) {
+        prev.item[key] = prev.item[key] ? `${prev.item[key]} ${extra}` : extra;
+        joined.forEach((t, i) => {
+          if (t) prev.cells[i] = prev.cells[i] ? `${prev.cells[i]} ${t}` : t;
+        });
+        prev.bbox = union([prev.bbox, row.bbox]);
+      }
+      continue;
+    }
+    if (!hasNumber) continue; // section title above the first item
+
+    body.push({ cells: joined, item, bbox: row.bbox });
+  }
+  return { body, end: rows.findIndex((x) => x.bbox.y0 > lastY) };
+}
+
+/**
+ * item tables on one OCR page (layout from toPageLayout / textLayerToPage);
+ * `decimal` ("." | ",") reads cells like "1.234" the document's way
+ */
+export function detectPageTables(page, { decimal = null } = {}) {
+  const words = (page?.blocks || [])
+    .flatMap((b) => b.lines || [])
+    .flatMap((l) => l.words || [])
+    .filter((w) => w.bbox && w.text?.trim());
+  if (words.length < 4) return [];
+
+  const height = median(words.map((w) => w.bbox.y1 - w.bbox.y0)) || 10;
+  const rows = clusterRows(words, height);
+  const tables = [];
+
+  for (let r = 0; r < rows.length; r++) {
+    const columns = headerColumns(rows[r], height);
+    if (!columns) continue;
+
+    const { body, end } = readBody(rows, r, columns, height, { decimal });
+    if (!body.length) continue;
+
+    tables.push({
+      page: page.page,
+      bbox: union([rows[r].bbox, ...body.map((b) => b.bbox)]),
+      columns: columns.map(({ key, label }) => ({ key, label })),
+      rows: body,
+    });
+    if (end < 0) break;
+    r = end - 1;
+  }
+  return tables;
+}
+
+/** every page's tables, in page order; `decimal` as for detectPageTables */
+export function detectTables(pages, { decimal = null } = {}) {
+  return (pages || []).flatMap((p) => detectPageTables(p, { decimal }));
+}
+
+/**
+ * typed rows of all tables -> line_items (null when no table was found, or
+ * when a table has rows whose amount did not read: the columns were cut
+ * wrong and the text rules do better); a lone "Description" column names
+ * the item, like the text rules do
+ */
+export function tableLineItems(tables) {
+  if (!tables?.length) return null;
+  if (tables.some((t) => t.rows.some((r) => r.item.amount == null))) {
+    return null;
+  }
+  const items = tables.flatMap((t) => {
+    const named = t.columns.some((c) => c.key === "product_or_service");
+    return t.rows.map(({ item }) => ({
+      ...item,
+      ...(!named && {
+        product_or_service: item.description,
+        description: null,
+      }),
+      page: t.page,
+    }));
+  });
+  return items.length ? items : null;
+}
+
+/** compact plain-text rendering for the structuring prompt */
+export function tablesToText(tables) {
+  return (tables || [])
+    .map((t) => {
+      const head = t.columns.map((c) => c.key || c.label).join(" | ");
+      const rows = t.rows.map((r) => r.cells.join(" | "));
+      return [`Page ${t.page}: ${head}`, ...rows].join("\n");
+    })
+    .join("\n\n");
+}